@@ -0,0 +1,31 @@
+/**
+ * Background service worker
+ * Runs the scheduled fetches configured in the popup (see js/scheduleUtils.js)
+ */
+
+import { getAuthToken } from './js/authUtils.js';
+import {
+    SCHEDULE_ALARM_NAME,
+    runDueScheduledFetches,
+    syncScheduleAlarm
+} from './js/scheduleUtils.js';
+
+// Re-create the alarm after install/update and browser start (alarms may not survive either)
+chrome.runtime.onInstalled.addListener(() => {
+    syncScheduleAlarm().catch(error => console.error('Error setting up schedule alarm:', error));
+});
+
+chrome.runtime.onStartup.addListener(() => {
+    syncScheduleAlarm().catch(error => console.error('Error setting up schedule alarm:', error));
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name !== SCHEDULE_ALARM_NAME) return;
+
+    // Never prompt from the background; reports wait until the user is signed in
+    runDueScheduledFetches(() => getAuthToken(false))
+        .then(ran => {
+            if (ran.length > 0) console.log(`Scheduled fetches finished: ${ran.length} report(s)`);
+        })
+        .catch(error => console.error('Error running scheduled fetches:', error));
+});
@@ -0,0 +1,175 @@
+/**
+ * Alerts UI
+ * Alert rule editor, rule list and alert log (the 🔔 Alerts dropdown).
+ * Clicking a log entry reopens the result sets the alert was raised on and shows the affected rows.
+ */
+
+import {
+  ALERT_LOG_KEY,
+  ALERT_RULE_TYPES,
+  addAlertRule,
+  clearAlertLog,
+  describeAlertRule,
+  getAlertLog,
+  getAlertRules,
+  markAlertsRead,
+  removeAlertRule
+} from './alertUtils.js';
+import { escapeHtml } from './uiUtils.js';
+
+// Callbacks provided by popup.js
+let getMetadata = () => null;
+let showAlertRows = null;
+let reportStatus = () => {};
+
+/**
+ * Initialize the alerts dropdown
+ * @param {Object} options - Options for the alerts UI
+ * @param {Function} options.getCurrentMetadata - Returns the metadata of the loaded report (scope of new rules)
+ * @param {Function} options.onShowRows - Called with a log entry to display its result sets and affected rows
+ * @param {Function} options.updateStatus - Status bar callback
+ */
+export function initAlertUI({ getCurrentMetadata, onShowRows, updateStatus }) {
+  getMetadata = getCurrentMetadata || getMetadata;
+  showAlertRows = onShowRows;
+  reportStatus = updateStatus || reportStatus;
+
+  const toggle = document.getElementById('alertsToggle');
+  const dropdown = document.getElementById('alertsDropdown');
+  const typeSelect = document.getElementById('alertRuleType');
+
+  if (typeSelect) {
+    typeSelect.innerHTML = Object.entries(ALERT_RULE_TYPES)
+      .map(([value, label]) => `<option value="${value}">${label}</option>`)
+      .join('');
+    typeSelect.addEventListener('change', updateRuleInputs);
+    updateRuleInputs();
+  }
+
+  // Toggle dropdown visibility; opening it marks the log as read
+  toggle?.addEventListener('click', (e) => {
+    e.stopPropagation();
+    const isVisible = dropdown.style.display === 'block';
+    dropdown.style.display = isVisible ? 'none' : 'block';
+    if (!isVisible) {
+      refreshAlerts().then(() => markAlertsRead()).catch(error => console.error('Error marking alerts read:', error));
+    }
+  });
+
+  // Close dropdown when clicking outside
+  document.addEventListener('click', (e) => {
+    if (dropdown && !toggle?.contains(e.target) && !dropdown.contains(e.target)) {
+      dropdown.style.display = 'none';
+    }
+  });
+
+  document.getElementById('addAlertRule')?.addEventListener('click', handleAddRule);
+  document.getElementById('clearAlertLog')?.addEventListener('click', async () => {
+    await clearAlertLog();
+    refreshAlerts();
+  });
+
+  document.getElementById('alertRuleList')?.addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-action="remove-rule"]');
+    const id = button?.closest('.alert-rule')?.dataset.id;
+    if (!id) return;
+    try {
+      await removeAlertRule(id);
+      refreshAlerts();
+    } catch (error) {
+      console.error('Error removing alert rule:', error);
+      reportStatus(`Error: ${error.message}`, true);
+    }
+  });
+
+  document.getElementById('alertLog')?.addEventListener('click', async (e) => {
+    const item = e.target.closest('.alert-log-entry');
+    if (!item) return;
+    const log = await getAlertLog();
+    const entry = log.find(candidate => candidate.id === item.dataset.id);
+    if (entry && showAlertRows) {
+      dropdown.style.display = 'none';
+      showAlertRows(entry);
+    }
+  });
+
+  // Alerts raised by the background worker while the popup is open
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[ALERT_LOG_KEY]) {
+      refreshAlerts();
+    }
+  });
+
+  refreshAlerts();
+}
+
+/**
+ * Shows the inputs used by the selected rule type
+ */
+function updateRuleInputs() {
+  const type = document.getElementById('alertRuleType')?.value;
+  const isQueryRule = type === 'queryLeftTop';
+  document.querySelectorAll('.alert-input-drop').forEach(el => { el.style.display = isQueryRule ? 'none' : ''; });
+  document.querySelectorAll('.alert-input-query').forEach(el => { el.style.display = isQueryRule ? '' : 'none'; });
+}
+
+/**
+ * Adds a rule for the loaded report from the form inputs
+ */
+async function handleAddRule() {
+  const metadata = getMetadata();
+  try {
+    await addAlertRule({
+      type: document.getElementById('alertRuleType')?.value,
+      siteUrl: metadata?.siteUrl,
+      pageUrl: metadata?.pageUrl || '',
+      threshold: parseFloat(document.getElementById('alertThreshold')?.value),
+      query: document.getElementById('alertQuery')?.value || '',
+      position: parseInt(document.getElementById('alertPosition')?.value)
+    });
+    reportStatus('Alert rule added. It is checked whenever new data is fetched.');
+    refreshAlerts();
+  } catch (error) {
+    console.error('Error adding alert rule:', error);
+    reportStatus(`Error: ${error.message}`, true);
+  }
+}
+
+/**
+ * Reloads the rule list, the alert log and the unread badge
+ * @returns {Promise<void>}
+ */
+export async function refreshAlerts() {
+  try {
+    const [rules, log] = await Promise.all([getAlertRules(), getAlertLog()]);
+
+    const badge = document.getElementById('alertsBadge');
+    const unread = log.filter(entry => !entry.read).length;
+    if (badge) {
+      badge.textContent = unread;
+      badge.style.display = unread > 0 ? 'inline-block' : 'none';
+    }
+
+    const ruleList = document.getElementById('alertRuleList');
+    if (ruleList) {
+      ruleList.innerHTML = rules.length === 0
+        ? '<div class="no-data">No alert rules.</div>'
+        : rules.map(rule => `<div class="alert-rule" data-id="${rule.id}">
+            <span title="${escapeHtml(describeAlertRule(rule))}">${escapeHtml(describeAlertRule(rule))}</span>
+            <button data-action="remove-rule" class="snapshot-delete">Remove</button>
+          </div>`).join('');
+    }
+
+    const logList = document.getElementById('alertLog');
+    if (logList) {
+      logList.innerHTML = log.length === 0
+        ? '<div class="no-data">No alerts yet.</div>'
+        : log.map(entry => `<div class="alert-log-entry${entry.read ? '' : ' unread'}" data-id="${entry.id}" title="Show the affected rows">
+            <div>${escapeHtml(entry.message)}</div>
+            <div class="snapshot-meta">${new Date(entry.createdAt).toLocaleString()} • ${entry.queries?.length || 0} affected quer${entry.queries?.length === 1 ? 'y' : 'ies'}</div>
+          </div>`).join('');
+    }
+  } catch (error) {
+    console.error('Error loading alerts:', error);
+  }
+}
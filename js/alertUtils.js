@@ -0,0 +1,323 @@
+/**
+ * @fileoverview Ranking and traffic drop alerts.
+ * Rules are kept in chrome.storage.local and evaluated every time a new snapshot is stored
+ * (manual fetch or scheduled background fetch). A snapshot is compared with its own comparison
+ * period when it has one, otherwise with the previous snapshot of the same report. Matching rules
+ * are written to the alert log and raised as chrome.notifications.
+ */
+
+import { getExtraDimensions, getRowKey } from './dimensionUtils.js';
+import { getSnapshot, findBaselineSnapshot } from './snapshotUtils.js';
+import { getMetricTotals } from './metricsUtils.js';
+
+/**
+ * chrome.storage.local key holding the alert rules
+ */
+export const ALERT_RULES_KEY = 'gscAlertRules';
+
+/**
+ * chrome.storage.local key holding the alert log (newest first)
+ */
+export const ALERT_LOG_KEY = 'gscAlertLog';
+
+/**
+ * Maximum number of entries kept in the alert log
+ */
+export const ALERT_LOG_LIMIT = 100;
+
+/**
+ * Maximum number of affected queries stored with a traffic drop alert
+ */
+const ALERT_AFFECTED_QUERIES_LIMIT = 20;
+
+/**
+ * Rule types and their labels
+ * - clicksDrop / impressionsDrop: total clicks/impressions down by more than `threshold` percent
+ * - queryLeftTop: `query` was at position `position` or better and no longer is (or disappeared)
+ */
+export const ALERT_RULE_TYPES = {
+    clicksDrop: 'Clicks drop',
+    impressionsDrop: 'Impressions drop',
+    queryLeftTop: 'Query left top positions'
+};
+
+/**
+ * Reads a value from chrome.storage.local
+ * @param {string} key - Storage key
+ * @param {*} fallback - Value returned when the key is not set
+ * @returns {Promise<*>}
+ */
+function readStorage(key, fallback) {
+    return new Promise((resolve, reject) => {
+        chrome.storage.local.get([key], (result) => {
+            if (chrome.runtime.lastError) {
+                reject(chrome.runtime.lastError);
+            } else {
+                resolve(result[key] ?? fallback);
+            }
+        });
+    });
+}
+
+/**
+ * Writes a value to chrome.storage.local
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store
+ * @returns {Promise<void>}
+ */
+function writeStorage(key, value) {
+    return new Promise((resolve, reject) => {
+        chrome.storage.local.set({ [key]: value }, () => {
+            if (chrome.runtime.lastError) {
+                reject(chrome.runtime.lastError);
+            } else {
+                resolve();
+            }
+        });
+    });
+}
+
+/**
+ * Reads the alert rules
+ * @returns {Promise<Array<Object>>}
+ */
+export function getAlertRules() {
+    return readStorage(ALERT_RULES_KEY, []);
+}
+
+/**
+ * Adds an alert rule
+ * @param {Object} rule - Rule settings
+ * @param {string} rule.type - One of ALERT_RULE_TYPES
+ * @param {string} rule.siteUrl - Property the rule applies to
+ * @param {string} [rule.pageUrl] - Page the rule applies to (empty for property-level results)
+ * @param {number} [rule.threshold] - Drop in percent (clicksDrop / impressionsDrop)
+ * @param {string} [rule.query] - Query to watch (queryLeftTop)
+ * @param {number} [rule.position] - Position the query has to stay in (queryLeftTop)
+ * @returns {Promise<Object>} - The stored rule (with id)
+ */
+export async function addAlertRule({ type, siteUrl, pageUrl = '', threshold = 30, query = '', position = 10 }) {
+    if (!ALERT_RULE_TYPES[type]) throw new Error(`Unknown alert type: ${type}`);
+    if (!siteUrl) throw new Error('Fetch a report first so the alert knows which property to watch');
+    if (type === 'queryLeftTop' && !query.trim()) throw new Error('Enter the query to watch');
+    if (type !== 'queryLeftTop' && !(threshold > 0 && threshold <= 100)) throw new Error('Drop threshold must be between 1 and 100%');
+
+    const rule = {
+        id: `alert_${Date.now()}`,
+        type,
+        siteUrl,
+        pageUrl: pageUrl || '',
+        threshold: Number(threshold),
+        query: query.trim(),
+        position: Number(position) || 10,
+        createdAt: Date.now()
+    };
+    const rules = await getAlertRules();
+    await writeStorage(ALERT_RULES_KEY, [...rules, rule]);
+    return rule;
+}
+
+/**
+ * Removes an alert rule
+ * @param {string} id - Rule id
+ * @returns {Promise<void>}
+ */
+export async function removeAlertRule(id) {
+    const rules = await getAlertRules();
+    await writeStorage(ALERT_RULES_KEY, rules.filter(rule => rule.id !== id));
+}
+
+/**
+ * Reads the alert log, newest first
+ * @returns {Promise<Array<Object>>}
+ */
+export function getAlertLog() {
+    return readStorage(ALERT_LOG_KEY, []);
+}
+
+/**
+ * Marks every logged alert as read
+ * @returns {Promise<void>}
+ */
+export async function markAlertsRead() {
+    const log = await getAlertLog();
+    await writeStorage(ALERT_LOG_KEY, log.map(entry => ({ ...entry, read: true })));
+}
+
+/**
+ * Empties the alert log
+ * @returns {Promise<void>}
+ */
+export function clearAlertLog() {
+    return writeStorage(ALERT_LOG_KEY, []);
+}
+
+/**
+ * Human readable description of a rule
+ * @param {Object} rule - Alert rule
+ * @returns {string}
+ */
+export function describeAlertRule(rule) {
+    const scope = rule.pageUrl || rule.siteUrl;
+    if (rule.type === 'queryLeftTop') {
+        return `"${rule.query}" drops out of the top ${rule.position} (${scope})`;
+    }
+    const metric = rule.type === 'clicksDrop' ? 'Clicks' : 'Impressions';
+    return `${metric} down more than ${rule.threshold}% (${scope})`;
+}
+
+/**
+ * Totals of a result set, preferring the page-level metrics (same order as the comparison cards)
+ * @param {Object} metadata - Result set metadata
+ * @param {Array} rows - Result set rows
+ * @returns {Object} - { clicks, impressions }
+ */
+function getResultTotals(metadata, rows) {
+    const totals = getMetricTotals(metadata, rows);
+    return { clicks: totals.totalClicks, impressions: totals.totalImpressions };
+}
+
+/**
+ * Queries that lost the most of a metric between two result sets (lost keywords count with their full value)
+ * @param {Array} rows - Current rows
+ * @param {Array} previousRows - Baseline rows
+ * @param {Array<string>} extraDimensions - Breakdown dimensions that are part of the row identity
+ * @param {string} metric - 'clicks' or 'impressions'
+ * @returns {Array<string>} - Query texts, biggest loss first
+ */
+function findBiggestLosers(rows, previousRows, extraDimensions, metric) {
+    const currentByKey = new Map((rows || []).map(row => [getRowKey(row, extraDimensions), row]));
+    return (previousRows || [])
+        .map(previous => {
+            const current = currentByKey.get(getRowKey(previous, extraDimensions));
+            return { query: previous.query, loss: (parseInt(previous[metric]) || 0) - (parseInt(current?.[metric]) || 0) };
+        })
+        .filter(item => item.query && item.loss > 0)
+        .sort((a, b) => b.loss - a.loss)
+        .slice(0, ALERT_AFFECTED_QUERIES_LIMIT)
+        .map(item => item.query);
+}
+
+/**
+ * Evaluates the rules against a result set and its baseline
+ * @param {Array<Object>} rules - Alert rules
+ * @param {Object} resultSets - Result sets to compare
+ * @param {Object} resultSets.metadata - Current metadata
+ * @param {Array} resultSets.queries - Current rows
+ * @param {Object} resultSets.previousMetadata - Baseline metadata
+ * @param {Array} resultSets.previousQueries - Baseline rows
+ * @returns {Array<Object>} - Triggered alerts: { rule, message, queries }
+ */
+export function evaluateAlertRules(rules, { metadata, queries, previousMetadata, previousQueries }) {
+    if (!metadata || !previousMetadata) return [];
+    const extraDimensions = getExtraDimensions(metadata);
+    const alerts = [];
+
+    rules.forEach(rule => {
+        // Rules only apply to result sets of their own property/page
+        if (rule.siteUrl !== metadata.siteUrl || (rule.pageUrl || '') !== (metadata.pageUrl || '')) return;
+
+        if (rule.type === 'clicksDrop' || rule.type === 'impressionsDrop') {
+            const metric = rule.type === 'clicksDrop' ? 'clicks' : 'impressions';
+            const current = getResultTotals(metadata, queries)[metric];
+            const previous = getResultTotals(previousMetadata, previousQueries)[metric];
+            if (previous <= 0) return;
+
+            const change = ((current - previous) / previous) * 100;
+            if (change <= -rule.threshold) {
+                alerts.push({
+                    rule,
+                    message: `${metric === 'clicks' ? 'Clicks' : 'Impressions'} ${change.toFixed(1)}% (${previous.toLocaleString()} → ${current.toLocaleString()}) for ${rule.pageUrl || rule.siteUrl}`,
+                    queries: findBiggestLosers(queries, previousQueries, extraDimensions, metric)
+                });
+            }
+        } else if (rule.type === 'queryLeftTop') {
+            const query = rule.query.toLowerCase();
+            // With a breakdown a query has several rows; use its best position
+            const bestPosition = (rows) => (rows || [])
+                .filter(row => (row.query || '').toLowerCase() === query)
+                .reduce((best, row) => Math.min(best, parseFloat(row.position) || Infinity), Infinity);
+
+            const previousPosition = bestPosition(previousQueries);
+            const currentPosition = bestPosition(queries);
+            if (previousPosition <= rule.position && !(currentPosition <= rule.position)) {
+                const now = currentPosition === Infinity ? 'no longer ranks' : `now at ${currentPosition.toFixed(1)}`;
+                alerts.push({
+                    rule,
+                    message: `"${rule.query}" dropped out of the top ${rule.position}: was ${previousPosition.toFixed(1)}, ${now}`,
+                    queries: [rule.query]
+                });
+            }
+        }
+    });
+
+    return alerts;
+}
+
+/**
+ * Raises a browser notification for an alert
+ * @param {Object} entry - Alert log entry
+ */
+function notifyAlert(entry) {
+    if (!chrome.notifications) return;
+    chrome.notifications.create(entry.id, {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('images/icon128.png'),
+        title: 'Search Console alert',
+        message: entry.message,
+        priority: 1
+    });
+}
+
+/**
+ * Evaluates the alert rules for a newly stored snapshot, logs and notifies triggered alerts
+ * @param {number} snapshotId - Id of the snapshot that was just saved
+ * @returns {Promise<Array<Object>>} - The new alert log entries
+ */
+export async function checkAlertsForSnapshot(snapshotId) {
+    const rules = await getAlertRules();
+    if (rules.length === 0) return [];
+
+    const snapshot = await getSnapshot(snapshotId);
+    if (!snapshot) return [];
+
+    // Baseline: the snapshot's own comparison period, otherwise an earlier period of the same report
+    // (same key, so the same range option and filters)
+    let baseline = null;
+    if (snapshot.previousMetadata) {
+        baseline = { ref: `${snapshot.id}:previous`, metadata: snapshot.previousMetadata, queries: snapshot.previousQueries };
+    } else {
+        const previousSummary = await findBaselineSnapshot(snapshot);
+        const previous = previousSummary ? await getSnapshot(previousSummary.id) : null;
+        if (previous) {
+            baseline = { ref: `${previous.id}:current`, metadata: previous.metadata, queries: previous.queries };
+        }
+    }
+    if (!baseline) return [];
+
+    const alerts = evaluateAlertRules(rules, {
+        metadata: snapshot.metadata,
+        queries: snapshot.queries,
+        previousMetadata: baseline.metadata,
+        previousQueries: baseline.queries
+    });
+    if (alerts.length === 0) return [];
+
+    const createdAt = Date.now();
+    const entries = alerts.map((alert, index) => ({
+        id: `alertlog_${createdAt}_${index}`,
+        ruleId: alert.rule.id,
+        type: alert.rule.type,
+        message: alert.message,
+        queries: alert.queries,
+        snapshotRef: `${snapshot.id}:current`,
+        baselineRef: baseline.ref,
+        createdAt,
+        read: false
+    }));
+
+    const log = await getAlertLog();
+    await writeStorage(ALERT_LOG_KEY, [...entries, ...log].slice(0, ALERT_LOG_LIMIT));
+    entries.forEach(notifyAlert);
+    return entries;
+}
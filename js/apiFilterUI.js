@@ -0,0 +1,129 @@
+/**
+ * API Filters UI
+ * Editor for the server-side query/page filters in the fetch options dropdown. The filters are
+ * read by popup.js when fetching and stored with saved views.
+ */
+
+import {
+  API_FILTER_DIMENSIONS,
+  API_FILTER_OPERATORS,
+  normalizeApiFilters,
+  validateApiFilter
+} from './apiFilterUtils.js';
+import { DIMENSION_LABELS } from './dimensionUtils.js';
+import { escapeHtml } from './uiUtils.js';
+
+// Callbacks provided by popup.js
+let reportStatus = () => {};
+
+// Filters as edited (may include incomplete rows)
+let apiFilters = [];
+
+/**
+ * Initialize the API filter editor
+ * @param {Object} options - Options for the API filter UI
+ * @param {Function} options.updateStatus - Status bar callback
+ */
+export function initApiFilterUI({ updateStatus }) {
+  reportStatus = updateStatus || reportStatus;
+
+  document.getElementById('addApiFilter')?.addEventListener('click', () => {
+    apiFilters.push({ dimension: 'query', operator: 'contains', expression: '' });
+    renderApiFilters();
+  });
+
+  const list = document.getElementById('apiFilterList');
+  list?.addEventListener('change', handleFilterChange);
+  list?.addEventListener('input', handleFilterChange);
+  list?.addEventListener('click', (e) => {
+    const row = e.target.closest('.api-filter');
+    if (!row || !e.target.closest('button[data-action="remove-api-filter"]')) return;
+    apiFilters.splice(parseInt(row.dataset.index), 1);
+    renderApiFilters();
+  });
+
+  renderApiFilters();
+}
+
+/**
+ * Filters to send with the next fetch (rows without a value are left out; invalid ones make the fetch fail)
+ * @returns {Array<Object>} - { dimension, operator, expression }
+ */
+export function getApiFilters() {
+  return normalizeApiFilters(apiFilters);
+}
+
+/**
+ * Replaces the filters (e.g. when a saved view is loaded)
+ * @param {Array<Object>} filters - { dimension, operator, expression }
+ */
+export function setApiFilters(filters) {
+  apiFilters = (filters || []).map(filter => ({ ...filter }));
+  renderApiFilters();
+}
+
+/**
+ * Adds a filter (e.g. the client-side query regex pushed to the API)
+ * @param {Object} filter - { dimension, operator, expression }
+ * @returns {boolean} - False if the filter is invalid
+ */
+export function addApiFilter(filter) {
+  const error = validateApiFilter(filter);
+  if (error) {
+    reportStatus(error, true);
+    return false;
+  }
+  apiFilters.push({ ...filter });
+  renderApiFilters();
+  return true;
+}
+
+/**
+ * Updates a filter from its inputs and shows validation errors inline
+ * @param {Event} e - change/input event from the filter list
+ */
+function handleFilterChange(e) {
+  const row = e.target.closest('.api-filter');
+  if (!row) return;
+  const filter = apiFilters[parseInt(row.dataset.index)];
+  if (!filter) return;
+
+  filter.dimension = row.querySelector('.api-filter-dimension').value;
+  filter.operator = row.querySelector('.api-filter-operator').value;
+  filter.expression = row.querySelector('.api-filter-expression').value;
+
+  const input = row.querySelector('.api-filter-expression');
+  const error = filter.expression ? validateApiFilter({ ...filter, expression: filter.expression.trim() }) : null;
+  input.style.borderColor = error ? 'red' : '';
+  input.title = error || '';
+  updateFilterCount();
+}
+
+/**
+ * Renders the filter rows
+ */
+function renderApiFilters() {
+  const list = document.getElementById('apiFilterList');
+  if (!list) return;
+
+  const option = (value, label, selected) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`;
+
+  list.innerHTML = apiFilters.map((filter, index) => `<div class="api-filter" data-index="${index}">
+      <select class="api-filter-dimension">${API_FILTER_DIMENSIONS.map(dimension => option(dimension, DIMENSION_LABELS[dimension] || dimension, filter.dimension)).join('')}</select>
+      <select class="api-filter-operator">${Object.entries(API_FILTER_OPERATORS).map(([value, label]) => option(value, label, filter.operator)).join('')}</select>
+      <input type="text" class="api-filter-expression" value="${escapeHtml(filter.expression)}" placeholder="Value or regex">
+      <button data-action="remove-api-filter" title="Remove filter">X</button>
+    </div>`).join('');
+  updateFilterCount();
+}
+
+/**
+ * Shows the number of active API filters next to the fetch options heading
+ */
+function updateFilterCount() {
+  const count = document.getElementById('apiFilterCount');
+  if (count) {
+    const active = getApiFilters().filter(filter => validateApiFilter(filter) === null).length;
+    count.textContent = active > 0 ? `(${active} active)` : '';
+  }
+}
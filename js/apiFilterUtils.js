@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Server-side (API) filters on the query and page dimensions.
+ * These filters are sent as `dimensionFilterGroups` with every request of a fetch, so they select
+ * rows before the row limit applies (unlike the client-side filters of the keyword table).
+ */
+
+/**
+ * Dimensions that can be filtered on the API side
+ */
+export const API_FILTER_DIMENSIONS = ['query', 'page'];
+
+/**
+ * Operators supported by the Search Analytics API, with their labels
+ */
+export const API_FILTER_OPERATORS = {
+    contains: 'contains',
+    notContains: 'does not contain',
+    equals: 'equals',
+    notEquals: 'does not equal',
+    includingRegex: 'matches regex',
+    excludingRegex: 'does not match regex'
+};
+
+/**
+ * Maximum length of a regex expression accepted by the API
+ */
+const API_REGEX_MAX_LENGTH = 4096;
+
+/**
+ * Checks an API filter
+ * @param {Object} filter - { dimension, operator, expression }
+ * @returns {string|null} - Error message, or null if the filter is valid
+ */
+export function validateApiFilter(filter) {
+    if (!API_FILTER_DIMENSIONS.includes(filter?.dimension)) return `Unsupported filter dimension: ${filter?.dimension}`;
+    if (!API_FILTER_OPERATORS[filter.operator]) return `Unsupported filter operator: ${filter.operator}`;
+    if (!filter.expression) return 'Enter a value for the filter.';
+
+    if (filter.operator === 'includingRegex' || filter.operator === 'excludingRegex') {
+        if (filter.expression.length > API_REGEX_MAX_LENGTH) return `Regex is longer than ${API_REGEX_MAX_LENGTH} characters.`;
+        // The API uses RE2, which has no lookarounds or backreferences
+        if (/\(\?<?[=!]|\\[1-9]/.test(filter.expression)) return 'Lookarounds and backreferences are not supported by the API (RE2 syntax).';
+        try {
+            // RE2 flag groups such as a leading (?i) are not JavaScript syntax
+            new RegExp(filter.expression.replace(/^\(\?[imsU]+\)/, ''));
+        } catch (e) {
+            return `Invalid regex: ${e.message}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Trims the expressions and leaves out filters without a value. Invalid filters are kept so the
+ * fetch can refuse them (see findApiFilterError) instead of running unfiltered.
+ * @param {Array<Object>} filters - Filters as entered
+ * @returns {Array<Object>} - Filters for fetchGscDataForPeriod's `dimensionFilters`
+ */
+export function normalizeApiFilters(filters) {
+    return (filters || [])
+        .map(filter => ({ dimension: filter.dimension, operator: filter.operator, expression: (filter.expression || '').trim() }))
+        .filter(filter => filter.expression !== '');
+}
+
+/**
+ * First validation error of a list of filters
+ * @param {Array<Object>} filters - Filters from normalizeApiFilters
+ * @returns {string|null} - Error message naming the filter, or null if all are valid
+ */
+export function findApiFilterError(filters) {
+    for (const filter of filters || []) {
+        const error = validateApiFilter(filter);
+        if (error) return `API filter ${describeApiFilters([filter])}: ${error}`;
+    }
+    return null;
+}
+
+/**
+ * Human-readable description of a list of filters
+ * @param {Array<Object>} filters - API filters
+ * @returns {string} - e.g. 'query contains "shoes" AND page does not contain "/blog/"'
+ */
+export function describeApiFilters(filters) {
+    return (filters || [])
+        .map(filter => `${filter.dimension} ${API_FILTER_OPERATORS[filter.operator] || filter.operator} "${filter.expression}"`)
+        .join(' AND ');
+}
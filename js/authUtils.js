@@ -2,10 +2,26 @@
  * Authentication utility functions for GSC extension
  */
 
+import { clearResponseCache } from './responseCache.js';
+import { clearSnapshots } from './snapshotUtils.js';
+import { clearAlertLog } from './alertUtils.js';
+import { saveScheduledFetches } from './scheduleUtils.js';
+
 // Auth state that will be imported into popup.js
 export let currentAuthToken = null;
 export let isSignedIn = false;
 
+// Callbacks run by handleSignOutClick for state that belongs to the signed-out account
+const signOutListeners = [];
+
+/**
+ * Registers a callback run (and awaited) when the user signs out
+ * @param {Function} listener - Clears state of the signed-out account (e.g. the sitemap write token)
+ */
+export function onSignOut(listener) {
+  signOutListeners.push(listener);
+}
+
 /**
  * Set the current auth token and update sign-in state
  * @param {string|null} token - The auth token or null if signed out
@@ -15,14 +31,26 @@ export function setAuthToken(token) {
   isSignedIn = !!token;
 }
 
+/**
+ * Read-only scope requested at sign-in (manifest oauth2.scopes)
+ */
+export const READONLY_SCOPE = 'https://www.googleapis.com/auth/webmasters.readonly';
+
+/**
+ * Full Search Console scope, only requested when the user enables write actions (e.g. sitemap submit/delete)
+ */
+export const WRITE_SCOPE = 'https://www.googleapis.com/auth/webmasters';
+
 /**
  * Get auth token from Chrome Identity API
  * @param {boolean} interactive - Whether to show interactive sign-in prompt
+ * @param {Array<string>} [scopes] - Scopes to request instead of the manifest scopes (e.g. [WRITE_SCOPE])
  * @returns {Promise<string>} Auth token
  */
-export async function getAuthToken(interactive) {
+export async function getAuthToken(interactive, scopes = null) {
+  const details = scopes ? { interactive: interactive, scopes: scopes } : { interactive: interactive };
   return new Promise((resolve, reject) => {
-    chrome.identity.getAuthToken({ interactive: interactive }, (token) => {
+    chrome.identity.getAuthToken(details, (token) => {
       if (chrome.runtime.lastError) {
         console.error("getAuthToken Error:", chrome.runtime.lastError.message);
         if (chrome.runtime.lastError.message.includes("user interaction required") ||
@@ -160,5 +188,31 @@ export async function handleSignOutClick(updateStatusFn, displayQueryDataFn) {
     chrome.storage.local.remove(['gscApiResult', 'gscApiResult_previous'], () => {
         console.log("Cleared stored API results on sign out.");
     });
+    // Cached responses belong to this account; the next account must not be served them
+    try {
+        await clearResponseCache();
+    } catch (error) {
+        console.error('Error clearing the response cache on sign out:', error);
+    }
+    // Same for the stored snapshots and the alerts raised on them
+    try {
+        await clearSnapshots();
+        await clearAlertLog();
+    } catch (error) {
+        console.error('Error clearing stored snapshots on sign out:', error);
+    }
+    // Scheduled reports would keep fetching the signed-out account's properties (also clears the alarm)
+    try {
+        await saveScheduledFetches([]);
+    } catch (error) {
+        console.error('Error removing scheduled fetches on sign out:', error);
+    }
+    for (const listener of signOutListeners) {
+        try {
+            await listener();
+        } catch (error) {
+            console.error('Error in sign-out listener:', error);
+        }
+    }
     signInButton.disabled = false; // Re-enable Sign In
 }
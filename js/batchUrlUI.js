@@ -0,0 +1,171 @@
+/**
+ * Batch URL UI
+ * Batch mode of the custom URL field: paste URLs or load a sitemap.xml, run the analysis with
+ * progress and cancel, and export the combined results
+ */
+
+import { findApiFilterError } from './apiFilterUtils.js';
+import { getApiDateRange } from './dateUtils.js';
+import { getBestMatchingProperty } from './sitePropertiesUtils.js';
+import {
+  BATCH_URL_LIMIT,
+  analyzeUrlBatch,
+  parseSitemap,
+  parseUrlList
+} from './batchUrlUtils.js';
+import { exportBatchUrlReport } from './exportUtils.js';
+import { renderBatchUrlResults } from './uiUtils.js';
+
+// Callbacks provided by popup.js
+let getToken = () => null;
+let getFilters = () => [];
+let reportStatus = () => {};
+
+// Batch state
+let batchResults = [];
+let batchPeriod = null;
+let batchController = null;
+
+/**
+ * Initialize the batch URL panel
+ * @param {Object} options - Options for the batch UI
+ * @param {Function} options.getAuthToken - Returns the current OAuth token (or null when signed out)
+ * @param {Function} options.getApiFilters - Returns the API filters of the fetch options
+ * @param {Function} options.updateStatus - Status bar callback
+ */
+export function initBatchUrlUI({ getAuthToken, getApiFilters, updateStatus }) {
+  getToken = getAuthToken || getToken;
+  getFilters = getApiFilters || getFilters;
+  reportStatus = updateStatus || reportStatus;
+
+  const panel = document.getElementById('batchUrlPanel');
+  document.getElementById('toggleBatchUrls')?.addEventListener('click', () => {
+    if (panel) panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+  });
+
+  // Sitemap files are read locally and their page URLs appended to the list
+  document.getElementById('batchSitemapFile')?.addEventListener('change', async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      const { urls, nestedSitemaps } = parseSitemap(await file.text());
+      if (nestedSitemaps.length > 0) {
+        reportStatus(`${file.name} is a sitemap index (${nestedSitemaps.length} sitemaps). Load one of the listed sitemaps instead.`, true, 'warning');
+        return;
+      }
+      const input = document.getElementById('batchUrlInput');
+      if (input) input.value = [input.value.trim(), ...urls].filter(Boolean).join('\n');
+      reportStatus(`Loaded ${urls.length} URLs from ${file.name}.`);
+    } catch (error) {
+      console.error('Error reading sitemap:', error);
+      reportStatus(`Error: ${error.message}`, true);
+    } finally {
+      e.target.value = ''; // Allow loading the same file again
+    }
+  });
+
+  document.getElementById('runBatchUrls')?.addEventListener('click', handleRunBatch);
+  document.getElementById('cancelBatchUrls')?.addEventListener('click', () => {
+    if (batchController) batchController.abort();
+  });
+  document.getElementById('exportBatchCSV')?.addEventListener('click', () => {
+    exportBatchUrlReport({ format: 'csv', results: batchResults, period: batchPeriod });
+  });
+  document.getElementById('exportBatchExcel')?.addEventListener('click', () => {
+    exportBatchUrlReport({ format: 'excel', results: batchResults, period: batchPeriod });
+  });
+}
+
+/**
+ * Runs the batch for the URLs in the text area
+ */
+async function handleRunBatch() {
+  const authToken = getToken();
+  if (!authToken) {
+    reportStatus('Please sign in to analyze URLs.', true);
+    return;
+  }
+
+  const { urls, invalid } = parseUrlList(document.getElementById('batchUrlInput')?.value);
+  if (urls.length === 0) {
+    reportStatus('Paste at least one URL or load a sitemap.', true, 'warning');
+    return;
+  }
+  if (urls.length > BATCH_URL_LIMIT) {
+    reportStatus(`Batches are limited to ${BATCH_URL_LIMIT} URLs (${urls.length} given).`, true, 'warning');
+    return;
+  }
+
+  let period;
+  if (document.getElementById('dateRange')?.value === 'custom') {
+    const startDate = document.getElementById('period2StartDate')?.value;
+    const endDate = document.getElementById('period2EndDate')?.value;
+    period = startDate && endDate ? { startDate, endDate } : null;
+  } else {
+    period = getApiDateRange(document.getElementById('dateRange')?.value);
+  }
+  if (!period) {
+    reportStatus('Invalid date range selected.', true);
+    return;
+  }
+
+  // Same API filters as the regular fetch; an invalid one stops the batch instead of running it unfiltered
+  const dimensionFilters = getFilters();
+  const filterError = findApiFilterError(dimensionFilters);
+  if (filterError) {
+    reportStatus(filterError, true);
+    return;
+  }
+
+  const runButton = document.getElementById('runBatchUrls');
+  const cancelButton = document.getElementById('cancelBatchUrls');
+  const progress = document.getElementById('batchUrlProgress');
+  const resultsContainer = document.getElementById('batchUrlResults');
+  batchController = new AbortController();
+
+  try {
+    if (runButton) runButton.disabled = true;
+    if (cancelButton) cancelButton.style.display = 'inline-block';
+    if (invalid.length > 0) console.warn('Skipped invalid batch entries:', invalid);
+    reportStatus(`Analyzing ${urls.length} URLs (${period.startDate} to ${period.endDate})...`);
+
+    batchResults = await analyzeUrlBatch({
+      urls,
+      period,
+      authToken,
+      findProperty: getBestMatchingProperty,
+      deviceFilter: document.getElementById('deviceFilter')?.value || 'all',
+      searchTypeFilter: document.getElementById('searchTypeFilter')?.value || 'web',
+      countryFilter: document.getElementById('countryFilter')?.value || 'all',
+      dimensionFilters,
+      signal: batchController.signal,
+      onProgress: (done, total) => {
+        if (progress) progress.textContent = `${done} / ${total} URLs`;
+      }
+    });
+    batchPeriod = period;
+    renderBatchUrlResults({ container: resultsContainer, results: batchResults });
+
+    const failed = batchResults.filter(result => result.error).length;
+    if (batchController.signal.aborted) {
+      if (progress) progress.textContent = `Cancelled at ${batchResults.length} / ${urls.length} URLs`;
+      reportStatus(`Batch cancelled: showing the ${batchResults.length} of ${urls.length} URLs analyzed before cancelling.`, false, 'warning');
+      return;
+    }
+    const summary = `Analyzed ${batchResults.length} of ${urls.length} URLs` +
+      (failed > 0 ? `, ${failed} failed` : '') +
+      (invalid.length > 0 ? `, ${invalid.length} invalid entries skipped` : '');
+    if (failed > 0) {
+      reportStatus(`${summary}.`, true, 'warning');
+    } else {
+      reportStatus(`${summary}.`);
+    }
+  } catch (error) {
+    console.error('Error running URL batch:', error);
+    reportStatus(`Error: ${error.message}`, true);
+  } finally {
+    batchController = null;
+    if (runButton) runButton.disabled = false;
+    if (cancelButton) cancelButton.style.display = 'none';
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Batch URL analysis.
+ * Takes a pasted list of URLs or a local sitemap.xml and fetches totals and top queries for each
+ * URL from its best-matching property. URLs are processed one after another with a short pause
+ * between them to stay well under the Search Analytics rate limits.
+ */
+
+import { fetchGscDataForPeriod } from './dataFetchUtils.js';
+import { isPageOnlySearchType } from './dimensionUtils.js';
+import { summarizeDailyRows } from './portfolioUtils.js';
+
+/**
+ * Maximum number of URLs analyzed in one batch
+ */
+export const BATCH_URL_LIMIT = 500;
+
+/**
+ * Number of top queries fetched per URL
+ */
+export const BATCH_TOP_QUERIES = 100;
+
+/**
+ * Pause between two URLs (each URL makes two requests)
+ */
+const BATCH_REQUEST_DELAY_MS = 500;
+
+/**
+ * Maximum number of daily rows requested per URL (covers the 16-month data window)
+ */
+const BATCH_DAILY_ROW_LIMIT = 500;
+
+/**
+ * Extracts http(s) URLs from pasted text (one per line, or separated by spaces/commas)
+ * @param {string} text - Pasted text
+ * @returns {Object} - { urls: unique valid URLs in input order, invalid: entries that are not URLs }
+ */
+export function parseUrlList(text) {
+    const urls = [];
+    const invalid = [];
+    const seen = new Set();
+
+    (text || '').split(/[\s,]+/).map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+        try {
+            const url = new URL(entry);
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error('Not http(s)');
+            if (!seen.has(url.href)) {
+                seen.add(url.href);
+                urls.push(url.href);
+            }
+        } catch (e) {
+            invalid.push(entry);
+        }
+    });
+
+    return { urls, invalid };
+}
+
+/**
+ * Extracts the page URLs of a sitemap.xml
+ * @param {string} xmlText - Sitemap file content
+ * @returns {Object} - { urls, nestedSitemaps } - nestedSitemaps lists the <loc> entries of a sitemap index,
+ *                     which point to further sitemap files instead of pages
+ * @throws {Error} If the file is not valid XML
+ */
+export function parseSitemap(xmlText) {
+    const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('The file is not a valid sitemap XML');
+    }
+
+    const locations = Array.from(doc.getElementsByTagNameNS('*', 'loc')).map(loc => loc.textContent.trim());
+    if (doc.documentElement.localName === 'sitemapindex') {
+        return { urls: [], nestedSitemaps: locations };
+    }
+    return { urls: parseUrlList(locations.join('\n')).urls, nestedSitemaps: [] };
+}
+
+/**
+ * Waits before the next URL (resolves early when the batch is cancelled)
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Cancellation signal
+ * @returns {Promise<void>}
+ */
+function pause(ms, signal) {
+    return new Promise(resolve => {
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            resolve();
+        }, { once: true });
+    });
+}
+
+/**
+ * Fetches totals and top queries for every URL
+ * @param {Object} options - Batch options
+ * @param {Array<string>} options.urls - URLs to analyze
+ * @param {Object} options.period - { startDate, endDate }
+ * @param {string} options.authToken - OAuth token for the Search Console API
+ * @param {Function} options.findProperty - Returns the property for a URL (getBestMatchingProperty) or null
+ * @param {string} [options.deviceFilter] - Device filter
+ * @param {string} [options.searchTypeFilter] - Search type filter
+ * @param {string} [options.countryFilter] - Country filter
+ * @param {Array<Object>} [options.dimensionFilters] - API filters ({ dimension, operator, expression }) added to every request
+ * @param {AbortSignal} [options.signal] - Signal used to stop the batch
+ * @param {Function} [options.onProgress] - Called with (done, total, url) after every URL
+ * @returns {Promise<Array<Object>>} - One result per processed URL (URLs completed before a cancel only):
+ *                                     { url, siteUrl, clicks, impressions, ctr, position, queries, error }
+ *                                     (no queries for page-only search types)
+ */
+export async function analyzeUrlBatch({ urls, period, authToken, findProperty, deviceFilter = 'all', searchTypeFilter = 'web', countryFilter = 'all', dimensionFilters = [], signal = null, onProgress = () => {} }) {
+    const results = [];
+    // Discover and Google News have no query dimension: totals only, and query filters are dropped (as in handleFetchDataClick)
+    const pageOnly = isPageOnlySearchType(searchTypeFilter);
+    const filters = pageOnly ? dimensionFilters.filter(filter => filter.dimension !== 'query') : dimensionFilters;
+
+    for (let index = 0; index < urls.length; index++) {
+        if (signal?.aborted) break;
+        const url = urls[index];
+        const siteUrl = findProperty(url);
+
+        if (!siteUrl) {
+            results.push({ url, siteUrl: null, clicks: null, impressions: null, ctr: null, position: null, queries: [], error: 'No matching property' });
+        } else {
+            try {
+                const options = { signal, countryFilter, dimensionFilters: filters };
+                const [dailyResult, queryResult] = await Promise.all([
+                    fetchGscDataForPeriod(siteUrl, period.startDate, period.endDate, BATCH_DAILY_ROW_LIMIT, url, authToken, deviceFilter, searchTypeFilter, 'date', () => {}, options),
+                    pageOnly
+                        ? Promise.resolve({ data: [] })
+                        : fetchGscDataForPeriod(siteUrl, period.startDate, period.endDate, BATCH_TOP_QUERIES, url, authToken, deviceFilter, searchTypeFilter, 'query', () => {}, options)
+                ]);
+                const queries = [...(queryResult.data || [])].sort((a, b) => (b.clicks - a.clicks) || (b.impressions - a.impressions));
+                results.push({ url, siteUrl, ...summarizeDailyRows(dailyResult.data || []), queries, error: null });
+            } catch (error) {
+                // A cancelled request is not a failed URL: the batch stops with the URLs completed so far
+                if (signal?.aborted) break;
+                console.error(`Error analyzing ${url}:`, error);
+                results.push({ url, siteUrl, clicks: null, impressions: null, ctr: null, position: null, queries: [], error: error.message });
+            }
+        }
+
+        onProgress(index + 1, urls.length, url);
+        if (index < urls.length - 1) await pause(BATCH_REQUEST_DELAY_MS, signal);
+    }
+
+    return results;
+}
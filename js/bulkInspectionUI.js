@@ -0,0 +1,203 @@
+/**
+ * Bulk URL Inspection UI
+ * Indexing tab: inspects the top pages of the loaded report or a pasted list of URLs, shows
+ * today's quota usage and exports the results.
+ */
+
+import { PAGE_LEVEL_ROW_LIMIT, fetchGscDataForPeriod } from './dataFetchUtils.js';
+import { getBestMatchingProperty } from './sitePropertiesUtils.js';
+import { parseUrlList } from './batchUrlUtils.js';
+import {
+  INSPECTION_DAILY_QUOTA,
+  INSPECTION_USAGE_KEY,
+  getInspectionUsage,
+  inspectUrlBatch
+} from './urlInspectionUtils.js';
+import { exportInspectionReport } from './exportUtils.js';
+import { renderInspectionTable } from './uiUtils.js';
+
+// Callbacks provided by popup.js
+let getToken = () => null;
+let getMetadata = () => null;
+let reportStatus = () => {};
+
+// Inspection state
+let inspectionResults = [];
+let inspectionController = null;
+// Clicks and impressions of the loaded top pages, used to flag non-indexed pages with impressions
+let topPageMetrics = new Map();
+
+/**
+ * Initialize the Indexing tab
+ * @param {Object} options - Options for the bulk inspection UI
+ * @param {Function} options.getAuthToken - Returns the current OAuth token (or null when signed out)
+ * @param {Function} options.getCurrentMetadata - Returns the metadata of the loaded report (source of the top pages)
+ * @param {Function} options.updateStatus - Status bar callback
+ */
+export function initBulkInspectionUI({ getAuthToken, getCurrentMetadata, updateStatus }) {
+  getToken = getAuthToken || getToken;
+  getMetadata = getCurrentMetadata || getMetadata;
+  reportStatus = updateStatus || reportStatus;
+
+  document.getElementById('loadInspectionTopPages')?.addEventListener('click', handleLoadTopPages);
+  document.getElementById('runBulkInspection')?.addEventListener('click', handleRunInspection);
+  document.getElementById('cancelBulkInspection')?.addEventListener('click', () => {
+    if (inspectionController) inspectionController.abort();
+  });
+  document.getElementById('exportInspectionCSV')?.addEventListener('click', () => {
+    exportInspectionReport({ format: 'csv', results: inspectionResults });
+  });
+  document.getElementById('exportInspectionExcel')?.addEventListener('click', () => {
+    exportInspectionReport({ format: 'excel', results: inspectionResults });
+  });
+
+  // Single inspections from the custom URL field also count against the quota
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[INSPECTION_USAGE_KEY]) {
+      renderQuotaUsage();
+    }
+  });
+}
+
+/**
+ * Shows today's inspection usage per property (called when the Indexing tab is shown)
+ * @returns {Promise<void>}
+ */
+export async function renderQuotaUsage() {
+  const element = document.getElementById('inspectionQuota');
+  if (!element) return;
+  const usage = await getInspectionUsage();
+  const entries = Object.entries(usage.counts);
+  element.textContent = entries.length === 0
+    ? `No inspections used today (${INSPECTION_DAILY_QUOTA.toLocaleString()} per property per day).`
+    : `Used today: ${entries.map(([siteUrl, count]) => `${siteUrl.replace(/^sc-domain:/, '')} ${count}/${INSPECTION_DAILY_QUOTA}`).join(', ')}`;
+}
+
+/**
+ * Page rows of the loaded report.
+ * Repeats the page-level request of the last fetch, which the response cache answers locally.
+ * @param {Object} metadata - Metadata of the loaded report
+ * @param {string} authToken - OAuth token
+ * @returns {Promise<Array<Object>>} - Rows of { page, clicks, impressions, ... }
+ */
+async function fetchReportPages(metadata, authToken) {
+  const result = await fetchGscDataForPeriod(
+    metadata.siteUrl, metadata.startDate, metadata.endDate, PAGE_LEVEL_ROW_LIMIT, metadata.pageUrl || null, authToken,
+    metadata.deviceFilter || 'all', metadata.searchTypeFilter || 'web', 'page', () => {}, { countryFilter: metadata.countryFilter || 'all', dimensionFilters: metadata.dimensionFilters || [] }
+  );
+  return result.data;
+}
+
+/**
+ * Looks up clicks and impressions of URLs that were pasted rather than loaded as top pages,
+ * so non-indexed pages with impressions are flagged for them too. URLs outside the loaded report
+ * keep unknown metrics.
+ * @param {Array<string>} urls - URLs to inspect
+ * @param {string} authToken - OAuth token
+ */
+async function lookupPastedUrlMetrics(urls, authToken) {
+  const metadata = getMetadata();
+  const missing = urls.filter(url => !topPageMetrics.has(url));
+  if (missing.length === 0 || !metadata?.siteUrl) return;
+
+  try {
+    const pagesByUrl = new Map((await fetchReportPages(metadata, authToken)).map(page => [page.page, page]));
+    missing.forEach(url => {
+      const page = pagesByUrl.get(url);
+      if (page) topPageMetrics.set(url, { clicks: page.clicks, impressions: page.impressions });
+    });
+  } catch (error) {
+    // Inspection still runs; the pasted URLs are just not flagged
+    console.error('Error looking up page metrics for pasted URLs:', error);
+  }
+}
+
+/**
+ * Fills the URL list with the top pages (by impressions) of the loaded report
+ */
+async function handleLoadTopPages() {
+  const metadata = getMetadata();
+  const authToken = getToken();
+  if (!metadata?.siteUrl || !authToken) {
+    reportStatus('Fetch GSC data first to load its top pages.', true, 'warning');
+    return;
+  }
+
+  const limit = parseInt(document.getElementById('inspectionTopN')?.value) || 50;
+  try {
+    reportStatus('Loading top pages...');
+    const rows = await fetchReportPages(metadata, authToken);
+    const pages = [...rows].sort((a, b) => b.impressions - a.impressions).slice(0, limit);
+    const input = document.getElementById('bulkInspectionInput');
+    if (input) input.value = pages.map(page => page.page).join('\n');
+    topPageMetrics = new Map(pages.map(page => [page.page, { clicks: page.clicks, impressions: page.impressions }]));
+    reportStatus(`Loaded the top ${pages.length} pages by impressions.`);
+  } catch (error) {
+    console.error('Error loading top pages:', error);
+    reportStatus(`Error: ${error.message}`, true);
+  }
+}
+
+/**
+ * Inspects the URLs in the text area
+ */
+async function handleRunInspection() {
+  const authToken = getToken();
+  if (!authToken) {
+    reportStatus('Please sign in to inspect URLs.', true);
+    return;
+  }
+
+  const { urls, invalid } = parseUrlList(document.getElementById('bulkInspectionInput')?.value);
+  if (urls.length === 0) {
+    reportStatus('Load the top pages or paste at least one URL.', true, 'warning');
+    return;
+  }
+  if (urls.length > INSPECTION_DAILY_QUOTA) {
+    reportStatus(`At most ${INSPECTION_DAILY_QUOTA} URLs can be inspected per property per day (${urls.length} given).`, true, 'warning');
+    return;
+  }
+
+  const runButton = document.getElementById('runBulkInspection');
+  const cancelButton = document.getElementById('cancelBulkInspection');
+  const progress = document.getElementById('bulkInspectionProgress');
+  inspectionController = new AbortController();
+
+  try {
+    if (runButton) runButton.disabled = true;
+    if (cancelButton) cancelButton.style.display = 'inline-block';
+    if (invalid.length > 0) console.warn('Skipped invalid inspection entries:', invalid);
+    await lookupPastedUrlMetrics(urls, authToken);
+    reportStatus(`Inspecting ${urls.length} URLs...`);
+
+    inspectionResults = await inspectUrlBatch({
+      items: urls.map(url => ({ url, ...topPageMetrics.get(url) })),
+      authToken,
+      findProperty: getBestMatchingProperty,
+      signal: inspectionController.signal,
+      onProgress: (done, total) => {
+        if (progress) progress.textContent = `${done} / ${total} URLs`;
+      }
+    });
+    renderInspectionTable({ container: document.getElementById('bulkInspectionResults'), results: inspectionResults });
+
+    const failed = inspectionResults.filter(result => result.error).length;
+    const quotaHits = inspectionResults.filter(result => result.quotaExceeded).length;
+    const flagged = inspectionResults.filter(result => result.notIndexedWithImpressions).length;
+    const summary = `Inspected ${inspectionResults.length} of ${urls.length} URLs` +
+      (flagged > 0 ? `, ${flagged} not indexed but getting impressions` : '') +
+      (failed > 0 ? `, ${failed} failed${quotaHits > 0 ? ` (${quotaHits} over the daily quota)` : ''}` : '');
+    if (inspectionController.signal.aborted || failed > 0 || flagged > 0) {
+      reportStatus(`${summary}.`, true, 'warning');
+    } else {
+      reportStatus(`${summary}.`);
+    }
+  } catch (error) {
+    console.error('Error running bulk inspection:', error);
+    reportStatus(`Error: ${error.message}`, true);
+  } finally {
+    inspectionController = null;
+    if (runButton) runButton.disabled = false;
+    if (cancelButton) cancelButton.style.display = 'none';
+  }
+}
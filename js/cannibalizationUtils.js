@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Keyword cannibalization detection.
+ * Works on query + page rows and reports queries for which two or more pages
+ * of the property get impressions, with each page's share of the query's traffic.
+ */
+
+/**
+ * Row limit used when query + page rows are fetched for the report (one API request)
+ */
+export const CANNIBALIZATION_ROW_LIMIT = 25000;
+
+/**
+ * Groups query + page rows by query and keeps the queries with competing pages
+ * @param {Array} rows - Rows of { query, page, clicks, impressions, ctr, position }
+ * @param {Object} [options] - Detection options
+ * @param {number} [options.minPages=2] - Minimum number of pages with impressions for a query to be reported
+ * @returns {Array<Object>} - Groups of { query, pageCount, clicks, impressions, pages: [...] },
+ *                            most impressions first; pages carry clickShare/impressionShare as decimals
+ */
+export function findCannibalizedQueries(rows, { minPages = 2 } = {}) {
+    const groups = new Map();
+
+    (rows || []).forEach(row => {
+        if (!row.query || !row.page || !(row.impressions > 0)) return;
+        const key = row.query.toLowerCase();
+        if (!groups.has(key)) {
+            groups.set(key, { query: row.query, pages: [] });
+        }
+        groups.get(key).pages.push(row);
+    });
+
+    const report = [];
+    groups.forEach(group => {
+        if (group.pages.length < minPages) return;
+
+        const clicks = group.pages.reduce((sum, row) => sum + (row.clicks || 0), 0);
+        const impressions = group.pages.reduce((sum, row) => sum + (row.impressions || 0), 0);
+        const pages = group.pages
+            .map(row => ({
+                page: row.page,
+                clicks: row.clicks || 0,
+                impressions: row.impressions || 0,
+                clickShare: clicks > 0 ? (row.clicks || 0) / clicks : 0,
+                impressionShare: impressions > 0 ? (row.impressions || 0) / impressions : 0,
+                position: parseFloat(row.position || 0)
+            }))
+            .sort((a, b) => (b.clicks - a.clicks) || (b.impressions - a.impressions));
+
+        report.push({ query: group.query, pageCount: pages.length, clicks, impressions, pages });
+    });
+
+    return report.sort((a, b) => (b.impressions - a.impressions) || (b.pageCount - a.pageCount));
+}
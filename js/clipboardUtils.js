@@ -4,6 +4,7 @@
 
 import { updateStatus } from './statusUtils.js';
 import { getCurrentGroupingState } from './keywordGroupingUI.js';
+import { DIMENSION_LABELS, getExtraDimensions } from './dimensionUtils.js';
 
 /**
  * Copies the current filtered and sorted data to the clipboard in a tab-delimited format.
@@ -13,36 +14,51 @@ import { getCurrentGroupingState } from './keywordGroupingUI.js';
  * @param {Array} options.filteredAndSortedData - The filtered and sorted data to copy
  * @param {Array} options.currentQueryData - The current query data
  * @param {Object} options.currentMetadata - The current metadata
+ * @param {boolean} [options.pageTable] - Whether the rows are the page rows of the page table
  * @returns {Promise<void>} A promise that resolves when the copy operation is complete
  */
 export function copyToClipboard({ 
     filteredAndSortedData, 
     currentQueryData, 
-    currentMetadata 
+    currentMetadata,
+    pageTable = false
 }) {
     if (!filteredAndSortedData?.length) return Promise.resolve();
     
-    // Check if keyword grouping is active
+    // Check if keyword grouping is active (it groups keywords, not the rows of the page table)
     const groupingState = getCurrentGroupingState();
     
-    if (groupingState.enabled && groupingState.result) {
+    if (!pageTable && groupingState.enabled && groupingState.result) {
         return copyGroupedDataToClipboard(groupingState.result, currentQueryData, currentMetadata);
     } else {
-        return copyNormalDataToClipboard(filteredAndSortedData, currentQueryData, currentMetadata);
+        return copyNormalDataToClipboard(filteredAndSortedData, currentQueryData, currentMetadata, pageTable);
     }
 }
 
 /**
  * Copy normal (non-grouped) data to clipboard
  */
-function copyNormalDataToClipboard(filteredAndSortedData, currentQueryData, currentMetadata) {
-    const headers = 'Query\tClicks\tImpressions\tCTR (%)\tPosition\n';
+function copyNormalDataToClipboard(filteredAndSortedData, currentQueryData, currentMetadata, pageTable = false) {
+    // Page-only reports (Discover, Google News) list pages and have no position-based columns;
+    // page table rows have a position but no CTR benchmarks
+    const pageOnly = !!currentMetadata?.pageOnly;
+    const pageRows = pageOnly || pageTable;
+    const rowLabel = pageRows ? 'pages' : 'keywords';
+    const extraDimensions = pageTable ? [] : getExtraDimensions(currentMetadata);
+    const headers = [
+        pageRows ? 'Page' : 'Query', ...extraDimensions.map(d => DIMENSION_LABELS[d] || d), 'Clicks', 'Impressions', 'CTR (%)',
+        ...(pageOnly ? [] : ['Position']),
+        ...(pageRows ? [] : ['CTR vs Expected (pp)', 'Opportunity'])
+    ].join('\t') + '\n';
     const text = headers + filteredAndSortedData.map(i => {
         const c = i.clicks !== null && i.clicks !== undefined ? i.clicks.toLocaleString() : '-';
         const m = i.impressions !== null && i.impressions !== undefined ? i.impressions.toLocaleString() : '-';
         const r = i.ctr !== null && i.ctr !== undefined ? (parseFloat(i.ctr) * 100).toFixed(2) + '%' : '-';
         const p = i.position !== null && i.position !== undefined ? parseFloat(i.position).toFixed(2) : '-';
-        return [i.query || '', c, m, r, p].join('\t');
+        const d = i.ctrDelta !== null && i.ctrDelta !== undefined ? (i.ctrDelta * 100).toFixed(2) : '-';
+        const o = i.opportunityScore !== null && i.opportunityScore !== undefined ? i.opportunityScore.toLocaleString() : '-';
+        const dims = extraDimensions.map(d => i[d] ?? '');
+        return [i.query || '', ...dims, c, m, r, ...(pageOnly ? [] : [p]), ...(pageRows ? [] : [d, o])].join('\t');
     }).join('\n');
     
     return navigator.clipboard.writeText(text)
@@ -50,7 +66,7 @@ function copyNormalDataToClipboard(filteredAndSortedData, currentQueryData, curr
             updateStatus('Visible data copied!');
             setTimeout(() => { 
                 if (currentMetadata) 
-                    updateStatus(`Showing ${filteredAndSortedData.length} of ${currentQueryData.length} keywords`); 
+                    updateStatus(`Showing ${filteredAndSortedData.length} of ${currentQueryData.length} ${rowLabel}`); 
             }, 2000);
         })
         .catch(err => {
@@ -58,7 +74,7 @@ function copyNormalDataToClipboard(filteredAndSortedData, currentQueryData, curr
             updateStatus('Failed to copy!', true);
             setTimeout(() => { 
                 if (currentMetadata) 
-                    updateStatus(`Showing ${filteredAndSortedData.length} of ${currentQueryData.length} keywords`); 
+                    updateStatus(`Showing ${filteredAndSortedData.length} of ${currentQueryData.length} ${rowLabel}`); 
             }, 2000);
         });
 }
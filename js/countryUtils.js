@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Country helpers for the Search Analytics `country` dimension.
+ * The API identifies countries by lowercase ISO-3166-1 alpha-3 codes (e.g. 'usa', 'gbr').
+ */
+
+/**
+ * ISO-3166-1 alpha-3 codes mapped to readable country names
+ */
+export const COUNTRY_NAMES = {
+    afg: 'Afghanistan', ala: 'Åland Islands', alb: 'Albania', dza: 'Algeria', asm: 'American Samoa',
+    and: 'Andorra', ago: 'Angola', aia: 'Anguilla', ata: 'Antarctica', atg: 'Antigua and Barbuda',
+    arg: 'Argentina', arm: 'Armenia', abw: 'Aruba', aus: 'Australia', aut: 'Austria',
+    aze: 'Azerbaijan', bhs: 'Bahamas', bhr: 'Bahrain', bgd: 'Bangladesh', brb: 'Barbados',
+    blr: 'Belarus', bel: 'Belgium', blz: 'Belize', ben: 'Benin', bmu: 'Bermuda',
+    btn: 'Bhutan', bol: 'Bolivia', bes: 'Bonaire, Sint Eustatius and Saba', bih: 'Bosnia and Herzegovina', bwa: 'Botswana',
+    bvt: 'Bouvet Island', bra: 'Brazil', iot: 'British Indian Ocean Territory', brn: 'Brunei', bgr: 'Bulgaria',
+    bfa: 'Burkina Faso', bdi: 'Burundi', cpv: 'Cabo Verde', khm: 'Cambodia', cmr: 'Cameroon',
+    can: 'Canada', cym: 'Cayman Islands', caf: 'Central African Republic', tcd: 'Chad', chl: 'Chile',
+    chn: 'China', cxr: 'Christmas Island', cck: 'Cocos (Keeling) Islands', col: 'Colombia', com: 'Comoros',
+    cog: 'Congo', cod: 'Congo (DRC)', cok: 'Cook Islands', cri: 'Costa Rica', civ: "Côte d'Ivoire",
+    hrv: 'Croatia', cub: 'Cuba', cuw: 'Curaçao', cyp: 'Cyprus', cze: 'Czechia',
+    dnk: 'Denmark', dji: 'Djibouti', dma: 'Dominica', dom: 'Dominican Republic', ecu: 'Ecuador',
+    egy: 'Egypt', slv: 'El Salvador', gnq: 'Equatorial Guinea', eri: 'Eritrea', est: 'Estonia',
+    swz: 'Eswatini', eth: 'Ethiopia', flk: 'Falkland Islands', fro: 'Faroe Islands', fji: 'Fiji',
+    fin: 'Finland', fra: 'France', guf: 'French Guiana', pyf: 'French Polynesia', atf: 'French Southern Territories',
+    gab: 'Gabon', gmb: 'Gambia', geo: 'Georgia', deu: 'Germany', gha: 'Ghana',
+    gib: 'Gibraltar', grc: 'Greece', grl: 'Greenland', grd: 'Grenada', glp: 'Guadeloupe',
+    gum: 'Guam', gtm: 'Guatemala', ggy: 'Guernsey', gin: 'Guinea', gnb: 'Guinea-Bissau',
+    guy: 'Guyana', hti: 'Haiti', hmd: 'Heard Island and McDonald Islands', vat: 'Holy See', hnd: 'Honduras',
+    hkg: 'Hong Kong', hun: 'Hungary', isl: 'Iceland', ind: 'India', idn: 'Indonesia',
+    irn: 'Iran', irq: 'Iraq', irl: 'Ireland', imn: 'Isle of Man', isr: 'Israel',
+    ita: 'Italy', jam: 'Jamaica', jpn: 'Japan', jey: 'Jersey', jor: 'Jordan',
+    kaz: 'Kazakhstan', ken: 'Kenya', kir: 'Kiribati', prk: 'North Korea', kor: 'South Korea',
+    xkk: 'Kosovo', kwt: 'Kuwait', kgz: 'Kyrgyzstan', lao: 'Laos', lva: 'Latvia',
+    lbn: 'Lebanon', lso: 'Lesotho', lbr: 'Liberia', lby: 'Libya', lie: 'Liechtenstein',
+    ltu: 'Lithuania', lux: 'Luxembourg', mac: 'Macao', mdg: 'Madagascar', mwi: 'Malawi',
+    mys: 'Malaysia', mdv: 'Maldives', mli: 'Mali', mlt: 'Malta', mhl: 'Marshall Islands',
+    mtq: 'Martinique', mrt: 'Mauritania', mus: 'Mauritius', myt: 'Mayotte', mex: 'Mexico',
+    fsm: 'Micronesia', mda: 'Moldova', mco: 'Monaco', mng: 'Mongolia', mne: 'Montenegro',
+    msr: 'Montserrat', mar: 'Morocco', moz: 'Mozambique', mmr: 'Myanmar', nam: 'Namibia',
+    nru: 'Nauru', npl: 'Nepal', nld: 'Netherlands', ncl: 'New Caledonia', nzl: 'New Zealand',
+    nic: 'Nicaragua', ner: 'Niger', nga: 'Nigeria', niu: 'Niue', nfk: 'Norfolk Island',
+    mkd: 'North Macedonia', mnp: 'Northern Mariana Islands', nor: 'Norway', omn: 'Oman', pak: 'Pakistan',
+    plw: 'Palau', pse: 'Palestine', pan: 'Panama', png: 'Papua New Guinea', pry: 'Paraguay',
+    per: 'Peru', phl: 'Philippines', pcn: 'Pitcairn', pol: 'Poland', prt: 'Portugal',
+    pri: 'Puerto Rico', qat: 'Qatar', reu: 'Réunion', rou: 'Romania', rus: 'Russia',
+    rwa: 'Rwanda', blm: 'Saint Barthélemy', shn: 'Saint Helena', kna: 'Saint Kitts and Nevis', lca: 'Saint Lucia',
+    maf: 'Saint Martin', spm: 'Saint Pierre and Miquelon', vct: 'Saint Vincent and the Grenadines', wsm: 'Samoa', smr: 'San Marino',
+    stp: 'São Tomé and Príncipe', sau: 'Saudi Arabia', sen: 'Senegal', srb: 'Serbia', syc: 'Seychelles',
+    sle: 'Sierra Leone', sgp: 'Singapore', sxm: 'Sint Maarten', svk: 'Slovakia', svn: 'Slovenia',
+    slb: 'Solomon Islands', som: 'Somalia', zaf: 'South Africa', sgs: 'South Georgia and the South Sandwich Islands', ssd: 'South Sudan',
+    esp: 'Spain', lka: 'Sri Lanka', sdn: 'Sudan', sur: 'Suriname', sjm: 'Svalbard and Jan Mayen',
+    swe: 'Sweden', che: 'Switzerland', syr: 'Syria', twn: 'Taiwan', tjk: 'Tajikistan',
+    tza: 'Tanzania', tha: 'Thailand', tls: 'Timor-Leste', tgo: 'Togo', tkl: 'Tokelau',
+    ton: 'Tonga', tto: 'Trinidad and Tobago', tun: 'Tunisia', tur: 'Türkiye', tkm: 'Turkmenistan',
+    tca: 'Turks and Caicos Islands', tuv: 'Tuvalu', uga: 'Uganda', ukr: 'Ukraine', are: 'United Arab Emirates',
+    gbr: 'United Kingdom', usa: 'United States', umi: 'U.S. Minor Outlying Islands', ury: 'Uruguay', uzb: 'Uzbekistan',
+    vut: 'Vanuatu', ven: 'Venezuela', vnm: 'Vietnam', vgb: 'British Virgin Islands', vir: 'U.S. Virgin Islands',
+    wlf: 'Wallis and Futuna', esh: 'Western Sahara', yem: 'Yemen', zmb: 'Zambia', zwe: 'Zimbabwe',
+    zzz: 'Unknown Region'
+};
+
+/**
+ * Returns a readable name for an alpha-3 country code
+ * @param {string} code - ISO-3166-1 alpha-3 code (any case)
+ * @returns {string} - Country name, or the upper-cased code if unknown
+ */
+export function getCountryName(code) {
+    if (!code) return '';
+    const normalized = String(code).toLowerCase();
+    return COUNTRY_NAMES[normalized] || normalized.toUpperCase();
+}
+
+/**
+ * Fills a select element with "All Countries" plus every known country, sorted by name
+ * @param {HTMLSelectElement} selectElement - The select to populate
+ * @param {string} [selectedCode='all'] - Code to preselect
+ */
+export function populateCountrySelect(selectElement, selectedCode = 'all') {
+    if (!selectElement) return;
+
+    const options = Object.entries(COUNTRY_NAMES)
+        .filter(([code]) => code !== 'zzz')
+        .sort((a, b) => a[1].localeCompare(b[1]))
+        .map(([code, name]) => `<option value="${code}">${name} (${code.toUpperCase()})</option>`)
+        .join('');
+
+    selectElement.innerHTML = `<option value="all">All Countries</option>${options}`;
+    selectElement.value = COUNTRY_NAMES[selectedCode] ? selectedCode : 'all';
+}
@@ -0,0 +1,270 @@
+/**
+ * Daily Trend Chart Module
+ * Handles the creation and updating of the daily clicks/impressions/CTR/position line chart
+ * In comparison mode the comparison period is overlaid, aligned by day offset
+ */
+
+// Chart instance reference
+let dailyTrendChart = null;
+let isDailyTrendChartInitialized = false;
+
+// Series configuration: row key, axis, colour and whether the series is visible initially
+const DAILY_TREND_SERIES = [
+    { key: 'clicks', label: 'Clicks', axis: 'yClicks', color: '#4285F4', hidden: false },
+    { key: 'impressions', label: 'Impressions', axis: 'yImpressions', color: '#7B1FA2', hidden: false },
+    { key: 'ctr', label: 'CTR (%)', axis: 'yCtr', color: '#34A853', hidden: true },
+    { key: 'position', label: 'Position', axis: 'yPosition', color: '#F29900', hidden: true }
+];
+
+/**
+ * Initializes the daily trend chart
+ * @param {Object} options - Chart configuration options
+ * @param {HTMLElement} options.canvas - The canvas element to render the chart
+ * @param {Object} [options.data] - Chart data from processDataForDailyTrendChart
+ * @param {boolean} [options.forceInit=false] - Whether to force initialization even if chart is already initialized
+ * @returns {Object} Chart.js instance
+ */
+function initDailyTrendChart({ canvas, data = {}, forceInit = false }) {
+    // If chart is already initialized and not forcing re-init, return existing instance
+    if (isDailyTrendChartInitialized && dailyTrendChart && !forceInit) {
+        dailyTrendChart.data = data;
+        dailyTrendChart.update();
+        return dailyTrendChart;
+    }
+
+    if (!canvas) {
+        console.error('Canvas element is required to initialize daily trend chart');
+        return null;
+    }
+
+    const ctx = canvas.getContext('2d');
+
+    // Destroy existing chart if it exists
+    if (dailyTrendChart) {
+        dailyTrendChart.destroy();
+        dailyTrendChart = null;
+    }
+
+    dailyTrendChart = new Chart(ctx, {
+        type: 'line',
+        data: data,
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'bottom',
+                    labels: {
+                        boxWidth: 12,
+                        font: { size: 11 }
+                    }
+                },
+                tooltip: {
+                    callbacks: {
+                        title: function(tooltipItems) {
+                            return `Day ${tooltipItems[0].dataIndex + 1}`;
+                        },
+                        label: function(context) {
+                            if (context.parsed.y === null || context.parsed.y === undefined) return null;
+                            const date = context.dataset.dates?.[context.dataIndex] || '';
+                            const key = context.dataset.metricKey;
+                            let value;
+                            if (key === 'ctr') value = `${context.parsed.y.toFixed(2)}%`;
+                            else if (key === 'position') value = context.parsed.y.toFixed(1);
+                            else value = context.parsed.y.toLocaleString();
+                            return `${context.dataset.label}: ${value}${date ? ` (${date})` : ''}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    ticks: {
+                        maxTicksLimit: 10,
+                        autoSkip: true
+                    },
+                    grid: {
+                        display: false
+                    }
+                },
+                yClicks: {
+                    type: 'linear',
+                    position: 'left',
+                    display: 'auto',
+                    beginAtZero: true,
+                    title: { display: true, text: 'Clicks' },
+                    grid: { color: 'rgba(0, 0, 0, 0.05)' }
+                },
+                yImpressions: {
+                    type: 'linear',
+                    position: 'right',
+                    display: 'auto',
+                    beginAtZero: true,
+                    title: { display: true, text: 'Impressions' },
+                    grid: { drawOnChartArea: false }
+                },
+                yCtr: {
+                    type: 'linear',
+                    position: 'left',
+                    display: 'auto',
+                    beginAtZero: true,
+                    title: { display: true, text: 'CTR (%)' },
+                    ticks: { callback: value => `${value}%` },
+                    grid: { drawOnChartArea: false }
+                },
+                yPosition: {
+                    type: 'linear',
+                    position: 'right',
+                    display: 'auto',
+                    reverse: true, // Lower position is better, so show it at the top
+                    title: { display: true, text: 'Position' },
+                    grid: { drawOnChartArea: false }
+                }
+            },
+            elements: {
+                line: {
+                    tension: 0.25,
+                    borderWidth: 2
+                },
+                point: {
+                    radius: 0,
+                    hoverRadius: 4
+                }
+            }
+        }
+    });
+
+    isDailyTrendChartInitialized = true;
+    return dailyTrendChart;
+}
+
+/**
+ * Updates the daily trend chart with new data
+ * @param {Object} data - Chart data in the format { labels: [], datasets: [] }
+ */
+function updateDailyTrendChart(data) {
+    if (!dailyTrendChart) {
+        console.error('Daily Trend Chart is not initialized');
+        return;
+    }
+
+    dailyTrendChart.data = data;
+    dailyTrendChart.update();
+}
+
+/**
+ * Lists every date between two YYYY-MM-DD dates (inclusive)
+ * @param {string} startDate - First date
+ * @param {string} endDate - Last date
+ * @returns {Array<string>} Dates in YYYY-MM-DD format
+ */
+function listDatesInRange(startDate, endDate) {
+    const dates = [];
+    if (!startDate || !endDate) return dates;
+    const current = new Date(startDate + 'T00:00:00Z');
+    const last = new Date(endDate + 'T00:00:00Z');
+    while (current <= last) {
+        dates.push(current.toISOString().split('T')[0]);
+        current.setUTCDate(current.getUTCDate() + 1);
+    }
+    return dates;
+}
+
+/**
+ * Processes daily GSC rows to prepare them for the daily trend chart.
+ * Missing days are kept as gaps so both periods stay aligned by day offset.
+ * @param {Array} dailyRows - Rows of { date, clicks, impressions, ctr, position } for the main period
+ * @param {Array} [previousDailyRows] - Rows for the comparison period (optional)
+ * @param {Object} [ranges] - Period boundaries used to fill missing days
+ * @param {string} [ranges.startDate] - Main period start date
+ * @param {string} [ranges.endDate] - Main period end date
+ * @param {string} [ranges.comparisonStartDate] - Comparison period start date
+ * @param {string} [ranges.comparisonEndDate] - Comparison period end date
+ * @returns {Object} Formatted chart data
+ */
+function processDataForDailyTrendChart(dailyRows, previousDailyRows = [], ranges = {}) {
+    const toSeries = (rows, startDate, endDate) => {
+        const byDate = new Map((rows || []).map(row => [row.date, row]));
+        let dates = listDatesInRange(startDate, endDate);
+        if (dates.length === 0) {
+            dates = [...byDate.keys()].sort();
+        }
+        return { dates, rows: dates.map(date => byDate.get(date) || null) };
+    };
+
+    const valueFor = (row, key) => {
+        if (!row) return null;
+        if (key === 'ctr') return Math.round(parseFloat(row.ctr || 0) * 10000) / 100; // Percentage, 2 decimals
+        if (key === 'position') return Math.round(parseFloat(row.position || 0) * 10) / 10;
+        return parseInt(row[key] || 0);
+    };
+
+    const current = toSeries(dailyRows, ranges.startDate, ranges.endDate);
+    const hasComparison = previousDailyRows && previousDailyRows.length > 0;
+    const previous = hasComparison
+        ? toSeries(previousDailyRows, ranges.comparisonStartDate, ranges.comparisonEndDate)
+        : null;
+
+    const datasets = [];
+    DAILY_TREND_SERIES.forEach(series => {
+        datasets.push({
+            label: series.label,
+            metricKey: series.key,
+            data: current.rows.map(row => valueFor(row, series.key)),
+            dates: current.dates,
+            yAxisID: series.axis,
+            borderColor: series.color,
+            backgroundColor: series.color,
+            hidden: series.hidden,
+            spanGaps: false
+        });
+
+        if (previous) {
+            // Align comparison days to the main period by offset (day 1 with day 1, ...)
+            const alignedRows = current.dates.map((_, index) => previous.rows[index] || null);
+            datasets.push({
+                label: `${series.label} (comparison)`,
+                metricKey: series.key,
+                data: alignedRows.map(row => valueFor(row, series.key)),
+                dates: current.dates.map((_, index) => previous.dates[index] || ''),
+                yAxisID: series.axis,
+                borderColor: series.color,
+                backgroundColor: series.color,
+                borderDash: [5, 4],
+                borderWidth: 1.5,
+                hidden: series.hidden,
+                spanGaps: false
+            });
+        }
+    });
+
+    return {
+        labels: current.dates.map(date => date.slice(5)), // MM-DD
+        datasets
+    };
+}
+
+/**
+ * Destroys the daily trend chart and cleans up resources
+ */
+function destroyDailyTrendChart() {
+    if (dailyTrendChart) {
+        dailyTrendChart.destroy();
+        dailyTrendChart = null;
+        isDailyTrendChartInitialized = false;
+    }
+}
+
+// Export functions to the window object for global access
+window.DailyTrendChart = {
+    init: initDailyTrendChart,
+    update: updateDailyTrendChart,
+    processData: processDataForDailyTrendChart,
+    destroy: destroyDailyTrendChart,
+    isInitialized: () => isDailyTrendChartInitialized
+};
@@ -3,37 +3,84 @@
  */
 
 import { getApiDateRange, getPeriodDates } from './dateUtils.js';
+import { BREAKDOWN_DIMENSIONS, isPageOnlySearchType } from './dimensionUtils.js';
+import { findApiFilterError } from './apiFilterUtils.js';
+import { saveSnapshot } from './snapshotUtils.js';
+import { checkAlertsForSnapshot } from './alertUtils.js';
+import { MAX_RETRIES, queuedFetch } from './requestQueue.js';
+import { getCachedResponse, setCachedResponse } from './responseCache.js';
+import { aggregateMetrics } from './metricsUtils.js';
 
 /**
- * Fetch GSC data for a specific period
+ * Maximum number of rows the Search Analytics API returns per request.
+ * Larger result sets are fetched page by page using `startRow`.
+ */
+export const API_MAX_ROWS_PER_REQUEST = 25000;
+
+/**
+ * Upper bound for the user-configurable row limit (keyword limit input).
+ */
+export const MAX_ROW_LIMIT = 100000;
+
+// AbortControllers for the fetch runs currently in progress
+const activeFetchControllers = new Set();
+
+/**
+ * Cancel the data fetch currently in progress, if any.
+ * Rows already received are kept and displayed as a partial result.
+ * @returns {boolean} - True if a running fetch was cancelled
+ */
+export function cancelActiveFetch() {
+    let cancelled = false;
+    activeFetchControllers.forEach(controller => {
+        if (!controller.signal.aborted) {
+            controller.abort();
+            cancelled = true;
+        }
+    });
+    return cancelled;
+}
+
+/**
+ * Fetch GSC data for a specific period.
+ * Requests are paginated with `startRow` until the API returns no more rows
+ * or `rowLimit` rows have been collected.
  * @param {string} siteUrlForApi - The site URL to fetch data for
  * @param {string} startDate - Start date in YYYY-MM-DD format
  * @param {string} endDate - End date in YYYY-MM-DD format
- * @param {number} rowLimit - Maximum number of rows to fetch
+ * @param {number} rowLimit - Maximum number of rows to fetch (across all pages)
  * @param {string} pageUrl - Page URL to fetch data for (null for domain-wide)
  * @param {string} authToken - The authentication token
  * @param {string} deviceFilter - Device filter (desktop, mobile, tablet, all)
- * @param {string} searchTypeFilter - Search type filter (web, image, video, news, all)
- * @param {string} dimension - The dimension to group by ('query' or 'page')
+ * @param {string} searchTypeFilter - Search type filter (web, image, video, news, discover, googleNews, all)
+ * @param {string|Array<string>} dimension - The dimension(s) to group by, e.g. 'query', 'page' or ['query', 'country'] ([] for a single row of totals)
  * @param {Function} updateStatus - Function to update status messages
+ * @param {Object} [options] - Additional fetch options
+ * @param {AbortSignal} [options.signal] - Signal used to cancel the remaining pages
+ * @param {string} [options.countryFilter] - ISO-3166 alpha-3 country code to filter by ('all' for no filter)
+ * @param {Array<Object>} [options.dimensionFilters] - Extra API filters ({ dimension, operator, expression }) added to the filter group
+ * @param {boolean} [options.bypassCache] - Always call the API (fresh responses still replace the cached ones)
  * @returns {Promise<Object>} - The fetched data and metadata
  */
-export async function fetchGscDataForPeriod(siteUrlForApi, startDate, endDate, rowLimit, pageUrl, authToken, deviceFilter = 'all', searchTypeFilter = 'web', dimension = 'query', updateStatus = () => {}) {
+export async function fetchGscDataForPeriod(siteUrlForApi, startDate, endDate, rowLimit, pageUrl, authToken, deviceFilter = 'all', searchTypeFilter = 'web', dimension = 'query', updateStatus = () => {}, { signal = null, countryFilter = 'all', dimensionFilters = [], bypassCache = false } = {}) {
     const apiUrl = `https://www.googleapis.com/webmasters/v3/sites/${encodeURIComponent(siteUrlForApi)}/searchAnalytics/query`;
+    const pageSize = Math.min(rowLimit, API_MAX_ROWS_PER_REQUEST);
+    const dimensions = Array.isArray(dimension) ? dimension : [dimension];
+    const dimensionLabel = dimensions.length > 0 ? dimensions.join(' × ') : 'total';
     
-    // Base request body - use the specified dimension
+    // Base request body - use the specified dimension(s)
     const requestBody = {
         startDate,
         endDate,
-        dimensions: [dimension], // Use the specified dimension (query or page)
-        rowLimit: rowLimit,
+        dimensions: dimensions, // Keys are returned in this order for every row
+        rowLimit: pageSize,
         startRow: 0
     };
     
     // Handle search type filter
     if (searchTypeFilter && searchTypeFilter !== 'all') {
-        // Add search type as a top-level parameter
-        requestBody.type = searchTypeFilter.toLowerCase();
+        // Add search type as a top-level parameter (values are case-sensitive, e.g. 'googleNews')
+        requestBody.type = searchTypeFilter;
     }
 
     // Initialize filter groups array
@@ -49,6 +96,18 @@ export async function fetchGscDataForPeriod(siteUrlForApi, startDate, endDate, r
     if (deviceFilter && deviceFilter !== 'all') {
         groupFilters.push({ dimension: 'device', operator: 'equals', expression: deviceFilter });
     }
+
+    // Add country filter if not 'all' (the API expects lowercase alpha-3 codes)
+    if (countryFilter && countryFilter !== 'all') {
+        groupFilters.push({ dimension: 'country', operator: 'equals', expression: countryFilter.toLowerCase() });
+    }
+
+    // Add any extra filters supplied by the caller (e.g. query equals for a keyword drill-down)
+    (dimensionFilters || []).forEach(filter => {
+        if (filter?.dimension && filter?.operator && filter?.expression) {
+            groupFilters.push({ dimension: filter.dimension, operator: filter.operator, expression: filter.expression });
+        }
+    });
     
     // NOTE: Search type is handled via top-level 'type' parameter, not as a dimension filter
 
@@ -69,39 +128,100 @@ export async function fetchGscDataForPeriod(siteUrlForApi, startDate, endDate, r
         throw new Error('Invalid API endpoint');
     }
 
-    const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: { 
-            'Authorization': `Bearer ${authToken}`, 
-            'Content-Type': 'application/json',
-            'User-Agent': 'GSC-Keywords-Extension/1.7'
-        },
-        body: JSON.stringify(requestBody)
-    });
+    // --- Fetch pages until the API runs out of rows or the row limit is reached ---
+    const rows = [];
+    let responseAggregationType = null;
+    let pageNumber = 0;
+    let cachedPages = 0;
+    let cancelled = false;
+
+    while (rows.length < rowLimit) {
+        if (signal?.aborted) {
+            cancelled = true;
+            break;
+        }
 
-    if (!response.ok) {
-        let errorData, errorMsg;
-        try { errorData = await response.json(); } catch (e) { errorData = { error: { message: response.statusText || 'Failed to parse error' } }; }
-        errorMsg = `API Error ${response.status} (${startDate}-${endDate}): ${errorData.error?.message || 'Unknown API error'}`;
-        // Specific error handling (can be enhanced)
-        if (response.status === 401) { errorMsg = `Authorization failed (${startDate}-${endDate}). Token invalid/expired? Please Sign Out & Sign In again.`; }
-        else if (response.status === 403) { errorMsg = `Permission denied for ${siteUrlForApi} (${startDate}-${endDate}). Ensure account has access. ${errorData.error?.message || ''}`; }
-        else if (response.status === 404) { errorMsg = `Site '${siteUrlForApi}' not found/accessible (${startDate}-${endDate}). Verify domain property.`; }
-        else if (response.status === 429) { errorMsg = `Rate limit/Quota exceeded (${startDate}-${endDate}). Wait and try again.`; }
-        else if (response.status >= 500) { errorMsg = `Google Server Error (${response.status}) (${startDate}-${endDate}). Try again later.`; }
-        throw new Error(errorMsg);
+        requestBody.startRow = rows.length;
+        requestBody.rowLimit = Math.min(pageSize, rowLimit - rows.length);
+        pageNumber += 1;
+        updateStatus(`Fetching ${dimensionLabel} rows ${requestBody.startRow + 1}-${requestBody.startRow + requestBody.rowLimit} (page ${pageNumber}) for ${startDate} to ${endDate}...`);
+
+        // Identical requests are answered from the local response cache
+        let pageResult = null;
+        if (!bypassCache) {
+            pageResult = await getCachedResponse(siteUrlForApi, requestBody).catch(error => {
+                console.warn('Response cache lookup failed:', error);
+                return null;
+            });
+        }
+        if (pageResult) {
+            cachedPages += 1;
+        } else {
+            let response;
+            try {
+                response = await queuedFetch(apiUrl, {
+                    method: 'POST',
+                    headers: { 
+                        'Authorization': `Bearer ${authToken}`, 
+                        'Content-Type': 'application/json',
+                        'User-Agent': 'GSC-Keywords-Extension/1.7'
+                    },
+                    body: JSON.stringify(requestBody),
+                    signal
+                }, {
+                    onRetry: (attempt, delay, reason) => updateStatus(`${reason} for ${startDate} to ${endDate}, retrying in ${Math.ceil(delay / 1000)}s (${attempt}/${MAX_RETRIES})...`, true, 'warning')
+                });
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    cancelled = true;
+                    break;
+                }
+                throw error;
+            }
+
+            if (!response.ok) {
+                let errorData, errorMsg;
+                try { errorData = await response.json(); } catch (e) { errorData = { error: { message: response.statusText || 'Failed to parse error' } }; }
+                errorMsg = `API Error ${response.status} (${startDate}-${endDate}): ${errorData.error?.message || 'Unknown API error'}`;
+                // Specific error handling (can be enhanced)
+                if (response.status === 401) { errorMsg = `Authorization failed (${startDate}-${endDate}). Token invalid/expired? Please Sign Out & Sign In again.`; }
+                else if (response.status === 403) { errorMsg = `Permission denied for ${siteUrlForApi} (${startDate}-${endDate}). Ensure account has access. ${errorData.error?.message || ''}`; }
+                else if (response.status === 404) { errorMsg = `Site '${siteUrlForApi}' not found/accessible (${startDate}-${endDate}). Verify domain property.`; }
+                else if (response.status === 429) { errorMsg = `Rate limit/Quota exceeded (${startDate}-${endDate}), still failing after ${MAX_RETRIES} retries. Wait and try again.`; }
+                else if (response.status >= 500) { errorMsg = `Google Server Error (${response.status}) (${startDate}-${endDate}), still failing after ${MAX_RETRIES} retries. Try again later.`; }
+                throw new Error(errorMsg);
+            }
+
+            try {
+                pageResult = await response.json();
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    cancelled = true;
+                    break;
+                }
+                throw error;
+            }
+
+            setCachedResponse(siteUrlForApi, requestBody, pageResult).catch(error => console.warn('Response cache write failed:', error));
+        }
+
+        const pageRows = pageResult.rows || [];
+        responseAggregationType = pageResult.responseAggregationType || responseAggregationType;
+        rows.push(...pageRows);
+
+        // A short page means the API has no more rows for this request
+        if (pageRows.length < requestBody.rowLimit) {
+            break;
+        }
+    }
+
+    if (cancelled) {
+        updateStatus(`Fetch cancelled after ${rows.length} ${dimensionLabel} rows (${startDate} to ${endDate}).`, false, 'warning');
     }
 
-    const result = await response.json();
+    const result = { rows, responseAggregationType };
     updateStatus(`Processing data for ${startDate} to ${endDate}...`);
 
-    // Calculate total metrics from all rows
-    let totalClicks = 0;
-    let totalImpressions = 0;
-    let totalCTR = 0;
-    let totalPosition = 0;
-    let rowCount = 0;
-    
     const mappedData = (result.rows || []).map(r => {
         const clicks = parseInt(r.clicks ?? 0);
         const impressions = parseInt(r.impressions ?? 0);
@@ -109,27 +229,24 @@ export async function fetchGscDataForPeriod(siteUrlForApi, startDate, endDate, r
         const ctr = parseFloat(r.ctr ?? 0);
         const position = parseFloat(r.position ?? 0);
         
-        // Sum up metrics for totals
-        totalClicks += clicks;
-        totalImpressions += impressions;
-        // For weighted average, we'll calculate the total clicks from CTR and impressions
-        totalCTR += ctr; // Will be used to calculate average later
-        totalPosition += position * (impressions || 1); // Weighted by impressions
-        rowCount += 1;
-        
-        return {
-            query: r.keys?.[0] || null,
+        // 'query' holds the query key, or the first key for requests without a query dimension
+        const queryIndex = Math.max(dimensions.indexOf('query'), 0);
+        const row = {
+            query: r.keys?.[queryIndex] || null,
             clicks: clicks,
             impressions: impressions,
             ctr: ctr,
             position: position
         };
-    }).filter(i => i.query !== null);
+        // Keep every returned key under its dimension name (e.g. row.page, row.country)
+        dimensions.forEach((dim, index) => {
+            if (dim !== 'query') row[dim] = r.keys?.[index] ?? null;
+        });
+        return row;
+    }).filter(i => i.query !== null || dimensions.length === 0); // Dimensionless totals have no keys
     
-    // Calculate averages
-    // Use the average of individual CTR values (API already provides them as percentages)
-    const avgCTR = rowCount > 0 ? (totalCTR / rowCount) : 0;
-    const avgPosition = totalImpressions > 0 ? (totalPosition / totalImpressions) : 0;
+    // Totals of the fetched rows: CTR = clicks / impressions, position weighted by impressions
+    const { totalClicks, totalImpressions, avgCTR, avgPosition } = aggregateMetrics(mappedData);
 
     const metadata = {
         siteUrl: siteUrlForApi,
@@ -138,21 +255,128 @@ export async function fetchGscDataForPeriod(siteUrlForApi, startDate, endDate, r
         endDate,
         rowLimit,
         extractedCount: mappedData.length,
+        pagesFetched: pageNumber,
+        cachedPages: cachedPages, // Pages answered from the response cache
+        cancelled: cancelled,
         containsSampledData: result.responseAggregationType === 'byProperty',
         fetchTimestamp: Date.now(),
         deviceFilter: deviceFilter,
         searchTypeFilter: searchTypeFilter,
+        countryFilter: countryFilter,
+        dimensionFilters: dimensionFilters || [], // Extra API filters (query/page regex, contains, ...)
         // Add aggregated metrics
         totalClicks: totalClicks,
         totalImpressions: totalImpressions,
-        avgCTR: avgCTR * 100, // Convert to percentage
+        avgCTR: avgCTR, // Percentage
         avgPosition: avgPosition,
-        dimension: dimension // Include the dimension used for this request
+        dimension: dimension, // Include the dimension used for this request
+        dimensions: dimensions // Normalized list of dimensions (one key per dimension on each row)
     };
 
     return { data: mappedData, metadata: metadata };
 }
 
+/**
+ * Maximum number of pages requested for the page-level totals of every fetch.
+ * Bulk URL inspection repeats this request to list the top pages (answered from the response cache).
+ */
+export const PAGE_LEVEL_ROW_LIMIT = 5000;
+
+/**
+ * Maximum number of countries requested for the "By Country" breakdown
+ */
+const COUNTRY_BREAKDOWN_ROW_LIMIT = 250;
+
+/**
+ * Maximum number of search appearance types requested for the Position Insights breakdown
+ */
+const SEARCH_APPEARANCE_ROW_LIMIT = 100;
+
+/**
+ * Maximum number of days requested for the daily trend (covers the 16-month data window)
+ */
+const DAILY_SERIES_ROW_LIMIT = 500;
+
+/**
+ * Sort rows with a `date` property chronologically
+ * @param {Array<Object>} rows - Rows returned for the 'date' dimension
+ * @returns {Array<Object>} - New array, oldest date first
+ */
+function sortByDate(rows) {
+    return [...rows].sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+}
+
+/**
+ * Metadata without its page rows, for chrome.storage.local and snapshots.
+ * The page rows (up to PAGE_LEVEL_ROW_LIMIT per period) only feed the page table of the current popup.
+ * @param {Object|null} metadata - Metadata of a period
+ * @returns {Object|null} - Copy without `pageRows`
+ */
+function withoutPageRows(metadata) {
+    if (!metadata) return metadata;
+    const { pageRows, ...rest } = metadata;
+    return rest;
+}
+
+/**
+ * Fetch clicks, impressions, CTR and position per value of a single dimension (e.g. per country or per day).
+ * Errors are logged and an empty list is returned so the main fetch can continue.
+ * @param {string} dimension - The dimension to break totals down by ('country', 'date', ...)
+ * @param {number} rowLimit - Maximum number of rows to request
+ * @param {string} siteUrlForApi - The site URL to fetch data for
+ * @param {string} startDate - Start date in YYYY-MM-DD format
+ * @param {string} endDate - End date in YYYY-MM-DD format
+ * @param {string} pageUrl - Page URL to fetch data for (empty for domain-wide)
+ * @param {string} authToken - The authentication token
+ * @param {string} deviceFilter - Device filter
+ * @param {string} searchTypeFilter - Search type filter
+ * @param {Function} updateStatus - Function to update status messages
+ * @param {Object} [options] - Options passed through to fetchGscDataForPeriod
+ * @returns {Promise<Array<Object>>} - Rows of { [dimension], clicks, impressions, ctr, position }
+ */
+async function fetchDimensionTotals(dimension, rowLimit, siteUrlForApi, startDate, endDate, pageUrl, authToken, deviceFilter, searchTypeFilter, updateStatus, options = {}) {
+    try {
+        const result = await fetchGscDataForPeriod(siteUrlForApi, startDate, endDate, rowLimit, pageUrl, authToken, deviceFilter, searchTypeFilter, dimension, updateStatus, options);
+        return result.data.map(row => ({
+            [dimension]: row[dimension],
+            clicks: row.clicks,
+            impressions: row.impressions,
+            ctr: row.ctr,
+            position: row.position
+        }));
+    } catch (err) {
+        console.error(`Error fetching ${dimension} totals (${startDate} to ${endDate}):`, err);
+        return [];
+    }
+}
+
+/**
+ * Fetch the totals of a period without any dimension. Unlike sums of query (or page) rows, these include
+ * the anonymized queries Search Console leaves out of query-level data.
+ * Errors are logged and null is returned so the main fetch can continue.
+ * @param {string} siteUrlForApi - The site URL to fetch data for
+ * @param {string} startDate - Start date in YYYY-MM-DD format
+ * @param {string} endDate - End date in YYYY-MM-DD format
+ * @param {string} pageUrl - Page URL to fetch data for (empty for domain-wide)
+ * @param {string} authToken - The authentication token
+ * @param {string} deviceFilter - Device filter
+ * @param {string} searchTypeFilter - Search type filter
+ * @param {Function} updateStatus - Function to update status messages
+ * @param {Object} [options] - Options passed through to fetchGscDataForPeriod
+ * @returns {Promise<Object|null>} - { totalClicks, totalImpressions, avgCTR, avgPosition }, or null when unavailable
+ */
+export async function fetchPropertyTotals(siteUrlForApi, startDate, endDate, pageUrl, authToken, deviceFilter, searchTypeFilter, updateStatus, options = {}) {
+    try {
+        const result = await fetchGscDataForPeriod(siteUrlForApi, startDate, endDate, 1, pageUrl, authToken, deviceFilter, searchTypeFilter, [], updateStatus, options);
+        if (result.metadata.cancelled || result.data.length === 0) return null;
+        const { totalClicks, totalImpressions, avgCTR, avgPosition } = result.metadata;
+        return { totalClicks, totalImpressions, avgCTR, avgPosition };
+    } catch (err) {
+        console.error(`Error fetching totals (${startDate} to ${endDate}):`, err);
+        return null;
+    }
+}
+
 /**
  * Handle fetching GSC data
  * @param {Object} params - Parameters for the fetch operation
@@ -162,22 +386,37 @@ export async function fetchGscDataForPeriod(siteUrlForApi, startDate, endDate, r
  * @param {string} currentAuthToken - The current auth token
  * @param {string} selectedSiteProperty - The selected site property
  * @param {string} customUrl - Custom URL entered by the user
+ * @param {Array<Object>} [dimensionFilters] - API filters on query/page ({ dimension, operator, expression }) applied to every request
+ * @param {boolean} [propertyWide] - Fetch a URL property as a whole instead of the current tab or custom URL
  * @returns {Promise<void>}
  */
 // Import the fetch site properties function
 import { fetchSiteProperties, populateSitePropertiesDropdown, selectCustomProperty, getBestMatchingProperty } from './sitePropertiesUtils.js';
 
 export async function handleFetchDataClick(
-    { displayQueryData, handleSignOutClick, isSignedIn, currentAuthToken, selectedSiteProperty, customUrl, setSelectedSiteProperty, updateStatus }
+    { displayQueryData, handleSignOutClick, isSignedIn, currentAuthToken, selectedSiteProperty, customUrl, setSelectedSiteProperty, updateStatus, dimensionFilters = [], propertyWide = false }
 ) {
     const button = document.getElementById('fetchApiData');
+    const cancelButton = document.getElementById('cancelFetch');
     if (!isSignedIn || !currentAuthToken) {
         updateStatus("Please Sign In first.", true);
         return;
     }
+    // An invalid API filter must not silently turn into an unfiltered fetch
+    const filterError = findApiFilterError(dimensionFilters);
+    if (filterError) {
+        updateStatus(filterError, true);
+        return;
+    }
+
+    // Controller shared by all requests of this run so a single cancel stops them
+    const fetchController = new AbortController();
+    activeFetchControllers.add(fetchController);
+    const { signal } = fetchController;
 
     try {
         button.disabled = true;
+        if (cancelButton) cancelButton.style.display = 'inline-block';
         
         // Store the original property selection and ensure it's preserved
         const originalSiteProperty = selectedSiteProperty;
@@ -233,7 +472,7 @@ export async function handleFetchDataClick(
         }
 
         // --- Read UI Controls ---
-        const keywordLimit = Math.min(parseInt(document.getElementById('keywordLimit').value) || 1000, 25000);
+        const keywordLimit = Math.min(parseInt(document.getElementById('keywordLimit').value) || 1000, MAX_ROW_LIMIT);
         
         // Always use the original property to prevent changes
         let siteUrlForApi = originalSiteProperty;
@@ -266,8 +505,9 @@ export async function handleFetchDataClick(
         // For URL properties, we need the page URL
         let pageUrl = '';
         
-        // Get the current tab URL for URL properties (domain properties don't need specific page)
-        if (!isDomainProperty) {
+        // Get the current tab URL for URL properties (domain properties don't need specific page,
+        // and property-wide fetches such as opening a portfolio row cover the whole URL property)
+        if (!isDomainProperty && !propertyWide) {
             // Use the custom URL if it's been set, otherwise query the current tab
             let tabUrl;
             let tabDomain;
@@ -320,7 +560,7 @@ export async function handleFetchDataClick(
                 throw new Error(`Current tab (${tabDomain}) doesn't match selected property (${siteDomain}). Use domain-wide option instead.`);
             }
         } else if (!isDomainProperty) {
-            // If it's a URL property but domain-wide is checked, we'll use an empty pageUrl
+            // URL property fetched property-wide: no page filter
             pageUrl = '';
         }
         const dateRangeSelect = document.getElementById('dateRange');
@@ -349,6 +589,25 @@ export async function handleFetchDataClick(
         // Prioritize dropdown search type if it's not 'all'. Otherwise, use primary.
         let searchTypeFilter = (dropdownSearchTypeValue !== 'all') ? dropdownSearchTypeValue : primarySearchTypeValue;
 
+        // Country filter (ISO-3166 alpha-3 code or 'all')
+        const countryFilter = document.getElementById('countryFilter')?.value || 'all';
+
+        // "Bypass cache" forces fresh API responses for this run
+        const bypassCache = document.getElementById('bypassCache')?.checked || false;
+
+        // Optional breakdown dimension combined with 'query' for the keyword table (query × page, etc.)
+        const breakdownDimension = document.getElementById('breakdownDimension')?.value || '';
+        const keywordDimensions = BREAKDOWN_DIMENSIONS.includes(breakdownDimension) ? ['query', breakdownDimension] : 'query';
+
+        // Discover and Google News have no query dimension: the table lists the page rows and query filters are dropped
+        const pageOnly = isPageOnlySearchType(searchTypeFilter);
+        if (pageOnly) {
+            if (keywordDimensions !== 'query' || dimensionFilters.some(filter => filter.dimension === 'query')) {
+                console.warn(`${searchTypeFilter} has no query data; ignoring the keyword breakdown and query filters.`);
+            }
+            dimensionFilters = dimensionFilters.filter(filter => filter.dimension !== 'query');
+        }
+
         // Ensure the final searchTypeFilter isn't 'all' before passing to API function (API default is 'web')
         // The API function itself expects 'web' as default if 'all' is passed.
         // So, we can pass 'all' if both UI elements are 'all'.
@@ -359,7 +618,10 @@ export async function handleFetchDataClick(
              dropdownDevice: dropdownDeviceValue,
              dropdownSearch: dropdownSearchTypeValue,
              finalDevice: deviceFilter,
-             finalSearch: searchTypeFilter // This value ('all' or specific type) will be passed
+             finalSearch: searchTypeFilter, // This value ('all' or specific type) will be passed
+             keywordDimensions: pageOnly ? 'page (page-only search type)' : keywordDimensions,
+             country: countryFilter,
+             apiFilters: dimensionFilters
         });
 
         let period1 = null; // Comparison period
@@ -559,34 +821,46 @@ export async function handleFetchDataClick(
         // --- Fetch Data ---
         updateStatus('Fetching page and keyword data...');
         
-        // Fetch both page-level and keyword-level data in parallel for the main period (Period 2)
-        const [resultPeriod2Pages, resultPeriod2Keywords] = await Promise.all([
+        // Fetch page-level, keyword-level, per-country and daily data in parallel for the main period (Period 2)
+        const [resultPeriod2Pages, resultPeriod2Keywords, resultPeriod2Countries, resultPeriod2Daily, resultPeriod2Totals, resultPeriod2Appearances] = await Promise.all([
             // Page-level data for dashboard (no row limit to get all pages for accurate aggregation)
-            fetchGscDataForPeriod(siteUrlForApi, period2.startDate, period2.endDate, 5000, pageUrl, currentAuthToken, deviceFilter, searchTypeFilter, 'page', updateStatus)
+            fetchGscDataForPeriod(siteUrlForApi, period2.startDate, period2.endDate, PAGE_LEVEL_ROW_LIMIT, pageUrl, currentAuthToken, deviceFilter, searchTypeFilter, 'page', updateStatus, { signal, countryFilter, bypassCache, dimensionFilters })
                 .catch(err => {
                     console.error('Error fetching page-level data for period 2:', err);
                     updateStatus('Error fetching page-level data', true);
                     return { data: [], metadata: null };
                 }),
-            // Keyword-level data for the table
-            fetchGscDataForPeriod(siteUrlForApi, period2.startDate, period2.endDate, keywordLimit, pageUrl, currentAuthToken, deviceFilter, searchTypeFilter, 'query', updateStatus)
+            // Keyword-level data for the table (skipped for page-only search types, which reuse the page rows)
+            pageOnly ? Promise.resolve(null) : fetchGscDataForPeriod(siteUrlForApi, period2.startDate, period2.endDate, keywordLimit, pageUrl, currentAuthToken, deviceFilter, searchTypeFilter, keywordDimensions, updateStatus, { signal, countryFilter, bypassCache, dimensionFilters })
                 .catch(err => {
                     console.error('Error fetching keyword data for period 2:', err);
                     updateStatus('Error fetching keyword data', true);
                     return { data: [], metadata: null };
-                })
+                }),
+            // Country-level data for the "By Country" breakdown
+            fetchDimensionTotals('country', COUNTRY_BREAKDOWN_ROW_LIMIT, siteUrlForApi, period2.startDate, period2.endDate, pageUrl, currentAuthToken, deviceFilter, searchTypeFilter, updateStatus, { signal, countryFilter, bypassCache, dimensionFilters }),
+            // Daily data for the trend chart
+            fetchDimensionTotals('date', DAILY_SERIES_ROW_LIMIT, siteUrlForApi, period2.startDate, period2.endDate, pageUrl, currentAuthToken, deviceFilter, searchTypeFilter, updateStatus, { signal, countryFilter, bypassCache, dimensionFilters }),
+            // Dimensionless totals (include anonymized queries)
+            fetchPropertyTotals(siteUrlForApi, period2.startDate, period2.endDate, pageUrl, currentAuthToken, deviceFilter, searchTypeFilter, updateStatus, { signal, countryFilter, bypassCache, dimensionFilters }),
+            // Search appearance types (rich results, AMP, video...) for the Position Insights breakdown
+            fetchDimensionTotals('searchAppearance', SEARCH_APPEARANCE_ROW_LIMIT, siteUrlForApi, period2.startDate, period2.endDate, pageUrl, currentAuthToken, deviceFilter, searchTypeFilter, updateStatus, { signal, countryFilter, bypassCache, dimensionFilters })
         ]);
         
+        // Page-only search types show the page rows in the table
+        const resultPeriod2Table = pageOnly ? resultPeriod2Pages : resultPeriod2Keywords;
+
         // Check if we got valid data
-        if (!resultPeriod2Pages || !resultPeriod2Keywords) {
+        if (!resultPeriod2Pages || !resultPeriod2Table) {
             throw new Error('Failed to fetch required data. Please try again.');
         }
         
         // Combine the results - use page data for metrics and keyword data for the table
         const resultPeriod2 = {
-            data: resultPeriod2Keywords.data, // Use keyword data for the table
+            data: resultPeriod2Table.data, // Use keyword data for the table
             metadata: {
-                ...resultPeriod2Keywords.metadata, // Base metadata from keyword query
+                ...resultPeriod2Table.metadata, // Base metadata from keyword query
+                pageOnly: pageOnly, // Rows are pages (page URL in 'query'), no position
                 // Include page-level metrics
                 pageLevelMetrics: {
                     totalClicks: resultPeriod2Pages.metadata?.totalClicks || 0,
@@ -598,40 +872,63 @@ export async function handleFetchDataClick(
                 totalClicks: resultPeriod2Pages.metadata?.totalClicks || 0,
                 totalImpressions: resultPeriod2Pages.metadata?.totalImpressions || 0,
                 avgCTR: resultPeriod2Pages.metadata?.avgCTR || 0,
-                avgPosition: resultPeriod2Pages.metadata?.avgPosition || 0
+                avgPosition: resultPeriod2Pages.metadata?.avgPosition || 0,
+                // True totals of the period, null if the dimensionless request failed
+                propertyTotals: resultPeriod2Totals,
+                // Per-country totals for the "By Country" view
+                countryBreakdown: resultPeriod2Countries,
+                // Per search appearance totals
+                searchAppearanceBreakdown: resultPeriod2Appearances,
+                // Page rows for the page table, kept in memory only (page-only reports already show them as data)
+                pageRows: pageOnly ? [] : resultPeriod2Pages.data,
+                // Daily totals for the trend chart, oldest first
+                dailySeries: sortByDate(resultPeriod2Daily)
             }
         };
 
+        // A cancelled run keeps the rows received so far but skips the comparison period
+        const fetchCancelled = signal.aborted;
+        if (fetchCancelled) {
+            period1 = null;
+        }
+
         // Fetch comparison data (Period 1) if needed
         let resultPeriod1 = { data: [], metadata: null }; // Default empty result
         if (period1) {
             updateStatus(`Fetching comparison data (${period1.startDate} to ${period1.endDate})...`);
             
             try {
-                // Fetch both page-level and keyword-level data in parallel for the comparison period (Period 1)
-                const [resultPeriod1Pages, resultPeriod1Keywords] = await Promise.all([
+                // Fetch page-level, keyword-level, per-country and daily data in parallel for the comparison period (Period 1)
+                const [resultPeriod1Pages, resultPeriod1Keywords, resultPeriod1Countries, resultPeriod1Daily, resultPeriod1Totals, resultPeriod1Appearances] = await Promise.all([
                     // Page-level data for dashboard (no row limit to get all pages for accurate aggregation)
-                    fetchGscDataForPeriod(siteUrlForApi, period1.startDate, period1.endDate, 5000, pageUrl, currentAuthToken, deviceFilter, searchTypeFilter, 'page', updateStatus)
+                    fetchGscDataForPeriod(siteUrlForApi, period1.startDate, period1.endDate, PAGE_LEVEL_ROW_LIMIT, pageUrl, currentAuthToken, deviceFilter, searchTypeFilter, 'page', updateStatus, { signal, countryFilter, bypassCache, dimensionFilters })
                         .catch(err => {
                             console.error('Error fetching page-level comparison data:', err);
                             updateStatus('Error fetching comparison page-level data', true);
                             return { data: [], metadata: null };
                         }),
-                    // Keyword-level data for the table
-                    fetchGscDataForPeriod(siteUrlForApi, period1.startDate, period1.endDate, keywordLimit, pageUrl, currentAuthToken, deviceFilter, searchTypeFilter, 'query', updateStatus)
+                    // Keyword-level data for the table (page rows for page-only search types)
+                    pageOnly ? Promise.resolve(null) : fetchGscDataForPeriod(siteUrlForApi, period1.startDate, period1.endDate, keywordLimit, pageUrl, currentAuthToken, deviceFilter, searchTypeFilter, keywordDimensions, updateStatus, { signal, countryFilter, bypassCache, dimensionFilters })
                         .catch(err => {
                             console.error('Error fetching keyword-level comparison data:', err);
                             updateStatus('Error fetching comparison keyword data', true);
                             return { data: [], metadata: null };
-                        })
+                        }),
+                    fetchDimensionTotals('country', COUNTRY_BREAKDOWN_ROW_LIMIT, siteUrlForApi, period1.startDate, period1.endDate, pageUrl, currentAuthToken, deviceFilter, searchTypeFilter, updateStatus, { signal, countryFilter, bypassCache, dimensionFilters }),
+                    fetchDimensionTotals('date', DAILY_SERIES_ROW_LIMIT, siteUrlForApi, period1.startDate, period1.endDate, pageUrl, currentAuthToken, deviceFilter, searchTypeFilter, updateStatus, { signal, countryFilter, bypassCache, dimensionFilters }),
+                    fetchPropertyTotals(siteUrlForApi, period1.startDate, period1.endDate, pageUrl, currentAuthToken, deviceFilter, searchTypeFilter, updateStatus, { signal, countryFilter, bypassCache, dimensionFilters }),
+                    fetchDimensionTotals('searchAppearance', SEARCH_APPEARANCE_ROW_LIMIT, siteUrlForApi, period1.startDate, period1.endDate, pageUrl, currentAuthToken, deviceFilter, searchTypeFilter, updateStatus, { signal, countryFilter, bypassCache, dimensionFilters })
                 ]);
                 
+                const resultPeriod1Table = pageOnly ? resultPeriod1Pages : resultPeriod1Keywords;
+
                 // Only set resultPeriod1 if we got valid data
-                if (resultPeriod1Pages?.metadata && resultPeriod1Keywords?.data) {
+                if (resultPeriod1Pages?.metadata && resultPeriod1Table?.data) {
                     resultPeriod1 = {
-                        data: resultPeriod1Keywords.data,
+                        data: resultPeriod1Table.data,
                         metadata: {
-                            ...resultPeriod1Keywords.metadata,
+                            ...resultPeriod1Table.metadata,
+                            pageOnly: pageOnly,
                             // Include page-level metrics
                             pageLevelMetrics: {
                                 totalClicks: resultPeriod1Pages.metadata?.totalClicks || 0,
@@ -643,7 +940,12 @@ export async function handleFetchDataClick(
                             totalClicks: resultPeriod1Pages.metadata?.totalClicks || 0,
                             totalImpressions: resultPeriod1Pages.metadata?.totalImpressions || 0,
                             avgCTR: resultPeriod1Pages.metadata?.avgCTR || 0,
-                            avgPosition: resultPeriod1Pages.metadata?.avgPosition || 0
+                            avgPosition: resultPeriod1Pages.metadata?.avgPosition || 0,
+                            propertyTotals: resultPeriod1Totals,
+                            countryBreakdown: resultPeriod1Countries,
+                            searchAppearanceBreakdown: resultPeriod1Appearances,
+                            pageRows: pageOnly ? [] : resultPeriod1Pages.data,
+                            dailySeries: sortByDate(resultPeriod1Daily)
                         }
                     };
                 } else {
@@ -667,6 +969,7 @@ export async function handleFetchDataClick(
             comparisonStartDate: resultPeriod1.metadata?.startDate || null,
             comparisonEndDate: resultPeriod1.metadata?.endDate || null,
             comparisonType: period1 ? compareType : null, // 'previous', 'lastYear', or null
+            dateRangeOption: selectedRangeOption, // Range option ('last28days', 'custom'...) identifying the report in snapshots
             // Track date adjustments
             mainPeriodAdjusted: mainPeriodAdjusted || false,
             comparisonPeriodAdjusted: comparisonPeriodAdjusted || false,
@@ -690,10 +993,31 @@ export async function handleFetchDataClick(
             comparisonPeriod: period1 ? `${period1.startDate} to ${period1.endDate}` : 'none'
         });
         
-        // Data to store in local storage
-        const dataToStoreCurrent = { metadata: combinedMetadata, queries: resultPeriod2.data };
+        // Data to store in local storage (page rows would fill the storage quota, so they stay in memory)
+        const dataToStoreCurrent = { metadata: withoutPageRows(combinedMetadata), queries: resultPeriod2.data };
         // Store Period 1's data/metadata separately for the comparison logic in displayQueryData
-        const dataToStorePrevious = { metadata: resultPeriod1.metadata, queries: resultPeriod1.data };
+        const dataToStorePrevious = { metadata: withoutPageRows(resultPeriod1.metadata), queries: resultPeriod1.data };
+
+        // Keep every completed fetch as a snapshot (the storage entry below only holds the latest one)
+        if (!fetchCancelled) {
+            saveSnapshot({
+                metadata: withoutPageRows(combinedMetadata),
+                queries: resultPeriod2.data,
+                previousMetadata: withoutPageRows(resultPeriod1.metadata),
+                previousQueries: resultPeriod1.data
+            }).then(id => {
+                console.log('Saved snapshot', id);
+                // New data arrived: evaluate the alert rules against it
+                checkAlertsForSnapshot(id).then(alerts => {
+                    if (alerts.length > 0) {
+                        updateStatus(`${alerts.length} alert(s) triggered, see 🔔 Alerts.`, true, 'warning');
+                    }
+                }).catch(error => console.error('Error checking alerts:', error));
+            }).catch(error => {
+                console.error('Error saving snapshot:', error);
+                updateStatus('Could not save snapshot history.', true, 'warning');
+            });
+        }
         
         // Save to storage
         chrome.storage.local.set({
@@ -743,13 +1067,16 @@ export async function handleFetchDataClick(
                         combinedMetadata,           // Combined metadata for current display
                         resultPeriod1.metadata      // Period 1 metadata for comparison context
                     );
-                    if (!displayError) {
+                    if (!displayError && fetchCancelled) {
+                        updateStatus(`Cancelled: showing ${resultPeriod2.data.length} ${pageOnly ? 'pages' : 'keywords'} fetched before cancelling.`, false, 'warning');
+                    } else if (!displayError) {
                          let dateMsg = `fetched data for ${period2.startDate} to ${period2.endDate}`;
                          if (period1) {
                              const compTypeDesc = compareType === 'lastYear' ? 'vs Last Year' : 'vs Previous Period';
                              dateMsg = `compared ${period2.startDate}/${period2.endDate} ${compTypeDesc} (${period1.startDate}/${period1.endDate})`;
                          }
-                        updateStatus(`Success: ${resultPeriod2.data.length} keywords ${dateMsg}.`);
+                         const fromCache = resultPeriod2Table.metadata?.cachedPages > 0 && resultPeriod2Table.metadata.cachedPages === resultPeriod2Table.metadata.pagesFetched;
+                        updateStatus(`Success: ${resultPeriod2.data.length} ${pageOnly ? 'pages (no query data for this search type)' : 'keywords'} ${dateMsg}${fromCache ? ' (from cache)' : ''}.`);
                     }
                 } catch (displayErr) {
                     console.error("Error during post-fetch display:", displayErr);
@@ -763,5 +1090,7 @@ export async function handleFetchDataClick(
         updateStatus(`Error: ${error.message}`, true);
     } finally {
         if (button) button.disabled = false; // Ensure button re-enabled
+        activeFetchControllers.delete(fetchController);
+        if (cancelButton && activeFetchControllers.size === 0) cancelButton.style.display = 'none';
     }
 } // End handleFetchDataClick
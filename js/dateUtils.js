@@ -74,3 +74,32 @@ export function getApiDateRange(rangeOption) {
   // Get dates for the most recent period (offset 0)
   return getPeriodDates(0, days);
 }
+
+/**
+ * Calculates the comparison period for a main period
+ * @param {Object} period - Main period ({ startDate, endDate } as YYYY-MM-DD)
+ * @param {string} compareType - 'previous' (same length, ending the day before) or 'lastYear' (same dates one year earlier)
+ * @returns {Object|null} Object containing startDate and endDate strings, or null for an unknown type
+ */
+export function getComparisonPeriod(period, compareType) {
+    const formatDate = (date) => date.toISOString().split('T')[0];
+    const start = new Date(period.startDate + 'T00:00:00Z');
+    const end = new Date(period.endDate + 'T00:00:00Z');
+
+    if (compareType === 'previous') {
+        const days = Math.round((end - start) / (24 * 60 * 60 * 1000)) + 1;
+        const previousEnd = new Date(start);
+        previousEnd.setUTCDate(previousEnd.getUTCDate() - 1); // Day before the main period starts
+        const previousStart = new Date(previousEnd);
+        previousStart.setUTCDate(previousStart.getUTCDate() - days + 1);
+        return { startDate: formatDate(previousStart), endDate: formatDate(previousEnd) };
+    }
+
+    if (compareType === 'lastYear') {
+        start.setUTCFullYear(start.getUTCFullYear() - 1);
+        end.setUTCFullYear(end.getUTCFullYear() - 1);
+        return { startDate: formatDate(start), endDate: formatDate(end) };
+    }
+
+    return null;
+}
@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Helpers for Search Analytics dimensions.
+ * Rows fetched with several dimensions (e.g. query + page) carry one property per dimension;
+ * these helpers describe which of those properties are shown, sorted and filtered as text.
+ */
+
+import { getCountryName } from './countryUtils.js';
+
+/**
+ * Display labels for the Search Analytics dimensions used by the extension
+ */
+export const DIMENSION_LABELS = {
+    query: 'Query',
+    page: 'Page',
+    country: 'Country',
+    device: 'Device',
+    date: 'Date',
+    searchAppearance: 'Search Appearance'
+};
+
+/**
+ * Display labels for the searchAppearance values returned by the API (others are title-cased)
+ */
+export const SEARCH_APPEARANCE_LABELS = {
+    AMP_BLUE_LINK: 'AMP non-rich result',
+    AMP_TOP_STORIES: 'AMP top stories',
+    RICHCARD: 'Rich card',
+    FAQ_RICH_RESULT: 'FAQ rich result',
+    HOWTO: 'How-to rich result',
+    REVIEW_SNIPPET: 'Review snippet',
+    PRODUCT_SNIPPETS: 'Product snippets',
+    MERCHANT_LISTINGS: 'Merchant listings',
+    ORGANIC_SHOPPING: 'Shopping',
+    VIDEO: 'Videos',
+    LEARNING_VIDEOS: 'Learning videos',
+    JOB_LISTING: 'Job listing',
+    JOB_DETAILS: 'Job details',
+    EVENT: 'Event',
+    RECIPE_FEATURE: 'Recipe feature',
+    RECIPE_RICH_SNIPPET: 'Recipe rich snippet',
+    TRANSLATED_RESULT: 'Translated result',
+    SPECIAL_ANNOUNCEMENT: 'Special announcement',
+    PAGE_EXPERIENCE: 'Good page experience'
+};
+
+/**
+ * Dimensions that can be combined with 'query' as a table breakdown
+ */
+export const BREAKDOWN_DIMENSIONS = ['page', 'country', 'device'];
+
+/**
+ * Search types that have no query dimension and no average position (Discover, Google News).
+ * Their reports list pages instead of keywords.
+ */
+export const PAGE_ONLY_SEARCH_TYPES = ['discover', 'googleNews'];
+
+/**
+ * Whether a search type only supports page-level data
+ * @param {string} searchType - searchTypeFilter value ('web', 'discover', ...)
+ * @returns {boolean}
+ */
+export function isPageOnlySearchType(searchType) {
+    return PAGE_ONLY_SEARCH_TYPES.includes(searchType);
+}
+
+/**
+ * Row properties that hold text values (sorted alphabetically, filtered with text operators)
+ */
+export const TEXT_DIMENSIONS = Object.keys(DIMENSION_LABELS);
+
+/**
+ * Returns the dimensions listed in the metadata besides 'query'
+ * @param {Object} metadata - Metadata returned by fetchGscDataForPeriod
+ * @returns {Array<string>} - Extra dimension names, in request order
+ */
+export function getExtraDimensions(metadata) {
+    // Page-only reports keep the page URL in the 'query' property, so it is not an extra column
+    if (metadata?.pageOnly) return [];
+    const dimensions = metadata?.dimensions || [];
+    return dimensions.filter(dimension => dimension !== 'query');
+}
+
+/**
+ * Builds a case-insensitive key identifying a row across periods
+ * @param {Object} item - Data row
+ * @param {Array<string>} extraDimensions - Extra dimensions that are part of the row identity
+ * @returns {string} - Lookup key
+ */
+export function getRowKey(item, extraDimensions = []) {
+    const parts = [item.query || '', ...extraDimensions.map(dimension => item[dimension] || '')];
+    return parts.join('\u0001').toLowerCase();
+}
+
+/**
+ * Formats a dimension value for display
+ * @param {string} dimension - Dimension name
+ * @param {string} value - Raw value returned by the API
+ * @returns {string} - Display value
+ */
+export function formatDimensionValue(dimension, value) {
+    if (value === null || value === undefined || value === '') return '-';
+    if (dimension === 'country') {
+        return getCountryName(value);
+    }
+    if (dimension === 'device') {
+        return value.charAt(0).toUpperCase() + value.slice(1).toLowerCase();
+    }
+    if (dimension === 'searchAppearance') {
+        const label = SEARCH_APPEARANCE_LABELS[value] || value.replace(/_/g, ' ').toLowerCase();
+        return label.charAt(0).toUpperCase() + label.slice(1);
+    }
+    return String(value);
+}
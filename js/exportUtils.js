@@ -6,6 +6,7 @@ import { triggerDownload } from './downloadUtils.js';
 import { updateStatus } from './statusUtils.js';
 import { getCurrentGroupingState } from './keywordGroupingUI.js';
 import { exportGroupedData } from './keywordGroupingUtils.js';
+import { DIMENSION_LABELS, getExtraDimensions } from './dimensionUtils.js';
 
 /**
  * Exports the filtered and sorted data to CSV or Excel format
@@ -16,18 +17,20 @@ import { exportGroupedData } from './keywordGroupingUtils.js';
  * @param {string} options.currentDomain - The current domain
  * @param {Object} options.currentMetadata - Metadata for the current data
  * @param {number} options.currentQueryDataLength - Length of the unfiltered data array
+ * @param {boolean} [options.pageTable] - Whether the rows are the page rows of the page table
  */
 export function exportData({ 
     format, 
     filteredAndSortedData, 
     currentDomain, 
     currentMetadata,
-    currentQueryDataLength
+    currentQueryDataLength,
+    pageTable = false
 }) {
-    // Check if keyword grouping is active
+    // Check if keyword grouping is active (it groups keywords, not the rows of the page table)
     const groupingState = getCurrentGroupingState();
     
-    if (groupingState.enabled && groupingState.result) {
+    if (!pageTable && groupingState.enabled && groupingState.result) {
         return exportGroupedKeywords({ 
             format, 
             groupingResult: groupingState.result,
@@ -42,75 +45,73 @@ export function exportData({
     }
 
     // --- Prepare filename parts ---
-    const date = new Date().toISOString().split('T')[0];
-    // Determine scope from metadata - domain properties or missing pageUrl = domain-wide
-    const isDomainWide = !currentMetadata?.pageUrl || currentMetadata?.siteUrl?.startsWith('sc-domain:');
-    const scope = isDomainWide ? 'domain' : 'page';
-    const filter = '_filtered'; // Use generic filter indicator for now
-    let domain = 'gsc';
-    if (currentDomain) domain = currentDomain.replace(/[^\w.-]/g, '_');
-    else if (currentMetadata?.siteUrl) domain = currentMetadata.siteUrl.replace(/^sc-domain:/, '').replace(/[^\w.-]/g, '_');
-    const baseFilename = `${domain}_${scope}_keywords_${date}${filter}`;
+    const baseFilename = buildBaseFilename({ currentDomain, currentMetadata, suffix: '_filtered' }); // Use generic filter indicator for now
 
     // --- Prepare data for export ---
+    // Page-only reports (Discover, Google News) list pages and have no position, so no position-based columns;
+    // page table rows have a position but no CTR benchmarks
+    const pageOnly = !!currentMetadata?.pageOnly;
+    const pageRows = pageOnly || pageTable;
+    const rowLabel = pageRows ? 'pages' : 'keywords';
+    // Breakdown dimensions (page, country, device) follow the Query column
+    const extraDimensions = pageTable ? [] : getExtraDimensions(currentMetadata);
     // Header row
-    const headers = ['Query', 'Clicks', 'Impressions', 'CTR (%)', 'Position'];
+    const headers = [
+        pageRows ? 'Page' : 'Query', ...extraDimensions.map(d => DIMENSION_LABELS[d] || d), 'Clicks', 'Impressions', 'CTR (%)',
+        ...(pageOnly ? [] : ['Position']),
+        ...(pageRows ? [] : ['Expected CTR (%)', 'CTR vs Expected (%)', 'Opportunity (Extra Clicks)'])
+    ];
+    // Index of the first metric column (Clicks)
+    const metricOffset = 1 + extraDimensions.length;
     // Data rows (map your filtered data)
     const dataRows = filteredAndSortedData.map(i => {
         const q = String(i.query || '');
+        const dims = extraDimensions.map(d => String(i[d] ?? ''));
         const c = i.clicks ?? null; // Use null for SheetJS to handle blanks better
         const m = i.impressions ?? null;
         // Store CTR and Position as numbers for Excel formatting
         const r = i.ctr !== null && i.ctr !== undefined ? parseFloat(i.ctr) : null;
         const p = i.position !== null && i.position !== undefined ? parseFloat(i.position) : null;
-        return [q, c, m, r, p];
+        const e = i.expectedCtr ?? null;
+        const d = i.ctrDelta ?? null;
+        const o = i.opportunityScore ?? null;
+        return [q, ...dims, c, m, r, ...(pageOnly ? [] : [p]), ...(pageRows ? [] : [e, d, o])];
     });
 
     // Combine headers and data rows
     const exportDataArray = [headers, ...dataRows];
 
+    // Column formats - match the order of the headers array
+    const columns = [
+        { wch: pageRows ? 60 : 50 }, // Query or Page (Set width)
+        ...extraDimensions.map(d => ({ wch: d === 'page' ? 60 : 15 })), // Breakdown dimensions
+        { wch: 12, z: '#,##0' }, // Clicks (width + integer format)
+        { wch: 15, z: '#,##0' }, // Impressions (width + integer format)
+        { wch: 12, z: '0.00%' }, // CTR (width + percentage format)
+        ...(pageOnly ? [] : [{ wch: 12, z: '0.00' }]), // Position (width + decimal format)
+        ...(pageRows ? [] : [
+            { wch: 14, z: '0.00%' }, // Expected CTR
+            { wch: 16, z: '0.00%' }, // CTR vs Expected (actual minus expected)
+            { wch: 14, z: '#,##0' } // Opportunity (extra clicks)
+        ])
+    ];
+
     // --- Generate File based on format ---
     if (format === 'excel') {
         try {
-            // 1. Create a new Workbook
-            const wb = XLSX.utils.book_new();
-
-            // 2. Convert the array of arrays into a Worksheet
-            const ws = XLSX.utils.aoa_to_sheet(exportDataArray);
-
-            // 3. (Optional but recommended) Set column types/formats
-            // Define column formats - 's' for string, 'n' for number
-            // Match the order of your headers array
-            ws['!cols'] = [
-                { wch: 50 }, // Query (Set width)
-                { wch: 12, z: '#,##0' }, // Clicks (width + integer format)
-                { wch: 15, z: '#,##0' }, // Impressions (width + integer format)
-                { wch: 12, z: '0.00%' }, // CTR (width + percentage format)
-                { wch: 12, z: '0.00' }  // Position (width + decimal format)
-            ];
-
-            // Set cell types explicitly if needed (often aoa_to_sheet detects well)
-            // Example for CTR and Position columns (assuming dataRows starts at index 1)
-            for (let R = 1; R < exportDataArray.length; ++R) {
-                 const ctrCellRef = XLSX.utils.encode_cell({c: 3, r: R}); // Column D
-                 if(ws[ctrCellRef] && ws[ctrCellRef].v !== null) ws[ctrCellRef].t = 'n'; // Force number type
-
-                 const posCellRef = XLSX.utils.encode_cell({c: 4, r: R}); // Column E
-                 if(ws[posCellRef] && ws[posCellRef].v !== null) ws[posCellRef].t = 'n'; // Force number type
-            }
-
-            // 4. Add the Worksheet to the Workbook
-            XLSX.utils.book_append_sheet(wb, ws, 'Keywords'); // Name the sheet "Keywords"
-
-            // 5. Generate the XLSX file data (as an ArrayBuffer)
-            const wbout = XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
-
-            // 6. Create a Blob
-            const blob = new Blob([wbout], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
-
-            // 7. Trigger Download
-            const filename = `${baseFilename}.xlsx`;
-            triggerDownload(blob, filename);
+            downloadSheet({
+                format,
+                exportDataArray,
+                baseFilename,
+                sheetName: pageRows ? 'Pages' : 'Keywords',
+                columns,
+                // CTR, Position, Expected CTR, CTR vs Expected (of the columns present)
+                numericColumns: [
+                    metricOffset + 2,
+                    ...(pageOnly ? [] : [metricOffset + 3]),
+                    ...(pageRows ? [] : [metricOffset + 4, metricOffset + 5])
+                ]
+            });
             updateStatus('Visible data exported as Excel.', false);
 
         } catch (error) {
@@ -119,29 +120,15 @@ export function exportData({
             updateStatus('Excel export failed.', true);
         }
 
-    } else { // --- CSV Export (Your original logic, slightly cleaned) ---
-        const bom = '\uFEFF'; // Always good practice for CSV UTF-8
-        const csvContent = bom + exportDataArray.map(row => {
-             return row.map(cell => {
-                 let cellStr = cell === null || cell === undefined ? '' : String(cell);
-                 // Basic CSV quoting: quote if it contains comma, double quote, or newline
-                 if (cellStr.includes(',') || cellStr.includes('"') || cellStr.includes('\n')) {
-                     cellStr = `"${cellStr.replace(/"/g, '""')}"`; // Escape double quotes
-                 }
-                 return cellStr;
-             }).join(','); // Join cells with commas
-         }).join('\n'); // Join rows with newlines
-
-        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-        const filename = `${baseFilename}.csv`;
-        triggerDownload(blob, filename);
+    } else { // CSV Export
+        downloadSheet({ format, exportDataArray, baseFilename });
         updateStatus('Visible data exported as CSV.', false);
     }
 
     // Clear status message after a delay
     setTimeout(() => {
         if (currentMetadata) {
-            updateStatus(`Showing ${filteredAndSortedData.length} of ${currentQueryDataLength} keywords`);
+            updateStatus(`Showing ${filteredAndSortedData.length} of ${currentQueryDataLength} ${rowLabel}`);
         } else {
             updateStatus("Ready.");
         }
@@ -166,14 +153,7 @@ function exportGroupedKeywords({ format, groupingResult, currentDomain, currentM
     }
 
     // --- Prepare filename parts ---
-    const date = new Date().toISOString().split('T')[0];
-    const isDomainWide = !currentMetadata?.pageUrl || currentMetadata?.siteUrl?.startsWith('sc-domain:');
-    const scope = isDomainWide ? 'domain' : 'page';
-    const filter = '_grouped'; // Indicate this is grouped data
-    let domain = 'gsc';
-    if (currentDomain) domain = currentDomain.replace(/[^\w.-]/g, '_');
-    else if (currentMetadata?.siteUrl) domain = currentMetadata.siteUrl.replace(/^sc-domain:/, '').replace(/[^\w.-]/g, '_');
-    const baseFilename = `${domain}_${scope}_keywords_${date}${filter}`;
+    const baseFilename = buildBaseFilename({ currentDomain, currentMetadata, suffix: '_grouped' }); // Indicate this is grouped data
 
     // --- Prepare headers and data ---
     const headers = [
@@ -205,44 +185,24 @@ function exportGroupedKeywords({ format, groupingResult, currentDomain, currentM
     // --- Generate File based on format ---
     if (format === 'excel') {
         try {
-            // Create workbook with grouped data
-            const wb = XLSX.utils.book_new();
-            const ws = XLSX.utils.aoa_to_sheet(exportDataArray);
-
-            // Set column formats for grouped data
-            ws['!cols'] = [
-                { wch: 50 }, // Query
-                { wch: 12, z: '#,##0' }, // Clicks
-                { wch: 15, z: '#,##0' }, // Impressions
-                { wch: 12, z: '0.00%' }, // CTR
-                { wch: 12, z: '0.00' },  // Position
-                { wch: 30 }, // Group Topic
-                { wch: 12, z: '#,##0' }, // Group Size
-                { wch: 18, z: '#,##0' }, // Group Total Clicks
-                { wch: 18, z: '0.00' }   // Group Avg Position
-            ];
-
-            // Set cell types for numeric columns
-            for (let R = 1; R < exportDataArray.length; ++R) {
-                // CTR column (D)
-                const ctrCellRef = XLSX.utils.encode_cell({c: 3, r: R});
-                if(ws[ctrCellRef] && ws[ctrCellRef].v !== null) ws[ctrCellRef].t = 'n';
-
-                // Position column (E)
-                const posCellRef = XLSX.utils.encode_cell({c: 4, r: R});
-                if(ws[posCellRef] && ws[posCellRef].v !== null) ws[posCellRef].t = 'n';
-
-                // Group Avg Position column (I)
-                const groupPosCellRef = XLSX.utils.encode_cell({c: 8, r: R});
-                if(ws[groupPosCellRef] && ws[groupPosCellRef].v !== null) ws[groupPosCellRef].t = 'n';
-            }
-
-            XLSX.utils.book_append_sheet(wb, ws, 'Grouped Keywords');
-            const wbout = XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
-            const blob = new Blob([wbout], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
-
-            const filename = `${baseFilename}.xlsx`;
-            triggerDownload(blob, filename);
+            downloadSheet({
+                format,
+                exportDataArray,
+                baseFilename,
+                sheetName: 'Grouped Keywords',
+                columns: [
+                    { wch: 50 }, // Query
+                    { wch: 12, z: '#,##0' }, // Clicks
+                    { wch: 15, z: '#,##0' }, // Impressions
+                    { wch: 12, z: '0.00%' }, // CTR
+                    { wch: 12, z: '0.00' },  // Position
+                    { wch: 30 }, // Group Topic
+                    { wch: 12, z: '#,##0' }, // Group Size
+                    { wch: 18, z: '#,##0' }, // Group Total Clicks
+                    { wch: 18, z: '0.00' }   // Group Avg Position
+                ],
+                numericColumns: [3, 4, 8] // CTR (D), Position (E), Group Avg Position (I)
+            });
             updateStatus(`Grouped data exported as Excel: ${groupingResult.totalGroups} groups, ${exportData.length} keywords`, false);
 
         } catch (error) {
@@ -252,20 +212,7 @@ function exportGroupedKeywords({ format, groupingResult, currentDomain, currentM
         }
 
     } else { // CSV Export
-        const bom = '\uFEFF';
-        const csvContent = bom + exportDataArray.map(row => {
-            return row.map(cell => {
-                let cellStr = cell === null || cell === undefined ? '' : String(cell);
-                if (cellStr.includes(',') || cellStr.includes('"') || cellStr.includes('\n')) {
-                    cellStr = `"${cellStr.replace(/"/g, '""')}"`;
-                }
-                return cellStr;
-            }).join(',');
-        }).join('\n');
-
-        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-        const filename = `${baseFilename}.csv`;
-        triggerDownload(blob, filename);
+        downloadSheet({ format, exportDataArray, baseFilename });
         updateStatus(`Grouped data exported as CSV: ${groupingResult.totalGroups} groups, ${exportData.length} keywords`, false);
     }
 
@@ -278,3 +225,314 @@ function exportGroupedKeywords({ format, groupingResult, currentDomain, currentM
         }
     }, 2500);
 }
+
+/**
+ * Exports the keyword cannibalization report (one row per competing page)
+ * @param {Object} options - Export options
+ * @param {string} options.format - Export format ('csv' or 'excel')
+ * @param {Array} options.groups - Report groups from findCannibalizedQueries
+ * @param {string} options.currentDomain - The current domain
+ * @param {Object} options.currentMetadata - Metadata for the current data
+ */
+export function exportCannibalizationReport({ format, groups, currentDomain, currentMetadata }) {
+    if (!groups?.length) {
+        alert("No cannibalization data to export.");
+        return;
+    }
+
+    const baseFilename = buildBaseFilename({ currentDomain, currentMetadata, suffix: '_cannibalization' });
+
+    // --- Prepare headers and data ---
+    const headers = [
+        'Query',
+        'Competing Pages',
+        'Query Clicks',
+        'Query Impressions',
+        'Page',
+        'Clicks',
+        'Click Share (%)',
+        'Impressions',
+        'Impression Share (%)',
+        'Position'
+    ];
+
+    const dataRows = groups.flatMap(group => group.pages.map(page => [
+        String(group.query || ''),
+        group.pageCount,
+        group.clicks,
+        group.impressions,
+        String(page.page || ''),
+        page.clicks,
+        page.clickShare,
+        page.impressions,
+        page.impressionShare,
+        page.position
+    ]));
+
+    const exportDataArray = [headers, ...dataRows];
+
+    // --- Generate File based on format ---
+    if (format === 'excel') {
+        try {
+            downloadSheet({
+                format,
+                exportDataArray,
+                baseFilename,
+                sheetName: 'Cannibalization',
+                columns: [
+                    { wch: 50 }, // Query
+                    { wch: 10, z: '#,##0' }, // Competing Pages
+                    { wch: 12, z: '#,##0' }, // Query Clicks
+                    { wch: 15, z: '#,##0' }, // Query Impressions
+                    { wch: 60 }, // Page
+                    { wch: 12, z: '#,##0' }, // Clicks
+                    { wch: 12, z: '0.00%' }, // Click Share
+                    { wch: 15, z: '#,##0' }, // Impressions
+                    { wch: 12, z: '0.00%' }, // Impression Share
+                    { wch: 12, z: '0.00' }   // Position
+                ],
+                numericColumns: [6, 8, 9] // Click Share, Impression Share, Position
+            });
+            updateStatus(`Cannibalization report exported as Excel: ${groups.length} queries`, false);
+
+        } catch (error) {
+            console.error("Error generating cannibalization Excel file:", error);
+            alert("Error creating Excel file. Check console for details.");
+            updateStatus('Cannibalization Excel export failed.', true);
+        }
+
+    } else { // CSV Export
+        downloadSheet({ format, exportDataArray, baseFilename });
+        updateStatus(`Cannibalization report exported as CSV: ${groups.length} queries`, false);
+    }
+}
+
+/**
+ * Exports a batch URL analysis: CSV as one combined table (one row per URL and query),
+ * Excel with a summary sheet and one sheet of top queries per URL
+ * @param {Object} options - Export options
+ * @param {string} options.format - Export format ('csv' or 'excel')
+ * @param {Array} options.results - Results from analyzeUrlBatch
+ * @param {Object} options.period - Analyzed period { startDate, endDate }
+ */
+export function exportBatchUrlReport({ format, results, period }) {
+    if (!results?.length) {
+        alert("No batch results to export.");
+        return;
+    }
+
+    const date = new Date().toISOString().split('T')[0];
+    const baseFilename = `gsc_batch_urls_${period?.startDate || date}_${period?.endDate || date}`;
+    const queryHeaders = ['Query', 'Clicks', 'Impressions', 'CTR (%)', 'Position'];
+    const queryColumns = [
+        { wch: 50 }, // Query
+        { wch: 12, z: '#,##0' }, // Clicks
+        { wch: 15, z: '#,##0' }, // Impressions
+        { wch: 12, z: '0.00%' }, // CTR
+        { wch: 12, z: '0.00' }   // Position
+    ];
+    const queryCells = (query) => [String(query.query || ''), query.clicks ?? null, query.impressions ?? null, query.ctr ?? null, query.position ?? null];
+
+    if (format === 'excel') {
+        try {
+            const summary = [
+                ['URL', 'Property', 'Clicks', 'Impressions', 'CTR (%)', 'Position', 'Queries', 'Error'],
+                ...results.map(result => [
+                    result.url,
+                    result.siteUrl || '',
+                    result.clicks,
+                    result.impressions,
+                    result.ctr !== null ? result.ctr / 100 : null, // Stored as a percent, Excel format expects a fraction
+                    result.position,
+                    result.queries.length,
+                    result.error || ''
+                ])
+            ];
+            const usedNames = new Set(['summary']);
+            const sheets = [{
+                sheetName: 'Summary',
+                exportDataArray: summary,
+                columns: [{ wch: 60 }, { wch: 30 }, { wch: 12, z: '#,##0' }, { wch: 15, z: '#,##0' }, { wch: 12, z: '0.00%' }, { wch: 12, z: '0.00' }, { wch: 10 }, { wch: 30 }],
+                numericColumns: [4, 5]
+            }];
+            results.filter(result => !result.error).forEach(result => {
+                sheets.push({
+                    sheetName: buildSheetName(result.url, usedNames),
+                    exportDataArray: [queryHeaders, ...result.queries.map(queryCells)],
+                    columns: queryColumns,
+                    numericColumns: [3, 4]
+                });
+            });
+
+            downloadWorkbook({ baseFilename, sheets });
+            updateStatus(`Batch results exported as Excel: ${results.length} URLs`, false);
+
+        } catch (error) {
+            console.error("Error generating batch Excel file:", error);
+            alert("Error creating Excel file. Check console for details.");
+            updateStatus('Batch Excel export failed.', true);
+        }
+
+    } else { // CSV Export
+        const exportDataArray = [
+            ['URL', 'Property', ...queryHeaders],
+            ...results.flatMap(result => result.queries.map(query => [result.url, result.siteUrl || '', ...queryCells(query)]))
+        ];
+        downloadSheet({ format, exportDataArray, baseFilename });
+        updateStatus(`Batch results exported as CSV: ${results.length} URLs`, false);
+    }
+}
+
+/**
+ * Exports a bulk URL inspection (one row per URL)
+ * @param {Object} options - Export options
+ * @param {string} options.format - Export format ('csv' or 'excel')
+ * @param {Array} options.results - Results from inspectUrlBatch
+ */
+export function exportInspectionReport({ format, results }) {
+    if (!results?.length) {
+        alert("No inspection results to export.");
+        return;
+    }
+
+    const date = new Date().toISOString().split('T')[0];
+    const exportDataArray = [
+        ['URL', 'Property', 'Clicks', 'Impressions', 'Verdict', 'Coverage State', 'Last Crawl', 'Google Canonical', 'User Canonical', 'Canonical Mismatch', 'Not Indexed With Impressions', 'Error'],
+        ...results.map(result => [
+            result.url,
+            result.siteUrl || '',
+            result.clicks,
+            result.impressions,
+            result.verdict || '',
+            result.coverageState || '',
+            result.lastCrawlTime || '',
+            result.googleCanonical || '',
+            result.userCanonical || '',
+            result.error ? '' : (result.canonicalMismatch ? 'Yes' : 'No'),
+            result.notIndexedWithImpressions ? 'Yes' : 'No',
+            result.error || ''
+        ])
+    ];
+
+    try {
+        downloadSheet({
+            format,
+            exportDataArray,
+            baseFilename: `gsc_url_inspection_${date}`,
+            sheetName: 'URL Inspection',
+            columns: [{ wch: 60 }, { wch: 30 }, { wch: 12, z: '#,##0' }, { wch: 15, z: '#,##0' }, { wch: 12 }, { wch: 40 }, { wch: 22 }, { wch: 60 }, { wch: 60 }, { wch: 12 }, { wch: 14 }, { wch: 30 }]
+        });
+        updateStatus(`Inspection results exported as ${format === 'excel' ? 'Excel' : 'CSV'}: ${results.length} URLs`, false);
+    } catch (error) {
+        console.error("Error generating inspection export:", error);
+        alert("Error creating export file. Check console for details.");
+        updateStatus('Inspection export failed.', true);
+    }
+}
+
+/**
+ * Builds the export filename (without extension) from the domain, scope and date
+ * @param {Object} options - Filename options
+ * @param {string} options.currentDomain - The current domain
+ * @param {Object} options.currentMetadata - Metadata for the current data
+ * @param {string} options.suffix - Suffix describing the export (e.g. '_filtered')
+ * @returns {string} - Base filename
+ */
+function buildBaseFilename({ currentDomain, currentMetadata, suffix }) {
+    const date = new Date().toISOString().split('T')[0];
+    // Determine scope from metadata - domain properties or missing pageUrl = domain-wide
+    const isDomainWide = !currentMetadata?.pageUrl || currentMetadata?.siteUrl?.startsWith('sc-domain:');
+    const scope = isDomainWide ? 'domain' : 'page';
+    let domain = 'gsc';
+    if (currentDomain) domain = currentDomain.replace(/[^\w.-]/g, '_');
+    else if (currentMetadata?.siteUrl) domain = currentMetadata.siteUrl.replace(/^sc-domain:/, '').replace(/[^\w.-]/g, '_');
+    return `${domain}_${scope}_keywords_${date}${suffix}`;
+}
+
+/**
+ * Writes an array of rows (header row first) to a CSV or Excel file and triggers the download
+ * @param {Object} options - File options
+ * @param {string} options.format - Export format ('csv' or 'excel')
+ * @param {Array<Array>} options.exportDataArray - Header row followed by data rows
+ * @param {string} options.baseFilename - Filename without extension
+ * @param {string} [options.sheetName] - Excel sheet name
+ * @param {Array<Object>} [options.columns] - Excel column widths/formats, in header order
+ * @param {Array<number>} [options.numericColumns] - Excel column indexes forced to number type
+ * @throws {Error} If the Excel workbook cannot be generated
+ */
+function downloadSheet({ format, exportDataArray, baseFilename, sheetName = 'Sheet1', columns = [], numericColumns = [] }) {
+    if (format === 'excel') {
+        downloadWorkbook({ baseFilename, sheets: [{ sheetName, exportDataArray, columns, numericColumns }] });
+        return;
+    }
+
+    const bom = '\uFEFF'; // Always good practice for CSV UTF-8
+    const csvContent = bom + exportDataArray.map(row => {
+        return row.map(cell => {
+            let cellStr = cell === null || cell === undefined ? '' : String(cell);
+            // Basic CSV quoting: quote if it contains comma, double quote, or newline
+            if (cellStr.includes(',') || cellStr.includes('"') || cellStr.includes('\n')) {
+                cellStr = `"${cellStr.replace(/"/g, '""')}"`; // Escape double quotes
+            }
+            return cellStr;
+        }).join(','); // Join cells with commas
+    }).join('\n'); // Join rows with newlines
+
+    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+    triggerDownload(blob, `${baseFilename}.csv`);
+}
+
+/**
+ * Writes several sheets to one Excel workbook and triggers the download
+ * @param {Object} options - Workbook options
+ * @param {string} options.baseFilename - Filename without extension
+ * @param {Array<Object>} options.sheets - Sheets of { sheetName, exportDataArray, columns, numericColumns } (see downloadSheet)
+ * @throws {Error} If the Excel workbook cannot be generated
+ */
+function downloadWorkbook({ baseFilename, sheets }) {
+    const wb = XLSX.utils.book_new();
+
+    sheets.forEach(({ sheetName, exportDataArray, columns = [], numericColumns = [] }) => {
+        const ws = XLSX.utils.aoa_to_sheet(exportDataArray);
+        ws['!cols'] = columns;
+
+        // Set cell types explicitly (aoa_to_sheet usually detects them, decimals stored as text would not format)
+        for (let R = 1; R < exportDataArray.length; ++R) {
+            numericColumns.forEach(C => {
+                const cellRef = XLSX.utils.encode_cell({ c: C, r: R });
+                if (ws[cellRef] && ws[cellRef].v !== null) ws[cellRef].t = 'n'; // Force number type
+            });
+        }
+
+        XLSX.utils.book_append_sheet(wb, ws, sheetName);
+    });
+
+    const wbout = XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
+    const blob = new Blob([wbout], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+    triggerDownload(blob, `${baseFilename}.xlsx`);
+}
+
+/**
+ * Builds a unique Excel sheet name (max 31 characters, no []:*?/\) from a URL
+ * @param {string} url - Page URL
+ * @param {Set<string>} usedNames - Names already in the workbook (lowercase); the new name is added
+ * @returns {string} - Sheet name
+ */
+function buildSheetName(url, usedNames) {
+    let base;
+    try {
+        const urlObj = new URL(url);
+        base = urlObj.pathname === '/' ? urlObj.hostname : urlObj.pathname.replace(/^\/|\/$/g, '');
+    } catch (e) {
+        base = url;
+    }
+    base = base.replace(/[\[\]:*?\/\\]/g, '_').slice(0, 31) || 'URL';
+
+    let name = base;
+    for (let n = 2; usedNames.has(name.toLowerCase()); n++) {
+        const suffix = ` (${n})`;
+        name = base.slice(0, 31 - suffix.length) + suffix;
+    }
+    usedNames.add(name.toLowerCase());
+    return name;
+}
@@ -4,6 +4,31 @@
 
 import { sortDataAdvanced } from './sortUtils.js';
 import { updateStatus } from './statusUtils.js';
+import { TEXT_DIMENSIONS } from './dimensionUtils.js';
+import { isCtrBelowExpected } from './opportunityUtils.js';
+
+/**
+ * Operators available for text (dimension) filter rules
+ */
+export const TEXT_FILTER_OPERATORS = ['contains', 'not-contains', 'equals', 'not-equals'];
+
+/**
+ * Tests a text value against a text filter rule
+ * @param {string} value - Row value (query, page, country, device...)
+ * @param {Object} rule - Filter rule with operator and value
+ * @returns {boolean} - Whether the row value matches
+ */
+function matchesTextRule(value, rule) {
+    const itemText = String(value || '').toLowerCase();
+    const filterText = String(rule.value || '').toLowerCase();
+    switch (rule.operator) {
+        case 'contains': return itemText.includes(filterText);
+        case 'not-contains': return !itemText.includes(filterText);
+        case 'equals': return itemText === filterText;
+        case 'not-equals': return itemText !== filterText;
+        default: return false;
+    }
+}
 
 /**
  * Apply all filtering and sorting operations to the data.
@@ -19,6 +44,7 @@ import { updateStatus } from './statusUtils.js';
  * @param {Function} options.refreshDataDisplay - Function to refresh the data display
  * @param {Function} options.updateMultiSortInfo - Function to update the sort info in the UI
  * @param {Object} options.currentMetadata - Current metadata
+ * @param {string} [options.rowLabel] - Plural label of the rows in status messages ('keywords' or 'pages')
  * @returns {Array} The filtered and sorted data
  */
 export function applyFiltersAndSort({
@@ -30,7 +56,8 @@ export function applyFiltersAndSort({
     currentSortKeys,
     refreshDataDisplay,
     updateMultiSortInfo,
-    currentMetadata
+    currentMetadata,
+    rowLabel = 'keywords'
 }) {
     const activeFilterPill = document.querySelector('.filter-container .filter-pill.active');
     const activePillFilter = activeFilterPill ? activeFilterPill.dataset.filter : 'all';
@@ -50,6 +77,7 @@ export function applyFiltersAndSort({
                 case 'position-5-20': return !isNaN(pos) && pos >= 5 && pos <= 20;
                 case 'position-gt-20': return !isNaN(pos) && pos > 20;
                 case 'low-ctr': return !isNaN(ctr) && ctr < 1 && !isNaN(impressions) && impressions >= 10;
+                case 'ctr-below-expected': return isCtrBelowExpected(item);
                 case 'high-impressions': return !isNaN(impressions) && impressions >= 100;
                 case 'has-clicks': return !isNaN(clicks) && clicks > 0;
                 case 'no-clicks': return !isNaN(clicks) && clicks === 0;
@@ -77,16 +105,23 @@ export function applyFiltersAndSort({
         }
     }
 
-    // 4. Apply Multi-Condition Numerical Filters
+    // 4. Apply Multi-Condition Filters (numeric metrics and text dimensions)
     if (filterRules.length > 0) {
         resultData = resultData.filter(item => {
             const results = filterRules.map(rule => {
+                // Text rules on query or dimension columns
+                if (TEXT_DIMENSIONS.includes(rule.metric)) {
+                    return matchesTextRule(item[rule.metric], rule);
+                }
+
                 let itemValue = null;
                 switch (rule.metric) {
                     case 'clicks': itemValue = parseInt(item.clicks); break;
                     case 'impressions': itemValue = parseInt(item.impressions); break;
                     case 'ctr': itemValue = parseFloat(item.ctr) * 100; break; // Use percentage
                     case 'position': itemValue = parseFloat(item.position); break;
+                    case 'ctrDelta': itemValue = parseFloat(item.ctrDelta) * 100; break; // Percentage points
+                    case 'opportunityScore': itemValue = parseFloat(item.opportunityScore); break; // Estimated extra clicks
                 }
 
                 // Treat NaN/null as non-matching for most operators
@@ -122,7 +157,7 @@ export function applyFiltersAndSort({
     if (updateMultiSortInfo) updateMultiSortInfo();
 
     if (currentMetadata) {
-        updateStatus(`Showing ${resultData.length} of ${currentQueryData.length} keywords`);
+        updateStatus(`Showing ${resultData.length} of ${currentQueryData.length} ${rowLabel}`);
     }
 
     return resultData;
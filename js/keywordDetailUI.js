@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Keyword detail panel.
+ * Clicking a query row opens a side panel with the query's daily clicks/position trend
+ * and the pages ranking for it, fetched on demand for the currently loaded period.
+ */
+
+import { fetchGscDataForPeriod } from './dataFetchUtils.js';
+import { aggregateMetrics } from './metricsUtils.js';
+import { escapeHtml } from './uiUtils.js';
+
+/**
+ * Maximum number of ranking pages listed for a query
+ */
+const KEYWORD_PAGES_ROW_LIMIT = 50;
+
+/**
+ * Maximum number of daily rows requested (covers the longest selectable period)
+ */
+const KEYWORD_DAILY_ROW_LIMIT = 500;
+
+// Incremented on every open so a slow response for a previous query is ignored
+let detailRequestId = 0;
+
+/**
+ * Wires the close button and Escape key of the keyword detail panel
+ */
+export function initKeywordDetailPanel() {
+    const closeButton = document.getElementById('closeKeywordDetail');
+    if (closeButton) {
+        closeButton.addEventListener('click', closeKeywordDetail);
+    }
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') closeKeywordDetail();
+    });
+}
+
+/**
+ * Hides the keyword detail panel and releases its chart
+ */
+export function closeKeywordDetail() {
+    const panel = document.getElementById('keywordDetailPanel');
+    if (!panel || panel.style.display === 'none') return;
+
+    detailRequestId++; // Discard any response still in flight
+    panel.style.display = 'none';
+    if (window.KeywordSparklineChart) {
+        window.KeywordSparklineChart.destroy();
+    }
+}
+
+/**
+ * Opens the detail panel for a query and loads its daily trend and ranking pages
+ * @param {Object} options - Options for the detail panel
+ * @param {string} options.query - The query to drill into
+ * @param {Object} options.metadata - Metadata of the current fetch (site, page, period and filters)
+ * @param {string} options.authToken - OAuth token for the Search Console API
+ * @param {Function} [options.updateStatus] - Status bar callback
+ * @returns {Promise<void>}
+ */
+export async function openKeywordDetail({ query, metadata, authToken, updateStatus = () => {} }) {
+    const panel = document.getElementById('keywordDetailPanel');
+    if (!panel || !query || !metadata) return;
+
+    const requestId = ++detailRequestId;
+    const summary = document.getElementById('keywordDetailSummary');
+    const pagesContainer = document.getElementById('keywordDetailPages');
+
+    document.getElementById('keywordDetailTitle').textContent = query;
+    document.getElementById('keywordDetailPeriod').textContent = `${metadata.startDate} to ${metadata.endDate}`;
+    summary.innerHTML = '<div class="no-data">Loading daily data...</div>';
+    pagesContainer.innerHTML = '';
+    panel.style.display = 'flex';
+
+    const fetchOptions = {
+        countryFilter: metadata.countryFilter || 'all',
+        // Keep the API filters of the loaded report (e.g. a page regex) on the drill-down
+        dimensionFilters: [...(metadata.dimensionFilters || []), { dimension: 'query', operator: 'equals', expression: query }]
+    };
+
+    try {
+        updateStatus(`Loading details for "${query}"...`);
+        // Status updates of the individual requests are muted; the panel shows its own loading state
+        const [dailyResult, pagesResult] = await Promise.all([
+            fetchGscDataForPeriod(metadata.siteUrl, metadata.startDate, metadata.endDate, KEYWORD_DAILY_ROW_LIMIT, metadata.pageUrl, authToken, metadata.deviceFilter, metadata.searchTypeFilter, 'date', () => {}, fetchOptions),
+            fetchGscDataForPeriod(metadata.siteUrl, metadata.startDate, metadata.endDate, KEYWORD_PAGES_ROW_LIMIT, metadata.pageUrl, authToken, metadata.deviceFilter, metadata.searchTypeFilter, 'page', () => {}, fetchOptions)
+        ]);
+
+        if (requestId !== detailRequestId) return; // Panel was closed or another query opened
+
+        const dailyRows = dailyResult.data || [];
+        const pageRows = pagesResult.data || [];
+
+        renderKeywordSummary(summary, dailyRows);
+        renderKeywordPages(pagesContainer, pageRows);
+
+        if (window.KeywordSparklineChart) {
+            const chartData = window.KeywordSparklineChart.processData(dailyRows, {
+                startDate: metadata.startDate,
+                endDate: metadata.endDate
+            });
+            window.KeywordSparklineChart.init({
+                canvas: document.getElementById('keywordSparklineChart'),
+                data: chartData,
+                forceInit: true
+            });
+        }
+
+        updateStatus(`Loaded ${dailyRows.length} days and ${pageRows.length} pages for "${query}".`);
+    } catch (error) {
+        if (requestId !== detailRequestId) return;
+        console.error('Error loading keyword details:', error);
+        summary.innerHTML = `<div class="no-data">Could not load details: ${escapeHtml(error.message)}</div>`;
+        updateStatus(`Error: ${error.message}`, true);
+    }
+}
+
+/**
+ * Renders the period totals for the query
+ * @param {HTMLElement} container - Summary element
+ * @param {Array} dailyRows - Daily rows for the query
+ */
+function renderKeywordSummary(container, dailyRows) {
+    if (dailyRows.length === 0) {
+        container.innerHTML = '<div class="no-data">No daily data for this query in the selected period.</div>';
+        return;
+    }
+
+    const { totalClicks: clicks, totalImpressions: impressions, avgCTR: ctr, avgPosition: position } = aggregateMetrics(dailyRows);
+
+    container.innerHTML = `
+        <div class="keyword-detail-metric"><span>Clicks</span><strong>${clicks.toLocaleString()}</strong></div>
+        <div class="keyword-detail-metric"><span>Impressions</span><strong>${impressions.toLocaleString()}</strong></div>
+        <div class="keyword-detail-metric"><span>CTR</span><strong>${ctr.toFixed(2)}%</strong></div>
+        <div class="keyword-detail-metric"><span>Position</span><strong>${position.toFixed(1)}</strong></div>`;
+}
+
+/**
+ * Renders the pages ranking for the query, most clicked first
+ * @param {HTMLElement} container - Pages list element
+ * @param {Array} pageRows - Rows of { page, clicks, impressions, ctr, position }
+ */
+function renderKeywordPages(container, pageRows) {
+    if (pageRows.length === 0) {
+        container.innerHTML = '<div class="no-data">No ranking pages found.</div>';
+        return;
+    }
+
+    const sortedRows = [...pageRows].sort((a, b) => (b.clicks - a.clicks) || (b.impressions - a.impressions));
+    const rowsHTML = sortedRows.map(row => `<tr>
+                    <td class="dimension-cell"><a href="${escapeHtml(row.page)}" target="_blank" title="${escapeHtml(row.page)}">${escapeHtml(row.page)}</a></td>
+                    <td style="text-align: right;">${(row.clicks || 0).toLocaleString()}</td>
+                    <td style="text-align: right;">${(row.impressions || 0).toLocaleString()}</td>
+                    <td style="text-align: right;">${parseFloat(row.position || 0).toFixed(1)}</td>
+                </tr>`).join('');
+
+    container.innerHTML = `<table class="breakdown-table">
+        <thead><tr>
+            <th>Page</th><th>Clicks</th><th>Impr.</th><th>Pos.</th>
+        </tr></thead>
+        <tbody>${rowsHTML}</tbody>
+    </table>`;
+}
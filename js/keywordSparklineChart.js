@@ -0,0 +1,202 @@
+/**
+ * Keyword Sparkline Chart Module
+ * Handles the small daily clicks/position chart shown in the keyword detail panel
+ */
+
+// Chart instance reference
+let keywordSparklineChart = null;
+let isKeywordSparklineChartInitialized = false;
+
+/**
+ * Initializes the keyword sparkline chart
+ * @param {Object} options - Chart configuration options
+ * @param {HTMLElement} options.canvas - The canvas element to render the chart
+ * @param {Object} [options.data] - Chart data from processDataForKeywordSparkline
+ * @param {boolean} [options.forceInit=false] - Whether to force initialization even if chart is already initialized
+ * @returns {Object} Chart.js instance
+ */
+function initKeywordSparklineChart({ canvas, data = {}, forceInit = false }) {
+    // If chart is already initialized and not forcing re-init, return existing instance
+    if (isKeywordSparklineChartInitialized && keywordSparklineChart && !forceInit) {
+        keywordSparklineChart.data = data;
+        keywordSparklineChart.update();
+        return keywordSparklineChart;
+    }
+
+    if (!canvas) {
+        console.error('Canvas element is required to initialize keyword sparkline chart');
+        return null;
+    }
+
+    const ctx = canvas.getContext('2d');
+
+    // Destroy existing chart if it exists
+    if (keywordSparklineChart) {
+        keywordSparklineChart.destroy();
+        keywordSparklineChart = null;
+    }
+
+    keywordSparklineChart = new Chart(ctx, {
+        type: 'line',
+        data: data,
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'bottom',
+                    labels: {
+                        boxWidth: 10,
+                        font: { size: 10 }
+                    }
+                },
+                tooltip: {
+                    callbacks: {
+                        title: function(tooltipItems) {
+                            return tooltipItems[0].chart.data.dates?.[tooltipItems[0].dataIndex] || tooltipItems[0].label;
+                        },
+                        label: function(context) {
+                            if (context.parsed.y === null || context.parsed.y === undefined) {
+                                return `${context.dataset.label}: not shown`;
+                            }
+                            const value = context.dataset.yAxisID === 'yPosition'
+                                ? context.parsed.y.toFixed(1)
+                                : context.parsed.y.toLocaleString();
+                            return `${context.dataset.label}: ${value}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    ticks: {
+                        maxTicksLimit: 6,
+                        autoSkip: true,
+                        font: { size: 10 }
+                    },
+                    grid: {
+                        display: false
+                    }
+                },
+                yClicks: {
+                    type: 'linear',
+                    position: 'left',
+                    beginAtZero: true,
+                    ticks: { precision: 0, font: { size: 10 } },
+                    grid: { color: 'rgba(0, 0, 0, 0.05)' }
+                },
+                yPosition: {
+                    type: 'linear',
+                    position: 'right',
+                    reverse: true, // Lower position is better, so show it at the top
+                    ticks: { font: { size: 10 } },
+                    grid: { drawOnChartArea: false }
+                }
+            },
+            elements: {
+                line: {
+                    tension: 0.25,
+                    borderWidth: 2
+                },
+                point: {
+                    radius: 0,
+                    hoverRadius: 3
+                }
+            }
+        }
+    });
+
+    isKeywordSparklineChartInitialized = true;
+    return keywordSparklineChart;
+}
+
+/**
+ * Updates the keyword sparkline chart with new data
+ * @param {Object} data - Chart data in the format { labels: [], datasets: [] }
+ */
+function updateKeywordSparklineChart(data) {
+    if (!keywordSparklineChart) {
+        console.error('Keyword Sparkline Chart is not initialized');
+        return;
+    }
+
+    keywordSparklineChart.data = data;
+    keywordSparklineChart.update();
+}
+
+/**
+ * Processes the daily rows of a single query for the sparkline.
+ * Days without impressions count as 0 clicks and leave a gap in the position line.
+ * @param {Array} dailyRows - Rows of { date, clicks, impressions, ctr, position }
+ * @param {Object} [range] - Period boundaries used to fill missing days
+ * @param {string} [range.startDate] - Period start date (YYYY-MM-DD)
+ * @param {string} [range.endDate] - Period end date (YYYY-MM-DD)
+ * @returns {Object} Formatted chart data
+ */
+function processDataForKeywordSparkline(dailyRows, range = {}) {
+    const byDate = new Map((dailyRows || []).map(row => [row.date, row]));
+
+    let dates = [];
+    if (range.startDate && range.endDate) {
+        const current = new Date(range.startDate + 'T00:00:00Z');
+        const last = new Date(range.endDate + 'T00:00:00Z');
+        while (current <= last) {
+            dates.push(current.toISOString().split('T')[0]);
+            current.setUTCDate(current.getUTCDate() + 1);
+        }
+    }
+    if (dates.length === 0) {
+        dates = [...byDate.keys()].sort();
+    }
+
+    return {
+        labels: dates.map(date => date.slice(5)), // MM-DD
+        dates,
+        datasets: [
+            {
+                label: 'Clicks',
+                data: dates.map(date => parseInt(byDate.get(date)?.clicks || 0)),
+                yAxisID: 'yClicks',
+                borderColor: '#4285F4',
+                backgroundColor: 'rgba(66, 133, 244, 0.15)',
+                fill: true
+            },
+            {
+                label: 'Position',
+                data: dates.map(date => {
+                    const row = byDate.get(date);
+                    return row ? Math.round(parseFloat(row.position || 0) * 10) / 10 : null;
+                }),
+                yAxisID: 'yPosition',
+                borderColor: '#F29900',
+                backgroundColor: '#F29900',
+                spanGaps: false
+            }
+        ]
+    };
+}
+
+/**
+ * Destroys the keyword sparkline chart and cleans up resources
+ */
+function destroyKeywordSparklineChart() {
+    if (keywordSparklineChart) {
+        keywordSparklineChart.destroy();
+        keywordSparklineChart = null;
+        isKeywordSparklineChartInitialized = false;
+    }
+}
+
+// Export functions to the window object for global access
+window.KeywordSparklineChart = {
+    init: initKeywordSparklineChart,
+    update: updateKeywordSparklineChart,
+    processData: processDataForKeywordSparkline,
+    destroy: destroyKeywordSparklineChart,
+    isInitialized: () => isKeywordSparklineChartInitialized
+};
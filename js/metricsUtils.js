@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Aggregate metrics (clicks, impressions, CTR, position) of a set of rows.
+ * CTR is total clicks / total impressions and position is weighted by impressions, matching how
+ * Search Console computes its own totals. Shared by fetchGscDataForPeriod, the metric cards,
+ * alerts and the portfolio.
+ */
+
+/**
+ * Where a set of totals comes from
+ */
+export const TOTALS_SOURCE = {
+    PROPERTY: 'property',   // Dimensionless request: true totals, including anonymized queries
+    AGGREGATE: 'aggregate', // Totals of the page-level request (the API aggregates the whole property by page)
+    ROWS: 'rows'            // Sum of the fetched rows (misses rows beyond the row limit and anonymized queries)
+};
+
+/**
+ * Card labels for each totals source
+ */
+export const TOTALS_SOURCE_LABELS = {
+    [TOTALS_SOURCE.PROPERTY]: 'True totals (including anonymized queries)',
+    [TOTALS_SOURCE.AGGREGATE]: 'Property totals (API aggregate by page)',
+    [TOTALS_SOURCE.ROWS]: 'Sum of fetched rows'
+};
+
+/**
+ * Card labels when the report is filtered on a single page (metadata.pageUrl)
+ */
+export const PAGE_TOTALS_SOURCE_LABELS = {
+    [TOTALS_SOURCE.PROPERTY]: 'Page totals (including anonymized queries)',
+    [TOTALS_SOURCE.AGGREGATE]: 'Page totals (API aggregate for this page)',
+    [TOTALS_SOURCE.ROWS]: 'Sum of fetched rows'
+};
+
+/**
+ * Parses a metric that may come from the API (number) or from the table (string with commas)
+ * @param {number|string} value - Metric value
+ * @returns {number} - 0 when not a number
+ */
+function toNumber(value) {
+    const number = typeof value === 'string' ? parseFloat(value.replace(/,/g, '')) : Number(value);
+    return Number.isFinite(number) ? number : 0;
+}
+
+/**
+ * Totals of a set of rows
+ * @param {Array<Object>} rows - Rows with clicks, impressions and position (row CTRs are not used)
+ * @returns {Object} - { totalClicks, totalImpressions, avgCTR (percent), avgPosition (impression-weighted), rowCount }
+ */
+export function aggregateMetrics(rows) {
+    let totalClicks = 0;
+    let totalImpressions = 0;
+    let weightedPosition = 0;
+
+    (rows || []).forEach(row => {
+        const impressions = toNumber(row.impressions);
+        totalClicks += toNumber(row.clicks);
+        totalImpressions += impressions;
+        weightedPosition += toNumber(row.position) * impressions;
+    });
+
+    return {
+        totalClicks,
+        totalImpressions,
+        avgCTR: totalImpressions > 0 ? (totalClicks / totalImpressions) * 100 : 0,
+        avgPosition: totalImpressions > 0 ? weightedPosition / totalImpressions : 0,
+        rowCount: (rows || []).length
+    };
+}
+
+/**
+ * Totals of a result set: the dimensionless totals when the metadata has them, then the page-level aggregate,
+ * otherwise the sum of its rows.
+ * Stored page-level totals are read with CTR recomputed from clicks / impressions: reports saved before the
+ * weighted totals stored the mean of the row CTRs, which would not compare with current reports.
+ * @param {Object} metadata - Result set metadata (propertyTotals, pageLevelMetrics, or the legacy totals at the root)
+ * @param {Array<Object>} rows - Result set rows
+ * @returns {Object} - { totalClicks, totalImpressions, avgCTR, avgPosition, source } (source is a TOTALS_SOURCE value)
+ */
+export function getMetricTotals(metadata, rows) {
+    if (metadata?.propertyTotals) {
+        return { ...metadata.propertyTotals, source: TOTALS_SOURCE.PROPERTY };
+    }
+    const metrics = metadata?.pageLevelMetrics?.totalClicks !== undefined ? metadata.pageLevelMetrics : metadata;
+    if (metrics && metrics.totalClicks !== undefined) {
+        const totalClicks = toNumber(metrics.totalClicks);
+        const totalImpressions = toNumber(metrics.totalImpressions);
+        return {
+            totalClicks,
+            totalImpressions,
+            avgCTR: totalImpressions > 0 ? (totalClicks / totalImpressions) * 100 : toNumber(metrics.avgCTR),
+            avgPosition: toNumber(metrics.avgPosition),
+            source: TOTALS_SOURCE.AGGREGATE
+        };
+    }
+    const { totalClicks, totalImpressions, avgCTR, avgPosition } = aggregateMetrics(rows);
+    return { totalClicks, totalImpressions, avgCTR, avgPosition, source: TOTALS_SOURCE.ROWS };
+}
+
+/**
+ * Share of the true totals that is missing from the fetched query rows (anonymized queries, plus rows beyond the row limit)
+ * @param {Object} metadata - Result set metadata with propertyTotals
+ * @param {Array<Object>} rows - Fetched query rows
+ * @returns {Object|null} - { clicks, impressions } in percent, or null without dimensionless totals
+ */
+export function getAnonymizedShare(metadata, rows) {
+    const totals = metadata?.propertyTotals;
+    if (!totals) return null;
+    const visible = aggregateMetrics(rows);
+    const share = (total, visibleValue) => total > 0 ? Math.max(0, total - visibleValue) / total * 100 : 0;
+    return {
+        clicks: share(totals.totalClicks, visible.totalClicks),
+        impressions: share(totals.totalImpressions, visible.totalImpressions)
+    };
+}
@@ -0,0 +1,121 @@
+/**
+ * @fileoverview CTR benchmarks and striking-distance opportunity scoring.
+ * Both are based on the property's own CTR-by-position curve (see processDataForCTRChart in ctrPositionChart.js):
+ * the expected CTR of a row is the curve value at its rounded position, and the opportunity score
+ * estimates the extra clicks a query would get by moving up to positions 1-3.
+ */
+
+/**
+ * Positions a query is assumed to move up to when scoring its opportunity
+ */
+export const TARGET_POSITIONS = [1, 2, 3];
+
+/**
+ * Display labels for the metrics computed on the client (sort info, filter builder)
+ */
+export const COMPUTED_METRIC_LABELS = {
+    opportunityScore: 'Opportunity',
+    ctrDelta: 'CTR vs Expected'
+};
+
+/**
+ * A row is flagged as "CTR below expected" when its CTR is under this share of the expected CTR
+ */
+export const CTR_UNDERPERFORMANCE_RATIO = 0.75;
+
+/**
+ * Minimum impressions for the "CTR below expected" flag (same floor as the low-ctr pill)
+ */
+export const CTR_UNDERPERFORMANCE_MIN_IMPRESSIONS = 10;
+
+/**
+ * Builds the CTR-by-position curve of a result set
+ * @param {Array} rows - Rows with position and ctr
+ * @returns {Map<number, number>} - Rounded position (1-20) mapped to the average CTR as a decimal
+ */
+export function getCtrCurve(rows) {
+    const curve = new Map();
+    if (!window.CTRPositionChart || !rows || rows.length === 0) return curve;
+
+    // Reuse the CTR chart processing so the score matches the curve shown in the dashboard
+    const chartData = window.CTRPositionChart.processData(rows);
+    (chartData.datasets?.[0]?.data || []).forEach(point => {
+        if (point && point.y !== null && point.y !== undefined) {
+            curve.set(point.x, point.y / 100); // Chart values are percentages
+        }
+    });
+    return curve;
+}
+
+/**
+ * Average CTR of the target positions on the curve
+ * @param {Map<number, number>} curve - Curve from getCtrCurve
+ * @returns {number|null} - Target CTR as a decimal, or null if the property has no data in positions 1-3
+ */
+export function getTargetCtr(curve) {
+    const values = TARGET_POSITIONS.map(position => curve.get(position)).filter(value => value !== undefined);
+    if (values.length === 0) return null;
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Expected CTR for a position, read from the curve bucket of the rounded position
+ * @param {Map<number, number>} curve - Curve from getCtrCurve
+ * @param {number|string} position - Average position of the row
+ * @returns {number|null} - Expected CTR as a decimal, or null outside the curve (positions > 20 or empty buckets)
+ */
+export function getExpectedCtr(curve, position) {
+    const bucket = Math.max(1, Math.round(parseFloat(position)));
+    return curve.has(bucket) ? curve.get(bucket) : null;
+}
+
+/**
+ * Whether a row's CTR is clearly below the expected CTR for its position
+ * @param {Object} item - Row with impressions, ctr and expectedCtr (see applyCtrBenchmarks)
+ * @returns {boolean}
+ */
+export function isCtrBelowExpected(item) {
+    const expectedCtr = item.expectedCtr;
+    if (expectedCtr === null || expectedCtr === undefined || expectedCtr <= 0) return false;
+    const impressions = parseInt(item.impressions);
+    const ctr = parseFloat(item.ctr);
+    return !isNaN(ctr) && !isNaN(impressions) && impressions >= CTR_UNDERPERFORMANCE_MIN_IMPRESSIONS &&
+        ctr < expectedCtr * CTR_UNDERPERFORMANCE_RATIO;
+}
+
+/**
+ * Estimates the extra clicks a row would get at the target CTR
+ * @param {Object} item - Row with impressions, ctr and position
+ * @param {number|null} targetCtr - Target CTR as a decimal
+ * @returns {number|null} - Extra clicks per period (0 for rows already in the top positions), null if unknown
+ */
+export function calculateOpportunityScore(item, targetCtr) {
+    if (targetCtr === null || targetCtr === undefined) return null;
+
+    const position = parseFloat(item.position);
+    if (isNaN(position)) return null;
+    if (Math.round(position) <= TARGET_POSITIONS[TARGET_POSITIONS.length - 1]) return 0;
+
+    const impressions = parseInt(item.impressions) || 0;
+    const ctr = parseFloat(item.ctr) || 0;
+    return Math.max(0, Math.round(impressions * (targetCtr - ctr)));
+}
+
+/**
+ * Sets `expectedCtr`, `ctrDelta` (actual minus expected, as decimals) and `opportunityScore` on every row
+ * @param {Array} rows - Rows to benchmark (modified in place)
+ * @param {Array} [curveRows] - Rows used to build the CTR curve (defaults to the benchmarked rows)
+ * @returns {Map<number, number>} - The CTR curve used
+ */
+export function applyCtrBenchmarks(rows, curveRows = rows) {
+    const curve = getCtrCurve(curveRows);
+    const targetCtr = getTargetCtr(curve);
+    (rows || []).forEach(item => {
+        const expectedCtr = getExpectedCtr(curve, item.position);
+        const ctr = parseFloat(item.ctr);
+        item.expectedCtr = expectedCtr;
+        item.ctrDelta = expectedCtr === null || isNaN(ctr) ? null : ctr - expectedCtr;
+        item.opportunityScore = calculateOpportunityScore(item, targetCtr);
+    });
+    return curve;
+}
@@ -0,0 +1,152 @@
+/**
+ * Page Table UI
+ * Expandable rows of the page table ("List pages"): each page row can show its top queries,
+ * fetched on demand with the filters of the loaded report and kept until the next fetch.
+ */
+
+import { fetchGscDataForPeriod } from './dataFetchUtils.js';
+import { renderQueryRows } from './uiUtils.js';
+
+/**
+ * Maximum number of queries requested for one page
+ */
+const PAGE_QUERY_ROW_LIMIT = 25;
+
+// Callbacks provided by popup.js
+let getToken = () => null;
+let getMetadata = () => null;
+let reportStatus = () => {};
+
+// Expanded pages and their query rows, for the report identified by expansionKey
+let expansionKey = null;
+let expandedPages = new Set();
+let pageQueryCache = new Map();
+
+/**
+ * Initialize the page table expansion
+ * @param {Object} options - Options for the page table UI
+ * @param {Function} options.getAuthToken - Returns the current OAuth token (or null when signed out)
+ * @param {Function} options.getCurrentMetadata - Returns the metadata of the loaded report
+ * @param {Function} options.updateStatus - Status bar callback
+ */
+export function initPageTableUI({ getAuthToken, getCurrentMetadata, updateStatus }) {
+  getToken = getAuthToken || getToken;
+  getMetadata = getCurrentMetadata || getMetadata;
+  reportStatus = updateStatus || reportStatus;
+
+  document.getElementById('queryData')?.addEventListener('click', (e) => {
+    const button = e.target.closest('button.page-expand-btn');
+    if (button) togglePageQueries(button.closest('tr.page-row'));
+  });
+}
+
+/**
+ * Re-opens the expanded pages after the table is rendered again (sorting, filters, pagination).
+ * Expansions are dropped when a different report is loaded.
+ */
+export function restoreExpandedPages() {
+  syncExpansionKey();
+  document.querySelectorAll('#queryData tr.page-row').forEach(row => {
+    if (expandedPages.has(row.dataset.page)) showPageQueries(row);
+  });
+}
+
+/**
+ * Clears the expansions when the loaded report has changed
+ */
+function syncExpansionKey() {
+  const metadata = getMetadata();
+  const key = metadata ? `${metadata.siteUrl}|${metadata.fetchTimestamp}` : null;
+  if (key !== expansionKey) {
+    expansionKey = key;
+    expandedPages = new Set();
+    pageQueryCache = new Map();
+  }
+}
+
+/**
+ * Expands or collapses one page row
+ * @param {HTMLTableRowElement} row - tr.page-row of the page table
+ */
+function togglePageQueries(row) {
+  if (!row) return;
+  syncExpansionKey();
+  const page = row.dataset.page;
+  if (expandedPages.has(page)) {
+    expandedPages.delete(page);
+    hidePageQueries(row);
+  } else {
+    expandedPages.add(page);
+    showPageQueries(row);
+  }
+}
+
+/**
+ * Inserts the query row under a page row and fills it (from the cache, or with a new request)
+ * @param {HTMLTableRowElement} row - tr.page-row of the page table
+ */
+async function showPageQueries(row) {
+  const page = row.dataset.page;
+  let detailRow = row.nextElementSibling;
+  if (!detailRow?.classList.contains('page-queries-row')) {
+    detailRow = document.createElement('tr');
+    detailRow.className = 'page-queries-row';
+    detailRow.innerHTML = `<td colspan="${row.cells.length}"><div class="page-queries"></div></td>`;
+    row.after(detailRow);
+  }
+  const button = row.querySelector('.page-expand-btn');
+  if (button) {
+    button.textContent = '▾';
+    button.title = 'Hide top queries';
+  }
+
+  const container = detailRow.querySelector('.page-queries');
+  const emptyMessage = 'No queries found for this page.';
+  if (pageQueryCache.has(page)) {
+    renderQueryRows({ container, rows: pageQueryCache.get(page), emptyMessage });
+    return;
+  }
+
+  const metadata = getMetadata();
+  const authToken = getToken();
+  if (!metadata?.siteUrl || !authToken) {
+    container.innerHTML = '<div class="no-data">Sign in to load the queries of this page.</div>';
+    return;
+  }
+
+  container.innerHTML = '<div class="no-data">Loading top queries...</div>';
+  const requestKey = expansionKey;
+  try {
+    const result = await fetchGscDataForPeriod(
+      metadata.siteUrl, metadata.startDate, metadata.endDate, PAGE_QUERY_ROW_LIMIT, page, authToken,
+      metadata.deviceFilter || 'all', metadata.searchTypeFilter || 'web', 'query', () => {},
+      { countryFilter: metadata.countryFilter || 'all', dimensionFilters: metadata.dimensionFilters || [] }
+    );
+    if (requestKey !== expansionKey) return; // Another report was loaded meanwhile
+    pageQueryCache.set(page, result.data);
+    // The table may have been rendered again while the request was running
+    document.querySelectorAll('#queryData tr.page-row').forEach(pageRow => {
+      if (pageRow.dataset.page === page && expandedPages.has(page)) {
+        renderQueryRows({ container: pageRow.nextElementSibling?.querySelector('.page-queries'), rows: result.data, emptyMessage });
+      }
+    });
+  } catch (error) {
+    console.error('Error loading page queries:', error);
+    container.innerHTML = `<div class="no-data">Could not load queries: ${error.message}</div>`;
+    reportStatus(`Error: ${error.message}`, true);
+  }
+}
+
+/**
+ * Removes the query row under a page row
+ * @param {HTMLTableRowElement} row - tr.page-row of the page table
+ */
+function hidePageQueries(row) {
+  const detailRow = row.nextElementSibling;
+  if (detailRow?.classList.contains('page-queries-row')) detailRow.remove();
+  const button = row.querySelector('.page-expand-btn');
+  if (button) {
+    button.textContent = '▸';
+    button.title = 'Show top queries';
+  }
+}
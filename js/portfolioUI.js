@@ -0,0 +1,209 @@
+/**
+ * Portfolio UI
+ * Property picker, fetch/cancel buttons and the sortable totals table of the Portfolio tab.
+ * Clicking a property row opens that property in the normal view.
+ */
+
+import { getApiDateRange, getComparisonPeriod } from './dateUtils.js';
+import { getCachedSiteProperties, siteProperties } from './sitePropertiesUtils.js';
+import {
+  PORTFOLIO_SELECTION_KEY,
+  fetchPortfolioTotals,
+  sortPortfolioRows
+} from './portfolioUtils.js';
+import { escapeHtml, renderPortfolioTable } from './uiUtils.js';
+
+// Callbacks provided by popup.js
+let getToken = () => null;
+let openProperty = null;
+let reportStatus = () => {};
+
+// Portfolio state
+let selectedProperties = new Set();
+let portfolioRows = [];
+let portfolioHasComparison = false;
+let sortColumn = 'clicks';
+let sortDirection = 'desc';
+let portfolioController = null;
+
+/**
+ * Initialize the Portfolio tab
+ * @param {Object} options - Options for the portfolio UI
+ * @param {Function} options.getAuthToken - Returns the current OAuth token (or null when signed out)
+ * @param {Function} options.onOpenProperty - Called with a property URL to open it in the normal view
+ * @param {Function} options.updateStatus - Status bar callback
+ */
+export function initPortfolioUI({ getAuthToken, onOpenProperty, updateStatus }) {
+  getToken = getAuthToken || getToken;
+  openProperty = onOpenProperty;
+  reportStatus = updateStatus || reportStatus;
+
+  chrome.storage.local.get([PORTFOLIO_SELECTION_KEY], (result) => {
+    selectedProperties = new Set(result[PORTFOLIO_SELECTION_KEY] || []);
+  });
+
+  document.getElementById('fetchPortfolio')?.addEventListener('click', handleFetchPortfolio);
+  document.getElementById('cancelPortfolio')?.addEventListener('click', () => {
+    if (portfolioController) portfolioController.abort();
+  });
+
+  document.getElementById('portfolioPropertySearch')?.addEventListener('input', renderPropertyList);
+
+  document.getElementById('portfolioSelectAll')?.addEventListener('change', (e) => {
+    // Applies to the properties currently visible in the (filtered) list
+    document.querySelectorAll('#portfolioPropertyList input[type="checkbox"]').forEach(checkbox => {
+      checkbox.checked = e.target.checked;
+      if (e.target.checked) selectedProperties.add(checkbox.value);
+      else selectedProperties.delete(checkbox.value);
+    });
+    saveSelection();
+  });
+
+  document.getElementById('portfolioPropertyList')?.addEventListener('change', (e) => {
+    if (e.target.type !== 'checkbox') return;
+    if (e.target.checked) selectedProperties.add(e.target.value);
+    else selectedProperties.delete(e.target.value);
+    saveSelection();
+  });
+
+  const table = document.getElementById('portfolioTable');
+  table?.addEventListener('click', (e) => {
+    const header = e.target.closest('th[data-sort]');
+    if (header) {
+      const column = header.dataset.sort;
+      sortDirection = column === sortColumn && sortDirection === 'desc' ? 'asc' : 'desc';
+      sortColumn = column;
+      renderTable();
+      return;
+    }
+    const row = e.target.closest('tr.portfolio-row');
+    if (row && openProperty) openProperty(row.dataset.site);
+  });
+}
+
+/**
+ * Renders the property checklist (called when the Portfolio tab is shown)
+ * @returns {Promise<void>}
+ */
+export async function renderPropertyList() {
+  const list = document.getElementById('portfolioPropertyList');
+  if (!list) return;
+
+  let properties = siteProperties;
+  if (!properties || properties.length === 0) {
+    const cached = await getCachedSiteProperties();
+    properties = cached?.properties || [];
+  }
+  if (properties.length === 0) {
+    list.innerHTML = '<div class="no-data">Sign in to load your properties.</div>';
+    return;
+  }
+
+  const search = (document.getElementById('portfolioPropertySearch')?.value || '').toLowerCase();
+  const visible = properties.filter(property => property.siteUrl.toLowerCase().includes(search));
+  list.innerHTML = visible.map(property => `<label class="portfolio-property" title="${escapeHtml(property.siteUrl)}">
+      <input type="checkbox" value="${escapeHtml(property.siteUrl)}" ${selectedProperties.has(property.siteUrl) ? 'checked' : ''}>
+      ${escapeHtml(property.siteUrl.replace(/^sc-domain:/, ''))}${property.type === 'domain' ? ' (Domain)' : ''}
+    </label>`).join('');
+}
+
+/**
+ * Persists the selected properties
+ */
+function saveSelection() {
+  chrome.storage.local.set({ [PORTFOLIO_SELECTION_KEY]: [...selectedProperties] });
+}
+
+/**
+ * Main and comparison periods from the regular date range and comparison controls
+ * @returns {Object} - { period, comparisonPeriod }
+ */
+function getPortfolioPeriods() {
+  const rangeOption = document.getElementById('dateRange')?.value;
+  let period;
+  if (rangeOption === 'custom') {
+    const startDate = document.getElementById('period2StartDate')?.value;
+    const endDate = document.getElementById('period2EndDate')?.value;
+    if (!startDate || !endDate) throw new Error('Select a custom start and end date first.');
+    period = { startDate, endDate };
+  } else {
+    period = getApiDateRange(rangeOption);
+    if (!period) throw new Error('Invalid date range selected.');
+  }
+
+  const doComparison = document.getElementById('compareData')?.checked;
+  const compareType = document.querySelector('input[name="comparisonType"]:checked')?.value || 'previous';
+  return { period, comparisonPeriod: doComparison ? getComparisonPeriod(period, compareType) : null };
+}
+
+/**
+ * Fetches totals for the selected properties and renders the table
+ */
+async function handleFetchPortfolio() {
+  const authToken = getToken();
+  if (!authToken) {
+    reportStatus('Please sign in to fetch the portfolio.', true);
+    return;
+  }
+  const siteUrls = [...selectedProperties];
+  if (siteUrls.length === 0) {
+    reportStatus('Select at least one property for the portfolio.', true, 'warning');
+    return;
+  }
+
+  const fetchButton = document.getElementById('fetchPortfolio');
+  const cancelButton = document.getElementById('cancelPortfolio');
+  portfolioController = new AbortController();
+
+  try {
+    const { period, comparisonPeriod } = getPortfolioPeriods();
+    if (fetchButton) fetchButton.disabled = true;
+    if (cancelButton) cancelButton.style.display = 'inline-block';
+    reportStatus(`Fetching portfolio totals for ${siteUrls.length} properties...`);
+
+    portfolioRows = await fetchPortfolioTotals({
+      siteUrls,
+      period,
+      comparisonPeriod,
+      authToken,
+      deviceFilter: document.getElementById('deviceFilter')?.value || 'all',
+      searchTypeFilter: document.getElementById('searchTypeFilter')?.value || 'web',
+      countryFilter: document.getElementById('countryFilter')?.value || 'all',
+      signal: portfolioController.signal,
+      onProgress: (done, total) => reportStatus(`Fetching portfolio totals... ${done}/${total}`)
+    });
+    portfolioHasComparison = !!comparisonPeriod;
+    renderTable();
+
+    const failed = portfolioRows.filter(row => row.error).length;
+    const summary = `Portfolio: ${portfolioRows.length} properties, ${period.startDate} to ${period.endDate}` +
+      (comparisonPeriod ? ` vs ${comparisonPeriod.startDate} to ${comparisonPeriod.endDate}` : '');
+    if (portfolioController.signal.aborted) {
+      reportStatus(`${summary} (cancelled).`, true, 'warning');
+    } else if (failed > 0) {
+      reportStatus(`${summary}. ${failed} failed.`, true, 'warning');
+    } else {
+      reportStatus(`${summary}.`);
+    }
+  } catch (error) {
+    console.error('Error fetching portfolio:', error);
+    reportStatus(`Error: ${error.message}`, true);
+  } finally {
+    portfolioController = null;
+    if (fetchButton) fetchButton.disabled = false;
+    if (cancelButton) cancelButton.style.display = 'none';
+  }
+}
+
+/**
+ * Renders the portfolio rows with the current sort
+ */
+function renderTable() {
+  renderPortfolioTable({
+    container: document.getElementById('portfolioTable'),
+    rows: sortPortfolioRows(portfolioRows, sortColumn, sortDirection),
+    sortColumn,
+    sortDirection,
+    hasComparison: portfolioHasComparison
+  });
+}
@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Multi-property portfolio totals.
+ * Fetches clicks, impressions, CTR and position for a set of properties over a period (and
+ * optionally a comparison period) so all sites of an account can be compared in one table.
+ * Totals are built from the daily rows of each property, which are not affected by the
+ * anonymized queries missing from query-level data.
+ */
+
+import { fetchGscDataForPeriod } from './dataFetchUtils.js';
+import { aggregateMetrics } from './metricsUtils.js';
+
+/**
+ * Properties fetched in parallel (each property needs one request per period)
+ */
+export const PORTFOLIO_CONCURRENCY = 3;
+
+/**
+ * Maximum number of daily rows requested per property (covers the 16-month data window)
+ */
+const PORTFOLIO_DAILY_ROW_LIMIT = 500;
+
+/**
+ * chrome.storage.local key holding the properties selected for the portfolio
+ */
+export const PORTFOLIO_SELECTION_KEY = 'portfolioProperties';
+
+/**
+ * Sums daily rows into period totals
+ * @param {Array} rows - Rows returned for the 'date' dimension
+ * @returns {Object} - { clicks, impressions, ctr (percent), position }
+ */
+export function summarizeDailyRows(rows) {
+    const totals = aggregateMetrics(rows);
+    return {
+        clicks: totals.totalClicks,
+        impressions: totals.totalImpressions,
+        ctr: totals.avgCTR,
+        position: totals.avgPosition
+    };
+}
+
+/**
+ * Fetches the totals of one property for one period
+ * @param {string} siteUrl - Property as used by the API
+ * @param {Object} period - { startDate, endDate }
+ * @param {string} authToken - OAuth token for the Search Console API
+ * @param {Object} filters - { deviceFilter, searchTypeFilter, countryFilter, signal }
+ * @returns {Promise<Object>} - Totals from summarizeDailyRows
+ */
+async function fetchPropertyTotals(siteUrl, period, authToken, { deviceFilter, searchTypeFilter, countryFilter, signal }) {
+    const result = await fetchGscDataForPeriod(siteUrl, period.startDate, period.endDate, PORTFOLIO_DAILY_ROW_LIMIT, null, authToken, deviceFilter, searchTypeFilter, 'date', () => {}, { signal, countryFilter });
+    return summarizeDailyRows(result.data || []);
+}
+
+/**
+ * Fetches totals (and deltas against the comparison period) for every selected property
+ * @param {Object} options - Portfolio options
+ * @param {Array<string>} options.siteUrls - Properties to fetch
+ * @param {Object} options.period - Main period { startDate, endDate }
+ * @param {Object|null} [options.comparisonPeriod] - Comparison period, or null for no deltas
+ * @param {string} options.authToken - OAuth token for the Search Console API
+ * @param {string} [options.deviceFilter] - Device filter
+ * @param {string} [options.searchTypeFilter] - Search type filter
+ * @param {string} [options.countryFilter] - Country filter
+ * @param {AbortSignal} [options.signal] - Signal used to stop fetching further properties
+ * @param {Function} [options.onProgress] - Called with (done, total) after every property
+ * @returns {Promise<Array<Object>>} - One row per property: { siteUrl, clicks, impressions, ctr, position,
+ *                                     previous, clicksChange, impressionsChange, ctrChange, positionChange, error }
+ */
+export async function fetchPortfolioTotals({ siteUrls, period, comparisonPeriod = null, authToken, deviceFilter = 'all', searchTypeFilter = 'web', countryFilter = 'all', signal = null, onProgress = () => {} }) {
+    const filters = { deviceFilter, searchTypeFilter, countryFilter, signal };
+    const rows = new Array(siteUrls.length);
+    let nextIndex = 0;
+    let done = 0;
+
+    // Small worker pool so dozens of properties do not hit the API all at once
+    const worker = async () => {
+        while (nextIndex < siteUrls.length && !signal?.aborted) {
+            const index = nextIndex++;
+            const siteUrl = siteUrls[index];
+            try {
+                const [current, previous] = await Promise.all([
+                    fetchPropertyTotals(siteUrl, period, authToken, filters),
+                    comparisonPeriod ? fetchPropertyTotals(siteUrl, comparisonPeriod, authToken, filters) : Promise.resolve(null)
+                ]);
+                rows[index] = buildPortfolioRow(siteUrl, current, previous);
+            } catch (error) {
+                console.error(`Error fetching portfolio totals for ${siteUrl}:`, error);
+                rows[index] = { siteUrl, clicks: null, impressions: null, ctr: null, position: null, previous: null, error: error.message };
+            }
+            onProgress(++done, siteUrls.length);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(PORTFOLIO_CONCURRENCY, siteUrls.length) }, worker));
+    return rows.filter(Boolean);
+}
+
+/**
+ * Builds a portfolio row with deltas
+ * @param {string} siteUrl - Property
+ * @param {Object} current - Totals of the main period
+ * @param {Object|null} previous - Totals of the comparison period
+ * @returns {Object}
+ */
+function buildPortfolioRow(siteUrl, current, previous) {
+    const percentChange = (value, previousValue) => previousValue > 0 ? ((value - previousValue) / previousValue) * 100 : null;
+    return {
+        siteUrl,
+        ...current,
+        previous,
+        clicksChange: previous ? percentChange(current.clicks, previous.clicks) : null,
+        impressionsChange: previous ? percentChange(current.impressions, previous.impressions) : null,
+        ctrChange: previous ? current.ctr - previous.ctr : null, // Percentage points
+        positionChange: previous && previous.position > 0 ? previous.position - current.position : null, // Positive = improved
+        error: null
+    };
+}
+
+/**
+ * Sorts portfolio rows; rows without a value (errors, no comparison) go last
+ * @param {Array<Object>} rows - Portfolio rows
+ * @param {string} column - Row property to sort by (e.g. 'clicks', 'clicksChange', 'siteUrl')
+ * @param {string} direction - 'asc' or 'desc'
+ * @returns {Array<Object>} - New sorted array
+ */
+export function sortPortfolioRows(rows, column, direction) {
+    const factor = direction === 'asc' ? 1 : -1;
+    return [...rows].sort((a, b) => {
+        const aValue = a[column];
+        const bValue = b[column];
+        const aMissing = aValue === null || aValue === undefined;
+        const bMissing = bValue === null || bValue === undefined;
+        if (aMissing || bMissing) return aMissing - bMissing;
+        if (typeof aValue === 'string') return aValue.localeCompare(bValue) * factor;
+        return (aValue - bValue) * factor;
+    });
+}
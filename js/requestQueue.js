@@ -0,0 +1,222 @@
+/**
+ * @fileoverview Shared request scheduler for the Search Console API.
+ * Every API call goes through `queuedFetch`, which caps the number of requests in flight and
+ * retries transient failures (429, 5xx, network errors) with exponential backoff and jitter,
+ * honouring the Retry-After header when the API sends one. Bulk fetches (portfolio, batch URLs,
+ * comparisons, scheduled reports) all share the same queue.
+ */
+
+/**
+ * Maximum number of requests in flight at the same time
+ */
+export const MAX_CONCURRENT_REQUESTS = 4;
+
+/**
+ * Number of retries after the first attempt for transient errors
+ */
+export const MAX_RETRIES = 4;
+
+/**
+ * Backoff before the first retry; doubled for every further retry
+ */
+const BASE_BACKOFF_MS = 1000;
+
+/**
+ * Upper bound for a single wait (backoff or Retry-After)
+ */
+const MAX_BACKOFF_MS = 60000;
+
+/**
+ * HTTP statuses worth retrying
+ */
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+// Queue state
+const waiting = [];
+let activeCount = 0;
+let retryingCount = 0;
+const listeners = new Set();
+
+/**
+ * Current queue depth
+ * @returns {Object} - { active, queued, retrying }
+ */
+export function getQueueState() {
+    return { active: activeCount, queued: waiting.length, retrying: retryingCount };
+}
+
+/**
+ * Registers a listener called with the queue state whenever it changes
+ * @param {Function} listener - Called with { active, queued, retrying }
+ * @returns {Function} - Removes the listener
+ */
+export function onQueueChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+function notifyListeners() {
+    const state = getQueueState();
+    listeners.forEach(listener => {
+        try {
+            listener(state);
+        } catch (error) {
+            console.error('Request queue listener failed:', error);
+        }
+    });
+}
+
+/**
+ * Builds the error thrown when a queued request is cancelled
+ * @returns {Error}
+ */
+function abortError() {
+    const error = new Error('The request was cancelled');
+    error.name = 'AbortError';
+    return error;
+}
+
+/**
+ * Waits for a free slot in the queue
+ * @param {AbortSignal} [signal] - Rejects with an AbortError if cancelled while waiting
+ * @returns {Promise<void>}
+ */
+function acquireSlot(signal) {
+    if (signal?.aborted) return Promise.reject(abortError());
+    if (activeCount < MAX_CONCURRENT_REQUESTS) {
+        activeCount++;
+        notifyListeners();
+        return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+        const entry = {
+            start: () => {
+                signal?.removeEventListener('abort', onAbort);
+                activeCount++;
+                resolve();
+            }
+        };
+        const onAbort = () => {
+            const index = waiting.indexOf(entry);
+            if (index !== -1) waiting.splice(index, 1);
+            notifyListeners();
+            reject(abortError());
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+        waiting.push(entry);
+        notifyListeners();
+    });
+}
+
+/**
+ * Frees a slot and starts the next waiting request
+ */
+function releaseSlot() {
+    activeCount--;
+    const next = waiting.shift();
+    if (next) next.start();
+    notifyListeners();
+}
+
+/**
+ * Waits before a retry
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Rejects with an AbortError if cancelled while waiting
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(abortError());
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(abortError());
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Reads the Retry-After header (delay in seconds or an HTTP date)
+ * @param {Response} response - Failed response
+ * @returns {number|null} - Delay in milliseconds, or null if absent/invalid
+ */
+export function parseRetryAfter(response) {
+    const value = response?.headers?.get('Retry-After');
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Delay before the given retry: exponential backoff with full jitter
+ * @param {number} attempt - Retry number (1 for the first retry)
+ * @returns {number} - Delay in milliseconds
+ */
+export function getBackoffDelay(attempt) {
+    const ceiling = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** (attempt - 1));
+    // Half fixed, half random so parallel requests do not retry in lockstep
+    return ceiling / 2 + Math.random() * ceiling / 2;
+}
+
+/**
+ * `fetch` through the shared queue, retrying transient failures.
+ * Resolves with the last response (which may still be an error response once retries are exhausted);
+ * callers keep handling `response.ok` as with plain fetch.
+ * @param {string} url - Request URL
+ * @param {Object} [init] - fetch options (the `signal` also cancels waiting in the queue or between retries)
+ * @param {Object} [options] - Queue options
+ * @param {number} [options.maxRetries] - Retries for transient errors (defaults to MAX_RETRIES)
+ * @param {Function} [options.onRetry] - Called with (attempt, delayMs, reason) before waiting for a retry
+ * @returns {Promise<Response>}
+ * @throws {Error} AbortError when cancelled, or the network error once retries are exhausted
+ */
+export async function queuedFetch(url, init = {}, { maxRetries = MAX_RETRIES, onRetry = () => {} } = {}) {
+    const signal = init.signal;
+
+    for (let attempt = 0; ; attempt++) {
+        await acquireSlot(signal);
+        let response = null;
+        let networkError = null;
+        try {
+            response = await fetch(url, init);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            networkError = error;
+        } finally {
+            releaseSlot();
+        }
+
+        const retryable = networkError || RETRYABLE_STATUSES.has(response.status);
+        if (!retryable || attempt >= maxRetries) {
+            if (networkError) throw networkError;
+            return response;
+        }
+
+        const retryAfter = response ? parseRetryAfter(response) : null;
+        const delay = Math.min(MAX_BACKOFF_MS, retryAfter ?? getBackoffDelay(attempt + 1));
+        const reason = networkError ? networkError.message : `HTTP ${response.status}`;
+        console.warn(`Request to ${url} failed (${reason}), retry ${attempt + 1}/${maxRetries} in ${Math.round(delay)} ms`);
+        onRetry(attempt + 1, delay, reason);
+
+        retryingCount++;
+        notifyListeners();
+        try {
+            await wait(delay, signal);
+        } finally {
+            retryingCount--;
+            notifyListeners();
+        }
+    }
+}
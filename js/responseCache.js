@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Local cache of Search Analytics responses (IndexedDB).
+ * Responses are keyed by property plus the serialized request body, so any identical request
+ * (same dates, dimensions, filters, row window) is answered locally. Data older than
+ * FINAL_DATA_AGE_DAYS is final in Search Console and kept for a long time; requests that include
+ * recent days expire after an hour because those numbers are still being updated.
+ */
+
+const DB_NAME = 'gscResponseCache';
+const DB_VERSION = 1;
+const RESPONSE_STORE = 'responses';
+
+/**
+ * Days after which Search Console data no longer changes
+ */
+export const FINAL_DATA_AGE_DAYS = 3;
+
+/**
+ * Lifetime of responses whose end date is final
+ */
+const FINAL_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Lifetime of responses that include recent (still changing) days
+ */
+const RECENT_TTL_MS = 60 * 60 * 1000;
+
+let dbPromise = null;
+const listeners = new Set();
+
+/**
+ * Opens (and on first use creates) the cache database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(RESPONSE_STORE)) {
+                const store = db.createObjectStore(RESPONSE_STORE, { keyPath: 'key' });
+                store.createIndex('expiresAt', 'expiresAt', { unique: false });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            dbPromise = null; // Allow a retry on the next call
+            reject(request.error);
+        };
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>} - The request result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Registers a listener called after the cache content changes (new response stored, cache cleared)
+ * @param {Function} listener - Called without arguments
+ * @returns {Function} - Removes the listener
+ */
+export function onResponseCacheChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+function notifyListeners() {
+    listeners.forEach(listener => {
+        try {
+            listener();
+        } catch (error) {
+            console.error('Response cache listener failed:', error);
+        }
+    });
+}
+
+/**
+ * Builds the cache key of a request
+ * @param {string} siteUrl - Property as used by the API
+ * @param {Object} requestBody - Search Analytics request body
+ * @returns {string}
+ */
+export function buildCacheKey(siteUrl, requestBody) {
+    return `${siteUrl}|${JSON.stringify(requestBody)}`;
+}
+
+/**
+ * Lifetime of a response, based on whether the requested end date is final
+ * @param {Object} requestBody - Search Analytics request body
+ * @param {Date} [now] - Current time
+ * @returns {number} - TTL in milliseconds
+ */
+export function getResponseTtl(requestBody, now = new Date()) {
+    const cutoff = new Date(now);
+    cutoff.setDate(cutoff.getDate() - FINAL_DATA_AGE_DAYS);
+    const cutoffDate = `${cutoff.getFullYear()}-${String(cutoff.getMonth() + 1).padStart(2, '0')}-${String(cutoff.getDate()).padStart(2, '0')}`;
+    return requestBody.endDate && requestBody.endDate < cutoffDate ? FINAL_TTL_MS : RECENT_TTL_MS;
+}
+
+/**
+ * Returns the cached response of a request, if present and not expired
+ * @param {string} siteUrl - Property as used by the API
+ * @param {Object} requestBody - Search Analytics request body
+ * @returns {Promise<Object|null>} - The API response body, or null on a miss
+ */
+export async function getCachedResponse(siteUrl, requestBody) {
+    const key = buildCacheKey(siteUrl, requestBody);
+    const db = await openDatabase();
+    const entry = await promisifyRequest(db.transaction(RESPONSE_STORE).objectStore(RESPONSE_STORE).get(key));
+    if (!entry || entry.expiresAt <= Date.now()) return null;
+    return entry.response;
+}
+
+/**
+ * Stores the response of a request
+ * @param {string} siteUrl - Property as used by the API
+ * @param {Object} requestBody - Search Analytics request body
+ * @param {Object} response - API response body
+ * @returns {Promise<void>}
+ */
+export async function setCachedResponse(siteUrl, requestBody, response) {
+    // Key and TTL are computed before any await: callers reuse the request body for the next page
+    const now = Date.now();
+    const entry = {
+        key: buildCacheKey(siteUrl, requestBody),
+        siteUrl,
+        response,
+        cachedAt: now,
+        expiresAt: now + getResponseTtl(requestBody),
+        size: JSON.stringify(response).length // Approximate size in bytes (characters)
+    };
+    const db = await openDatabase();
+    await promisifyRequest(db.transaction(RESPONSE_STORE, 'readwrite').objectStore(RESPONSE_STORE).put(entry));
+    notifyListeners();
+}
+
+/**
+ * Deletes expired responses and returns the size of the remaining cache
+ * @returns {Promise<Object>} - { entries, bytes }
+ */
+export async function getResponseCacheStats() {
+    const db = await openDatabase();
+    const store = db.transaction(RESPONSE_STORE, 'readwrite').objectStore(RESPONSE_STORE);
+    const now = Date.now();
+    let entries = 0;
+    let bytes = 0;
+
+    await new Promise((resolve, reject) => {
+        const request = store.openCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve();
+                return;
+            }
+            if (cursor.value.expiresAt <= now) {
+                cursor.delete();
+            } else {
+                entries++;
+                bytes += cursor.value.size || 0;
+            }
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+
+    return { entries, bytes };
+}
+
+/**
+ * Deletes every cached response
+ * @returns {Promise<void>}
+ */
+export async function clearResponseCache() {
+    const db = await openDatabase();
+    await promisifyRequest(db.transaction(RESPONSE_STORE, 'readwrite').objectStore(RESPONSE_STORE).clear());
+    notifyListeners();
+}
@@ -0,0 +1,128 @@
+/**
+ * Scheduled Fetches UI
+ * Lets the user schedule the currently loaded report for daily or weekly background refreshes
+ * and lists/removes the scheduled reports (shown inside the snapshot dropdown)
+ */
+
+import {
+  SCHEDULE_FREQUENCIES,
+  addScheduledFetch,
+  getScheduledFetches,
+  removeScheduledFetch
+} from './scheduleUtils.js';
+import { escapeHtml } from './uiUtils.js';
+
+// Callbacks provided by popup.js
+let getMetadata = () => null;
+let reportStatus = () => {};
+
+/**
+ * Initialize the scheduled fetches section
+ * @param {Object} options - Options for the schedule UI
+ * @param {Function} options.getCurrentMetadata - Returns the metadata of the loaded report (or null)
+ * @param {Function} options.updateStatus - Status bar callback
+ */
+export function initScheduleUI({ getCurrentMetadata, updateStatus }) {
+  getMetadata = getCurrentMetadata || getMetadata;
+  reportStatus = updateStatus || reportStatus;
+
+  // The list lives in the snapshot dropdown, so reload it whenever the dropdown opens
+  document.getElementById('snapshotsToggle')?.addEventListener('click', () => {
+    refreshScheduleList();
+  });
+
+  document.getElementById('scheduleCurrentReport')?.addEventListener('click', scheduleCurrentReport);
+
+  document.getElementById('scheduleList')?.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action="unschedule"]');
+    if (!button) return;
+    const id = button.closest('.schedule-item')?.dataset.id;
+    if (id) unschedule(id);
+  });
+}
+
+/**
+ * Reloads and renders the scheduled reports
+ * @returns {Promise<void>}
+ */
+export async function refreshScheduleList() {
+  const list = document.getElementById('scheduleList');
+  if (!list) return;
+
+  try {
+    const schedules = await getScheduledFetches();
+    if (schedules.length === 0) {
+      list.innerHTML = '<div class="no-data">No scheduled fetches.</div>';
+      return;
+    }
+
+    list.innerHTML = schedules.map(schedule => {
+      const lastRun = schedule.lastRun ? new Date(schedule.lastRun).toLocaleString() : 'not yet';
+      const target = escapeHtml(schedule.pageUrl || schedule.siteUrl);
+      const statusText = schedule.lastStatus === 'error'
+        ? `<span class="schedule-error" title="${escapeHtml(schedule.lastError)}">failed</span>`
+        : (schedule.lastStatus === 'ok' ? 'ok' : '');
+
+      return `<div class="schedule-item" data-id="${schedule.id}">
+          <div class="snapshot-title" title="${target}">${target}</div>
+          <div class="snapshot-meta">${escapeHtml(schedule.frequency)} • ${escapeHtml(schedule.dateRange)} • last run ${lastRun} ${statusText}</div>
+          <button data-action="unschedule" class="snapshot-delete">Remove</button>
+        </div>`;
+    }).join('');
+  } catch (error) {
+    console.error('Error listing scheduled fetches:', error);
+    list.innerHTML = `<div class="no-data">Could not read scheduled fetches: ${escapeHtml(error.message)}</div>`;
+  }
+}
+
+/**
+ * Adds the loaded report (property/page and filters) with the selected date range to the schedule
+ */
+async function scheduleCurrentReport() {
+  const metadata = getMetadata();
+  if (!metadata?.siteUrl) {
+    reportStatus('Fetch a report first, then schedule it.', true, 'warning');
+    return;
+  }
+
+  const dateRange = document.getElementById('dateRange')?.value;
+  const frequency = document.getElementById('scheduleFrequency')?.value || 'daily';
+  if (!dateRange || dateRange === 'custom') {
+    reportStatus('Scheduled fetches need a predefined date range (not Custom).', true, 'warning');
+    return;
+  }
+  if (!SCHEDULE_FREQUENCIES[frequency]) return;
+
+  try {
+    await addScheduledFetch({
+      siteUrl: metadata.siteUrl,
+      pageUrl: metadata.pageUrl || '',
+      dateRange,
+      frequency,
+      rowLimit: metadata.rowLimit,
+      deviceFilter: metadata.deviceFilter,
+      searchTypeFilter: metadata.searchTypeFilter,
+      countryFilter: metadata.countryFilter
+    });
+    reportStatus(`Scheduled a ${frequency} fetch of ${metadata.pageUrl || metadata.siteUrl}.`);
+    await refreshScheduleList();
+  } catch (error) {
+    console.error('Error scheduling fetch:', error);
+    reportStatus(`Error: ${error.message}`, true);
+  }
+}
+
+/**
+ * Removes a report from the schedule
+ * @param {string} id - Report id
+ */
+async function unschedule(id) {
+  try {
+    await removeScheduledFetch(id);
+    reportStatus('Scheduled fetch removed.');
+    await refreshScheduleList();
+  } catch (error) {
+    console.error('Error removing scheduled fetch:', error);
+    reportStatus(`Error: ${error.message}`, true);
+  }
+}
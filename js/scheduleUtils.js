@@ -0,0 +1,288 @@
+/**
+ * @fileoverview Scheduled background fetches.
+ * A list of reports (property or page, date range and filters) is kept in chrome.storage.local and
+ * refreshed daily or weekly by the service worker (background.js). Every run is stored as a
+ * snapshot, so the results show up in the snapshot browser the next time the popup is opened.
+ */
+
+import { fetchGscDataForPeriod, fetchPropertyTotals } from './dataFetchUtils.js';
+import { getApiDateRange, getComparisonPeriod } from './dateUtils.js';
+import { isPageOnlySearchType } from './dimensionUtils.js';
+import { saveSnapshot } from './snapshotUtils.js';
+import { checkAlertsForSnapshot } from './alertUtils.js';
+
+/**
+ * chrome.storage.local key holding the scheduled reports
+ */
+export const SCHEDULE_STORAGE_KEY = 'gscScheduledFetches';
+
+/**
+ * Name of the alarm that wakes the service worker to look for due reports
+ */
+export const SCHEDULE_ALARM_NAME = 'gscScheduledFetch';
+
+/**
+ * How often the alarm fires; reports run on the first check after they are due
+ */
+export const SCHEDULE_CHECK_INTERVAL_MINUTES = 60;
+
+/**
+ * Interval of each schedule frequency
+ */
+export const SCHEDULE_FREQUENCIES = {
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Row limit used when a report does not define one
+ */
+const DEFAULT_SCHEDULED_ROW_LIMIT = 1000;
+
+/**
+ * Row limit of the page-level request used for the report totals (same as a manual fetch)
+ */
+const SCHEDULED_PAGE_ROW_LIMIT = 5000;
+
+/**
+ * Reads the scheduled reports
+ * @returns {Promise<Array<Object>>}
+ */
+export function getScheduledFetches() {
+    return new Promise((resolve, reject) => {
+        chrome.storage.local.get([SCHEDULE_STORAGE_KEY], (result) => {
+            if (chrome.runtime.lastError) {
+                reject(chrome.runtime.lastError);
+            } else {
+                resolve(result[SCHEDULE_STORAGE_KEY] || []);
+            }
+        });
+    });
+}
+
+/**
+ * Replaces the scheduled reports and updates the alarm
+ * @param {Array<Object>} schedules - Reports to keep
+ * @returns {Promise<void>}
+ */
+export function saveScheduledFetches(schedules) {
+    return new Promise((resolve, reject) => {
+        chrome.storage.local.set({ [SCHEDULE_STORAGE_KEY]: schedules }, () => {
+            if (chrome.runtime.lastError) {
+                reject(chrome.runtime.lastError);
+            } else {
+                syncScheduleAlarm(schedules).then(resolve, reject);
+            }
+        });
+    });
+}
+
+/**
+ * Adds a report to the schedule
+ * @param {Object} schedule - Report settings
+ * @param {string} schedule.siteUrl - Property as used by the API (e.g. sc-domain:example.com)
+ * @param {string} [schedule.pageUrl] - Page URL, or empty for the whole property
+ * @param {string} schedule.dateRange - Predefined range option (e.g. 'last28days')
+ * @param {string} schedule.frequency - 'daily' or 'weekly'
+ * @param {number} [schedule.rowLimit] - Keyword row limit
+ * @param {string} [schedule.deviceFilter] - Device filter
+ * @param {string} [schedule.searchTypeFilter] - Search type filter
+ * @param {string} [schedule.countryFilter] - Country filter
+ * @returns {Promise<Object>} - The stored report (with id)
+ */
+export async function addScheduledFetch({ siteUrl, pageUrl = '', dateRange, frequency, rowLimit = DEFAULT_SCHEDULED_ROW_LIMIT, deviceFilter = 'all', searchTypeFilter = 'web', countryFilter = 'all' }) {
+    if (!siteUrl) throw new Error('No property selected for the schedule');
+    if (!getApiDateRange(dateRange)) throw new Error('Scheduled fetches need a predefined date range');
+    if (!SCHEDULE_FREQUENCIES[frequency]) throw new Error(`Unknown schedule frequency: ${frequency}`);
+
+    const schedules = await getScheduledFetches();
+    const schedule = {
+        id: `schedule_${Date.now()}`,
+        siteUrl,
+        pageUrl: pageUrl || '',
+        dateRange,
+        frequency,
+        rowLimit,
+        deviceFilter,
+        searchTypeFilter,
+        countryFilter,
+        createdAt: Date.now(),
+        lastRun: null,
+        lastStatus: null,
+        lastError: null
+    };
+    await saveScheduledFetches([...schedules, schedule]);
+    return schedule;
+}
+
+/**
+ * Removes a report from the schedule
+ * @param {string} id - Report id
+ * @returns {Promise<void>}
+ */
+export async function removeScheduledFetch(id) {
+    const schedules = await getScheduledFetches();
+    await saveScheduledFetches(schedules.filter(schedule => schedule.id !== id));
+}
+
+/**
+ * Creates the check alarm while reports are scheduled and clears it otherwise
+ * @param {Array<Object>} [schedules] - Current reports (read from storage when omitted)
+ * @returns {Promise<void>}
+ */
+export async function syncScheduleAlarm(schedules) {
+    const list = schedules || await getScheduledFetches();
+    if (list.length === 0) {
+        await chrome.alarms.clear(SCHEDULE_ALARM_NAME);
+        return;
+    }
+    const existing = await chrome.alarms.get(SCHEDULE_ALARM_NAME);
+    if (!existing) {
+        await chrome.alarms.create(SCHEDULE_ALARM_NAME, {
+            delayInMinutes: 1,
+            periodInMinutes: SCHEDULE_CHECK_INTERVAL_MINUTES
+        });
+    }
+}
+
+/**
+ * Whether a report should run now
+ * @param {Object} schedule - Scheduled report
+ * @param {number} [now] - Current time in ms
+ * @returns {boolean}
+ */
+export function isScheduleDue(schedule, now = Date.now()) {
+    if (!schedule.lastRun) return true;
+    return now - schedule.lastRun >= (SCHEDULE_FREQUENCIES[schedule.frequency] || SCHEDULE_FREQUENCIES.daily);
+}
+
+/**
+ * Fetches one scheduled report, with the previous period as its comparison, stores it as a snapshot
+ * and evaluates the alert rules against it
+ * @param {Object} schedule - Scheduled report
+ * @param {string} authToken - OAuth token for the Search Console API
+ * @returns {Promise<number>} - Id of the stored snapshot
+ */
+export async function runScheduledFetch(schedule, authToken) {
+    const period = getApiDateRange(schedule.dateRange);
+    if (!period) throw new Error(`Invalid date range: ${schedule.dateRange}`);
+
+    // The previous period is the alert baseline: earlier runs of a relative range cover overlapping dates
+    const previousPeriod = getComparisonPeriod(period, 'previous');
+    const [current, previous] = await Promise.all([
+        fetchScheduledPeriod(schedule, period, authToken),
+        fetchScheduledPeriod(schedule, previousPeriod, authToken)
+    ]);
+
+    const snapshotId = await saveSnapshot({
+        metadata: {
+            ...current.metadata,
+            comparisonStartDate: previousPeriod.startDate,
+            comparisonEndDate: previousPeriod.endDate,
+            comparisonType: 'previous',
+            scheduleId: schedule.id
+        },
+        queries: current.queries,
+        previousMetadata: previous.metadata,
+        previousQueries: previous.queries
+    });
+
+    try {
+        await checkAlertsForSnapshot(snapshotId);
+    } catch (error) {
+        console.error('Error checking alerts for scheduled fetch:', error);
+    }
+    return snapshotId;
+}
+
+/**
+ * Fetches one period of a scheduled report
+ * @param {Object} schedule - Scheduled report
+ * @param {Object} period - { startDate, endDate }
+ * @param {string} authToken - OAuth token for the Search Console API
+ * @returns {Promise<Object>} - { metadata, queries }
+ */
+async function fetchScheduledPeriod(schedule, period, authToken) {
+    const pageUrl = schedule.pageUrl || null;
+    const options = { countryFilter: schedule.countryFilter || 'all' };
+
+    // Same requests as a manual fetch: keywords for the table, pages and dimensionless totals for the cards.
+    // Discover and Google News have no query data, so their table lists the pages instead.
+    const pageOnly = isPageOnlySearchType(schedule.searchTypeFilter);
+    const [pagesResult, queryResult, propertyTotals] = await Promise.all([
+        fetchGscDataForPeriod(schedule.siteUrl, period.startDate, period.endDate, SCHEDULED_PAGE_ROW_LIMIT, pageUrl, authToken, schedule.deviceFilter, schedule.searchTypeFilter, 'page', () => {}, options),
+        pageOnly ? Promise.resolve(null) : fetchGscDataForPeriod(schedule.siteUrl, period.startDate, period.endDate, schedule.rowLimit || DEFAULT_SCHEDULED_ROW_LIMIT, pageUrl, authToken, schedule.deviceFilter, schedule.searchTypeFilter, 'query', () => {}, options),
+        fetchPropertyTotals(schedule.siteUrl, period.startDate, period.endDate, pageUrl, authToken, schedule.deviceFilter, schedule.searchTypeFilter, () => {}, options)
+    ]);
+    const keywordsResult = pageOnly ? pagesResult : queryResult;
+
+    const pageLevelMetrics = {
+        totalClicks: pagesResult.metadata?.totalClicks || 0,
+        totalImpressions: pagesResult.metadata?.totalImpressions || 0,
+        avgCTR: pagesResult.metadata?.avgCTR || 0,
+        avgPosition: pagesResult.metadata?.avgPosition || 0
+    };
+
+    return {
+        metadata: {
+            ...keywordsResult.metadata,
+            pageLevelMetrics,
+            ...pageLevelMetrics,
+            propertyTotals,
+            pageOnly,
+            dateRangeOption: schedule.dateRange
+        },
+        queries: keywordsResult.data
+    };
+}
+
+/**
+ * Runs every due report, one after another, and records the outcome on each report
+ * @param {Function} getToken - Resolves with an OAuth token (non-interactive)
+ * @returns {Promise<Array<Object>>} - Reports that ran, with lastStatus/lastError updated
+ */
+export async function runDueScheduledFetches(getToken) {
+    const schedules = await getScheduledFetches();
+    const dueSchedules = schedules.filter(schedule => isScheduleDue(schedule));
+    if (dueSchedules.length === 0) return [];
+
+    let authToken = null;
+    let authError = null;
+    try {
+        authToken = await getToken();
+    } catch (error) {
+        authError = error;
+    }
+
+    const ran = [];
+    for (const schedule of dueSchedules) {
+        if (authError) {
+            // Keep the report due so it runs once the user signs in again
+            schedule.lastStatus = 'error';
+            schedule.lastError = `Sign-in required: ${authError.message}`;
+            continue;
+        }
+        try {
+            console.log(`Running scheduled fetch for ${schedule.pageUrl || schedule.siteUrl}`);
+            await runScheduledFetch(schedule, authToken);
+            schedule.lastStatus = 'ok';
+            schedule.lastError = null;
+        } catch (error) {
+            console.error('Scheduled fetch failed:', error);
+            schedule.lastStatus = 'error';
+            schedule.lastError = error.message;
+        }
+        schedule.lastRun = Date.now();
+        ran.push(schedule);
+    }
+
+    // Merge into the latest stored list (the popup may have changed it while fetches were running)
+    const latest = await getScheduledFetches();
+    const updatedById = new Map(dueSchedules.map(schedule => [schedule.id, schedule]));
+    await saveScheduledFetches(latest.map(schedule => {
+        const updated = updatedById.get(schedule.id);
+        return updated ? { ...schedule, lastRun: updated.lastRun, lastStatus: updated.lastStatus, lastError: updated.lastError } : schedule;
+    }));
+
+    return ran;
+}
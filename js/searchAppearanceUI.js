@@ -0,0 +1,115 @@
+/**
+ * Search Appearance UI
+ * Breakdown panel in Position Insights: clicks, impressions, CTR and position per search appearance
+ * type (rich results, AMP, videos...) of the loaded report, with a drill-down into the queries of one type.
+ */
+
+import { fetchGscDataForPeriod } from './dataFetchUtils.js';
+import { formatDimensionValue } from './dimensionUtils.js';
+import { renderQueryRows, renderSearchAppearanceBreakdown } from './uiUtils.js';
+
+/**
+ * Maximum number of queries requested for one search appearance type
+ */
+const APPEARANCE_QUERY_ROW_LIMIT = 1000;
+
+// Callbacks provided by popup.js
+let getToken = () => null;
+let getMetadata = () => null;
+let getPrevious = () => null;
+let reportStatus = () => {};
+
+// Drill-down request in progress (a new one cancels it)
+let queryController = null;
+
+/**
+ * Initialize the search appearance panel
+ * @param {Object} options - Options for the search appearance UI
+ * @param {Function} options.getAuthToken - Returns the current OAuth token (or null when signed out)
+ * @param {Function} options.getCurrentMetadata - Returns the metadata of the loaded report
+ * @param {Function} options.getPreviousMetadata - Returns the metadata of the comparison period (or null)
+ * @param {Function} options.updateStatus - Status bar callback
+ */
+export function initSearchAppearanceUI({ getAuthToken, getCurrentMetadata, getPreviousMetadata, updateStatus }) {
+  getToken = getAuthToken || getToken;
+  getMetadata = getCurrentMetadata || getMetadata;
+  getPrevious = getPreviousMetadata || getPrevious;
+  reportStatus = updateStatus || reportStatus;
+
+  document.getElementById('searchAppearanceTable')?.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-appearance]');
+    if (button) showAppearanceQueries(button.dataset.appearance);
+  });
+  document.getElementById('closeAppearanceQueries')?.addEventListener('click', hideAppearanceQueries);
+}
+
+/**
+ * Renders the breakdown of the loaded report (called after every fetch or snapshot load)
+ */
+export function renderSearchAppearancePanel() {
+  renderSearchAppearanceBreakdown({
+    container: document.getElementById('searchAppearanceTable'),
+    appearanceRows: getMetadata()?.searchAppearanceBreakdown || [],
+    previousAppearanceRows: getPrevious()?.searchAppearanceBreakdown || []
+  });
+  hideAppearanceQueries();
+}
+
+/**
+ * Fetches and shows the queries of one search appearance type, with the filters of the loaded report
+ * @param {string} appearance - searchAppearance value returned by the API (e.g. 'VIDEO')
+ */
+async function showAppearanceQueries(appearance) {
+  const metadata = getMetadata();
+  const authToken = getToken();
+  if (!metadata?.siteUrl || !authToken) {
+    reportStatus('Sign in and fetch GSC data to see the queries of a search appearance.', true, 'warning');
+    return;
+  }
+  if (metadata.pageOnly) {
+    reportStatus(`Query data is not available for ${metadata.searchTypeFilter}.`, true, 'warning');
+    return;
+  }
+
+  const panel = document.getElementById('appearanceQueriesPanel');
+  const container = document.getElementById('appearanceQueriesTable');
+  const title = document.getElementById('appearanceQueriesTitle');
+  const label = formatDimensionValue('searchAppearance', appearance);
+  if (title) title.textContent = `Queries shown as: ${label}`;
+  if (container) container.innerHTML = '<div class="no-data">Loading queries...</div>';
+  if (panel) panel.style.display = 'block';
+
+  if (queryController) queryController.abort();
+  const controller = new AbortController();
+  queryController = controller;
+
+  try {
+    const result = await fetchGscDataForPeriod(
+      metadata.siteUrl, metadata.startDate, metadata.endDate, APPEARANCE_QUERY_ROW_LIMIT, metadata.pageUrl || null, authToken,
+      metadata.deviceFilter || 'all', metadata.searchTypeFilter || 'web', 'query', () => {},
+      {
+        signal: controller.signal,
+        countryFilter: metadata.countryFilter || 'all',
+        dimensionFilters: [...(metadata.dimensionFilters || []), { dimension: 'searchAppearance', operator: 'equals', expression: appearance }]
+      }
+    );
+    if (controller.signal.aborted) return;
+    renderQueryRows({ container, rows: result.data, emptyMessage: 'No queries found for this search appearance.' });
+    reportStatus(`Loaded ${result.data.length} queries for ${label}.`);
+  } catch (error) {
+    console.error('Error loading search appearance queries:', error);
+    if (container) container.innerHTML = `<div class="no-data">Could not load queries: ${error.message}</div>`;
+    reportStatus(`Error: ${error.message}`, true);
+  } finally {
+    if (queryController === controller) queryController = null;
+  }
+}
+
+/**
+ * Closes the query drill-down
+ */
+function hideAppearanceQueries() {
+  if (queryController) queryController.abort();
+  const panel = document.getElementById('appearanceQueriesPanel');
+  if (panel) panel.style.display = 'none';
+}
@@ -2,6 +2,8 @@
  * Site properties utility functions for GSC extension
  */
 
+import { queuedFetch } from './requestQueue.js';
+
 // State variables
 export let siteProperties = []; // List of all available GSC properties
 export let selectedSiteProperty = null; // Currently selected property
@@ -156,7 +158,7 @@ export async function fetchSiteProperties(currentAuthToken, isSignedIn, updateSt
   
   try {
     const apiUrl = "https://www.googleapis.com/webmasters/v3/sites";
-    const response = await fetch(apiUrl, {
+    const response = await queuedFetch(apiUrl, {
       method: 'GET',
       headers: { 'Authorization': `Bearer ${currentAuthToken}` }
     });
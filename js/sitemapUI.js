@@ -0,0 +1,179 @@
+/**
+ * Sitemaps UI
+ * Sitemaps tab: lists the sitemaps of the selected property with their counts, errors and
+ * warnings. Submitting and deleting are opt-in: the user first grants the write scope.
+ */
+
+import { WRITE_SCOPE, getAuthToken, onSignOut, removeAuthToken } from './authUtils.js';
+import { selectedSiteProperty } from './sitePropertiesUtils.js';
+import {
+  deleteSitemap,
+  getSitemap,
+  listSitemaps,
+  submitSitemap,
+  summarizeSitemap
+} from './sitemapUtils.js';
+import { renderSitemapTable } from './uiUtils.js';
+
+// Callbacks provided by popup.js
+let getToken = () => null;
+let reportStatus = () => {};
+
+// Sitemaps state
+let sitemapSiteUrl = null;
+let sitemaps = [];
+let writeToken = null;
+
+/**
+ * Initialize the Sitemaps tab
+ * @param {Object} options - Options for the sitemaps UI
+ * @param {Function} options.getAuthToken - Returns the current (read-only) OAuth token, or null when signed out
+ * @param {Function} options.updateStatus - Status bar callback
+ */
+export function initSitemapUI({ getAuthToken: getCurrentToken, updateStatus }) {
+  getToken = getCurrentToken || getToken;
+  reportStatus = updateStatus || reportStatus;
+
+  document.getElementById('refreshSitemaps')?.addEventListener('click', () => loadSitemaps());
+  document.getElementById('enableSitemapWrite')?.addEventListener('click', handleEnableWrite);
+  document.getElementById('submitSitemap')?.addEventListener('click', handleSubmit);
+  onSignOut(clearWriteAccess);
+
+  document.getElementById('sitemapTable')?.addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-action="delete-sitemap"]');
+    const path = button?.closest('tr.sitemap-row')?.dataset.path;
+    if (!path) return;
+    if (!confirm(`Delete ${path} from ${sitemapSiteUrl}? The sitemap file itself is not changed.`)) return;
+    try {
+      await deleteSitemap(sitemapSiteUrl, path, writeToken);
+      sitemaps = sitemaps.filter(sitemap => sitemap.path !== path);
+      renderTable();
+      reportStatus(`Sitemap ${path} deleted.`);
+    } catch (error) {
+      console.error('Error deleting sitemap:', error);
+      reportStatus(`Error: ${error.message}`, true);
+    }
+  });
+}
+
+/**
+ * Loads the sitemaps of the selected property (called when the Sitemaps tab is shown)
+ * @returns {Promise<void>}
+ */
+export async function loadSitemaps() {
+  const container = document.getElementById('sitemapTable');
+  const propertyLabel = document.getElementById('sitemapProperty');
+  const authToken = getToken();
+
+  if (!authToken) {
+    if (container) container.innerHTML = '<div class="no-data">Sign in to load sitemaps.</div>';
+    return;
+  }
+  if (!selectedSiteProperty) {
+    if (container) container.innerHTML = '<div class="no-data">Select a property first.</div>';
+    return;
+  }
+
+  sitemapSiteUrl = selectedSiteProperty;
+  if (propertyLabel) propertyLabel.textContent = sitemapSiteUrl.replace(/^sc-domain:/, '');
+  if (container) container.innerHTML = '<div class="no-data">Loading sitemaps...</div>';
+
+  try {
+    // Write access granted earlier is picked up silently
+    if (!writeToken) {
+      writeToken = await getAuthToken(false, [WRITE_SCOPE]).catch(() => null);
+    }
+    updateWriteControls();
+
+    sitemaps = (await listSitemaps(sitemapSiteUrl, authToken)).map(summarizeSitemap);
+    renderTable();
+    const failing = sitemaps.filter(sitemap => sitemap.errors > 0).length;
+    if (failing > 0) {
+      reportStatus(`${sitemaps.length} sitemaps for ${sitemapSiteUrl}, ${failing} with errors.`, true, 'warning');
+    } else {
+      reportStatus(`${sitemaps.length} sitemaps for ${sitemapSiteUrl}.`);
+    }
+  } catch (error) {
+    console.error('Error loading sitemaps:', error);
+    if (container) container.innerHTML = `<div class="no-data">Error: ${error.message}</div>`;
+    reportStatus(`Error: ${error.message}`, true);
+  }
+}
+
+/**
+ * Asks the user for the write scope (needed for submit and delete)
+ */
+async function handleEnableWrite() {
+  try {
+    writeToken = await getAuthToken(true, [WRITE_SCOPE]);
+    updateWriteControls();
+    renderTable();
+    reportStatus('Write access granted: sitemaps can now be submitted and deleted.');
+  } catch (error) {
+    console.error('Error requesting write access:', error);
+    reportStatus(`Write access not granted: ${error.message}`, true);
+  }
+}
+
+/**
+ * Submits the sitemap URL from the input and reloads its status
+ */
+async function handleSubmit() {
+  const input = document.getElementById('sitemapSubmitUrl');
+  const feedpath = input?.value.trim();
+  if (!feedpath) {
+    reportStatus('Enter the URL of the sitemap to submit.', true, 'warning');
+    return;
+  }
+  if (!sitemapSiteUrl) {
+    reportStatus('Select a property first.', true);
+    return;
+  }
+
+  try {
+    await submitSitemap(sitemapSiteUrl, feedpath, writeToken);
+    const submitted = summarizeSitemap(await getSitemap(sitemapSiteUrl, new URL(feedpath).href, getToken()));
+    sitemaps = [submitted, ...sitemaps.filter(sitemap => sitemap.path !== submitted.path)];
+    renderTable();
+    if (input) input.value = '';
+    reportStatus(`Sitemap ${submitted.path} submitted.`);
+  } catch (error) {
+    console.error('Error submitting sitemap:', error);
+    reportStatus(`Error: ${error.message}`, true);
+  }
+}
+
+/**
+ * Drops the write token and the listed sitemaps of the signed-out account
+ * @returns {Promise<void>}
+ */
+async function clearWriteAccess() {
+  const token = writeToken;
+  writeToken = null;
+  sitemapSiteUrl = null;
+  sitemaps = [];
+  updateWriteControls();
+  renderTable();
+  if (token) await removeAuthToken(token);
+}
+
+/**
+ * Shows either the "enable write access" button or the submit form
+ */
+function updateWriteControls() {
+  const enableButton = document.getElementById('enableSitemapWrite');
+  const submitForm = document.getElementById('sitemapSubmitForm');
+  if (enableButton) enableButton.style.display = writeToken ? 'none' : 'inline-block';
+  if (submitForm) submitForm.style.display = writeToken ? 'flex' : 'none';
+}
+
+/**
+ * Renders the loaded sitemaps
+ */
+function renderTable() {
+  renderSitemapTable({
+    container: document.getElementById('sitemapTable'),
+    sitemaps,
+    canDelete: !!writeToken
+  });
+}
@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Search Console Sitemaps API.
+ * List and get work with the regular read-only token. Submit and delete need the full
+ * `webmasters` scope (WRITE_SCOPE in authUtils.js), which the user grants separately.
+ */
+
+import { queuedFetch } from './requestQueue.js';
+
+const SITEMAPS_API_BASE = 'https://www.googleapis.com/webmasters/v3/sites';
+
+/**
+ * Calls a Sitemaps endpoint
+ * @param {string} method - HTTP method
+ * @param {string} siteUrl - Property as used by the API
+ * @param {string|null} feedpath - Sitemap URL, or null for the list endpoint
+ * @param {string} authToken - OAuth token
+ * @returns {Promise<Object|null>} - Parsed response body (null for empty bodies)
+ * @throws {Error} With a readable message for API errors
+ */
+async function sitemapsRequest(method, siteUrl, feedpath, authToken) {
+    if (!authToken) throw new Error('Please sign in first.');
+
+    let apiUrl = `${SITEMAPS_API_BASE}/${encodeURIComponent(siteUrl)}/sitemaps`;
+    if (feedpath) apiUrl += `/${encodeURIComponent(feedpath)}`;
+
+    const response = await queuedFetch(apiUrl, {
+        method,
+        headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+
+    if (!response.ok) {
+        let errorData;
+        try {
+            errorData = await response.json();
+        } catch (e) {
+            errorData = { error: { message: response.statusText || 'Failed to parse error' } };
+        }
+
+        let errorMsg = `Sitemaps API Error ${response.status}: ${errorData.error?.message || 'Unknown API error'}`;
+        if (response.status === 401) {
+            errorMsg = 'Authorization failed. Token invalid/expired? Please Sign Out & Sign In again.';
+        } else if (response.status === 403 && method !== 'GET') {
+            errorMsg = `Permission denied. Submitting and deleting sitemaps needs write access and an owner or full user of ${siteUrl}. ${errorData.error?.message || ''}`;
+        } else if (response.status === 404) {
+            errorMsg = feedpath ? `Sitemap ${feedpath} not found for ${siteUrl}.` : `Site '${siteUrl}' not found/accessible.`;
+        }
+        throw new Error(errorMsg);
+    }
+
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+}
+
+/**
+ * Lists the sitemaps submitted for a property
+ * @param {string} siteUrl - Property as used by the API
+ * @param {string} authToken - OAuth token (read-only scope is enough)
+ * @returns {Promise<Array<Object>>} - Sitemap resources as returned by the API
+ */
+export async function listSitemaps(siteUrl, authToken) {
+    const result = await sitemapsRequest('GET', siteUrl, null, authToken);
+    return result?.sitemap || [];
+}
+
+/**
+ * Gets a single sitemap
+ * @param {string} siteUrl - Property as used by the API
+ * @param {string} feedpath - Sitemap URL
+ * @param {string} authToken - OAuth token (read-only scope is enough)
+ * @returns {Promise<Object>} - Sitemap resource
+ */
+export async function getSitemap(siteUrl, feedpath, authToken) {
+    return sitemapsRequest('GET', siteUrl, feedpath, authToken);
+}
+
+/**
+ * Submits (or resubmits) a sitemap
+ * @param {string} siteUrl - Property as used by the API
+ * @param {string} feedpath - Full sitemap URL
+ * @param {string} writeToken - OAuth token with the write scope
+ * @returns {Promise<void>}
+ */
+export async function submitSitemap(siteUrl, feedpath, writeToken) {
+    let url;
+    try {
+        url = new URL(feedpath);
+    } catch (e) {
+        throw new Error(`Invalid sitemap URL: ${feedpath}`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new Error(`Invalid sitemap URL: ${feedpath}`);
+    }
+    await sitemapsRequest('PUT', siteUrl, url.href, writeToken);
+}
+
+/**
+ * Deletes a sitemap from the property (the file itself is not touched)
+ * @param {string} siteUrl - Property as used by the API
+ * @param {string} feedpath - Sitemap URL
+ * @param {string} writeToken - OAuth token with the write scope
+ * @returns {Promise<void>}
+ */
+export async function deleteSitemap(siteUrl, feedpath, writeToken) {
+    await sitemapsRequest('DELETE', siteUrl, feedpath, writeToken);
+}
+
+/**
+ * Flattens a sitemap resource for display (the API returns counts as strings)
+ * @param {Object} sitemap - Sitemap resource
+ * @returns {Object} - { path, type, isSitemapsIndex, isPending, submitted, indexed, errors, warnings,
+ *                       lastSubmitted, lastDownloaded, contents }
+ */
+export function summarizeSitemap(sitemap) {
+    const toNumber = (value) => value === undefined || value === null ? null : Number(value);
+    const contents = (sitemap.contents || []).map(content => ({
+        type: content.type,
+        submitted: toNumber(content.submitted),
+        indexed: toNumber(content.indexed)
+    }));
+    const sum = (key) => contents.some(content => content[key] !== null)
+        ? contents.reduce((total, content) => total + (content[key] || 0), 0)
+        : null;
+
+    return {
+        path: sitemap.path,
+        type: sitemap.type || null,
+        isSitemapsIndex: !!sitemap.isSitemapsIndex,
+        isPending: !!sitemap.isPending,
+        submitted: sum('submitted'),
+        indexed: sum('indexed'), // Deprecated by Google; usually missing or 0
+        errors: toNumber(sitemap.errors) || 0,
+        warnings: toNumber(sitemap.warnings) || 0,
+        lastSubmitted: sitemap.lastSubmitted || null,
+        lastDownloaded: sitemap.lastDownloaded || null,
+        contents
+    };
+}
@@ -0,0 +1,304 @@
+/**
+ * Snapshot Browser UI
+ * Lists stored snapshots and lets the user reopen, diff (against the previous snapshot
+ * of the same report or any other stored result set) and delete them
+ */
+
+import {
+  listSnapshots,
+  getSnapshot,
+  findPreviousSnapshot,
+  deleteSnapshot
+} from './snapshotUtils.js';
+import { getExtraDimensions } from './dimensionUtils.js';
+
+// Callbacks provided by popup.js
+let displaySnapshotData = null;
+let reportStatus = () => {};
+
+/**
+ * Initialize the snapshot browser
+ * @param {Object} options - Options for the snapshot browser
+ * @param {Function} options.onDisplay - Called with { queries, previousQueries, metadata, previousMetadata } to show a result set
+ * @param {Function} options.updateStatus - Status bar callback
+ */
+export function initSnapshotUI({ onDisplay, updateStatus }) {
+  displaySnapshotData = onDisplay;
+  reportStatus = updateStatus || reportStatus;
+
+  const toggle = document.getElementById('snapshotsToggle');
+  const dropdown = document.getElementById('snapshotsDropdown');
+  const list = document.getElementById('snapshotList');
+
+  // Toggle dropdown visibility (reload the list every time it opens)
+  toggle?.addEventListener('click', (e) => {
+    e.stopPropagation();
+    const isVisible = dropdown.style.display === 'block';
+    dropdown.style.display = isVisible ? 'none' : 'block';
+    if (!isVisible) refreshSnapshotList();
+  });
+
+  // Close dropdown when clicking outside
+  document.addEventListener('click', (e) => {
+    if (dropdown && !toggle?.contains(e.target) && !dropdown.contains(e.target)) {
+      dropdown.style.display = 'none';
+    }
+  });
+
+  // Compare any two stored result sets
+  document.getElementById('snapshotCompareBtn')?.addEventListener('click', () => {
+    const currentRef = document.getElementById('snapshotCompareCurrent')?.value;
+    const baselineRef = document.getElementById('snapshotCompareBaseline')?.value;
+    if (!currentRef || !baselineRef) return;
+    if (currentRef === baselineRef) {
+      reportStatus('Choose two different result sets to compare.', true, 'warning');
+      return;
+    }
+    compareResultSets(currentRef, baselineRef);
+  });
+
+  // Snapshot actions (event delegation, the list is re-rendered on every open)
+  list?.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (!button || button.disabled) return;
+    const id = Number(button.closest('.snapshot-item')?.dataset.id);
+    if (!id) return;
+
+    if (button.dataset.action === 'open') openSnapshot(id);
+    else if (button.dataset.action === 'diff') diffWithPreviousSnapshot(id);
+    else if (button.dataset.action === 'delete') removeSnapshot(id);
+  });
+}
+
+/**
+ * Reloads and renders the snapshot list
+ * @returns {Promise<void>}
+ */
+export async function refreshSnapshotList() {
+  const list = document.getElementById('snapshotList');
+  if (!list) return;
+
+  list.innerHTML = '<div class="no-data">Loading snapshots...</div>';
+  try {
+    const snapshots = await listSnapshots();
+    renderCompareOptions(snapshots);
+    renderSnapshotList(list, snapshots);
+  } catch (error) {
+    console.error('Error listing snapshots:', error);
+    list.innerHTML = `<div class="no-data">Could not read snapshots: ${error.message}</div>`;
+  }
+}
+
+/**
+ * Renders snapshot summaries, newest first
+ * @param {HTMLElement} list - List container
+ * @param {Array} snapshots - Snapshot summaries from listSnapshots
+ */
+function renderSnapshotList(list, snapshots) {
+  if (snapshots.length === 0) {
+    list.innerHTML = '<div class="no-data">No snapshots yet. Every completed fetch is saved here.</div>';
+    return;
+  }
+
+  list.innerHTML = snapshots.map(snapshot => {
+    // Diff is available when an older snapshot of the same report exists
+    const hasPrevious = snapshots.some(other => other.key === snapshot.key && other.fetchTimestamp < snapshot.fetchTimestamp);
+    const fetchedAt = new Date(snapshot.fetchTimestamp).toLocaleString();
+    const filters = [snapshot.deviceFilter, snapshot.searchTypeFilter].filter(value => value && value !== 'all').join(' / ') || 'all devices';
+
+    return `<div class="snapshot-item" data-id="${snapshot.id}">
+        <div class="snapshot-title" title="${snapshot.pageUrl || snapshot.siteUrl}">${describeScope(snapshot)}</div>
+        <div class="snapshot-meta">${snapshot.startDate} → ${snapshot.endDate} • ${filters} • ${snapshot.rowCount.toLocaleString()} keywords</div>
+        <div class="snapshot-meta">Fetched ${fetchedAt}${snapshot.metadata?.scheduleId ? ' • scheduled' : ''}</div>
+        <div class="snapshot-actions">
+          <button data-action="open">Open</button>
+          <button data-action="diff" ${hasPrevious ? '' : 'disabled title="No earlier snapshot of this report"'}>Diff vs previous</button>
+          <button data-action="delete" class="snapshot-delete">Delete</button>
+        </div>
+      </div>`;
+  }).join('');
+}
+
+/**
+ * Fills the two "compare" selects with every stored result set: the main period of each
+ * snapshot and, when it was fetched with comparison, its comparison period
+ * @param {Array} snapshots - Snapshot summaries from listSnapshots
+ */
+function renderCompareOptions(snapshots) {
+  const compareSection = document.getElementById('snapshotCompare');
+  const currentSelect = document.getElementById('snapshotCompareCurrent');
+  const baselineSelect = document.getElementById('snapshotCompareBaseline');
+  if (!currentSelect || !baselineSelect) return;
+
+  const options = [];
+  snapshots.forEach(snapshot => {
+    const fetchedOn = new Date(snapshot.fetchTimestamp).toLocaleDateString();
+    options.push(`<option value="${snapshot.id}:current">${describeScope(snapshot)} • ${snapshot.startDate} → ${snapshot.endDate} (${fetchedOn})</option>`);
+    const comparison = snapshot.metadata;
+    if (comparison?.comparisonStartDate && comparison?.comparisonEndDate) {
+      options.push(`<option value="${snapshot.id}:previous">${describeScope(snapshot)} • ${comparison.comparisonStartDate} → ${comparison.comparisonEndDate} (comparison, ${fetchedOn})</option>`);
+    }
+  });
+
+  currentSelect.innerHTML = options.join('');
+  baselineSelect.innerHTML = options.join('');
+  // Default: newest result set vs the one after it
+  if (baselineSelect.options.length > 1) baselineSelect.selectedIndex = 1;
+  if (compareSection) compareSection.style.display = options.length > 1 ? 'flex' : 'none';
+}
+
+/**
+ * Loads one stored result set
+ * @param {string} ref - "<snapshotId>:current" or "<snapshotId>:previous"
+ * @returns {Promise<Object>} - { snapshot, queries, metadata } for the referenced period
+ */
+async function loadResultSet(ref) {
+  const [id, period] = ref.split(':');
+  const snapshot = await getSnapshot(Number(id));
+  if (!snapshot) throw new Error('Snapshot not found');
+
+  if (period === 'previous') {
+    return { snapshot, queries: snapshot.previousQueries, metadata: snapshot.previousMetadata || {} };
+  }
+  return { snapshot, queries: snapshot.queries, metadata: snapshot.metadata };
+}
+
+/**
+ * Shows one result set with another as its comparison baseline
+ * (per-row deltas, new/lost pills and comparison cards all come from displayQueryData)
+ * @param {Object} current - Result set from loadResultSet shown as the current period
+ * @param {Object} baseline - Result set from loadResultSet used as the comparison period
+ */
+function displayComparison(current, baseline) {
+  displaySnapshotData?.({
+    queries: current.queries,
+    previousQueries: baseline.queries,
+    metadata: {
+      ...current.metadata,
+      snapshotId: current.snapshot.id,
+      comparisonType: 'snapshot',
+      comparisonStartDate: baseline.metadata.startDate,
+      comparisonEndDate: baseline.metadata.endDate,
+      comparisonFetchTimestamp: baseline.snapshot.fetchTimestamp,
+      comparisonSiteUrl: baseline.metadata.siteUrl || '',
+      comparisonPageUrl: baseline.metadata.pageUrl || ''
+    },
+    previousMetadata: { ...baseline.metadata, snapshotId: baseline.snapshot.id }
+  });
+}
+
+/**
+ * Compares any two stored result sets, even from different properties or pages
+ * @param {string} currentRef - Result set shown as the current period
+ * @param {string} baselineRef - Result set used as the comparison period
+ * @returns {Promise<boolean>} - True if both result sets were found and displayed
+ */
+export async function compareResultSets(currentRef, baselineRef) {
+  try {
+    const [current, baseline] = await Promise.all([loadResultSet(currentRef), loadResultSet(baselineRef)]);
+    displayComparison(current, baseline);
+    closeDropdown();
+
+    // Rows are matched on query plus breakdown dimensions, so both sets need the same breakdown
+    const currentDimensions = getExtraDimensions(current.metadata).join(',');
+    const baselineDimensions = getExtraDimensions(baseline.metadata).join(',');
+    if (currentDimensions !== baselineDimensions) {
+      reportStatus('The two result sets use different breakdowns; rows are only matched when query and breakdown values agree.', true, 'warning');
+    } else {
+      reportStatus(`Comparing ${current.metadata.startDate} → ${current.metadata.endDate} with ${baseline.metadata.startDate} → ${baseline.metadata.endDate}.`);
+    }
+    return true;
+  } catch (error) {
+    console.error('Error comparing result sets:', error);
+    reportStatus(`Error: ${error.message}`, true);
+    return false;
+  }
+}
+
+/**
+ * Short scope label for a snapshot (page path, domain or URL property)
+ * @param {Object} snapshot - Snapshot summary
+ * @returns {string}
+ */
+function describeScope(snapshot) {
+  if (snapshot.pageUrl) {
+    try {
+      return `Page ${new URL(snapshot.pageUrl).pathname}`;
+    } catch (e) {
+      return `Page ${snapshot.pageUrl}`;
+    }
+  }
+  return snapshot.siteUrl.replace(/^sc-domain:/, 'Domain ');
+}
+
+/**
+ * Shows a snapshot as it was fetched (including its own comparison period, if any)
+ * @param {number} id - Snapshot id
+ */
+async function openSnapshot(id) {
+  try {
+    const snapshot = await getSnapshot(id);
+    if (!snapshot) throw new Error('Snapshot not found');
+
+    displaySnapshotData?.({
+      queries: snapshot.queries,
+      previousQueries: snapshot.previousQueries,
+      metadata: { ...snapshot.metadata, snapshotId: snapshot.id },
+      previousMetadata: snapshot.previousMetadata
+    });
+    closeDropdown();
+    reportStatus(`Showing snapshot from ${new Date(snapshot.fetchTimestamp).toLocaleString()} (${snapshot.rowCount} keywords).`);
+  } catch (error) {
+    console.error('Error opening snapshot:', error);
+    reportStatus(`Error: ${error.message}`, true);
+  }
+}
+
+/**
+ * Shows a snapshot compared with the previous snapshot of the same report
+ * @param {number} id - Snapshot id
+ */
+async function diffWithPreviousSnapshot(id) {
+  try {
+    const snapshot = await getSnapshot(id);
+    if (!snapshot) throw new Error('Snapshot not found');
+    const previousSummary = await findPreviousSnapshot(snapshot);
+    if (!previousSummary) throw new Error('No earlier snapshot of this report');
+    const previous = await getSnapshot(previousSummary.id);
+
+    const previousFetchedAt = new Date(previous.fetchTimestamp).toLocaleString();
+    displayComparison(
+      { snapshot, queries: snapshot.queries, metadata: snapshot.metadata },
+      { snapshot: previous, queries: previous.queries, metadata: previous.metadata }
+    );
+    closeDropdown();
+    reportStatus(`Comparing snapshot from ${new Date(snapshot.fetchTimestamp).toLocaleString()} with ${previousFetchedAt}.`);
+  } catch (error) {
+    console.error('Error comparing snapshots:', error);
+    reportStatus(`Error: ${error.message}`, true);
+  }
+}
+
+/**
+ * Deletes a snapshot after confirmation and refreshes the list
+ * @param {number} id - Snapshot id
+ */
+async function removeSnapshot(id) {
+  if (!confirm('Delete this snapshot? This cannot be undone.')) return;
+  try {
+    await deleteSnapshot(id);
+    reportStatus('Snapshot deleted.');
+    await refreshSnapshotList();
+  } catch (error) {
+    console.error('Error deleting snapshot:', error);
+    reportStatus(`Error: ${error.message}`, true);
+  }
+}
+
+/**
+ * Hides the snapshot dropdown
+ */
+function closeDropdown() {
+  const dropdown = document.getElementById('snapshotsDropdown');
+  if (dropdown) dropdown.style.display = 'none';
+}
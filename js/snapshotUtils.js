@@ -0,0 +1,248 @@
+/**
+ * @fileoverview Historical snapshot store (IndexedDB).
+ * Every completed fetch is saved as a timestamped snapshot so older result sets can be reopened
+ * and compared without new API requests. Summaries and row data live in separate object stores
+ * so listing snapshots does not load every keyword row.
+ */
+
+const DB_NAME = 'gscSnapshots';
+const DB_VERSION = 1;
+const SUMMARY_STORE = 'snapshots';
+const DATA_STORE = 'snapshotData';
+
+/**
+ * Maximum number of snapshots kept; the oldest are deleted when a new one is saved
+ */
+export const MAX_SNAPSHOTS = 100;
+
+let dbPromise = null;
+
+/**
+ * Opens (and on first use creates) the snapshot database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(SUMMARY_STORE)) {
+                const summaries = db.createObjectStore(SUMMARY_STORE, { keyPath: 'id', autoIncrement: true });
+                summaries.createIndex('key', 'key', { unique: false });
+                summaries.createIndex('fetchTimestamp', 'fetchTimestamp', { unique: false });
+            }
+            if (!db.objectStoreNames.contains(DATA_STORE)) {
+                db.createObjectStore(DATA_STORE, { keyPath: 'id' });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            dbPromise = null; // Allow a retry on the next call
+            reject(request.error);
+        };
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>} - The request result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Builds the key that identifies "the same report" across snapshots.
+ * Relative ranges (e.g. 'last28days') identify a recurring report whose dates move forward;
+ * custom ranges are keyed on their dates.
+ * @param {Object} metadata - Metadata returned by fetchGscDataForPeriod / handleFetchDataClick
+ * @returns {string} - property|pageUrl|range|device|searchType|country|dimensions|apiFilters
+ */
+export function buildSnapshotKey(metadata) {
+    const range = metadata?.dateRangeOption && metadata.dateRangeOption !== 'custom'
+        ? metadata.dateRangeOption
+        : `${metadata?.startDate || ''}..${metadata?.endDate || ''}`;
+    return [
+        metadata?.siteUrl || '',
+        metadata?.pageUrl || '',
+        range,
+        metadata?.deviceFilter || 'all',
+        metadata?.searchTypeFilter || 'web',
+        metadata?.countryFilter || 'all',
+        (metadata?.dimensions || ['query']).join('+'),
+        JSON.stringify(metadata?.dimensionFilters || [])
+    ].join('|');
+}
+
+/**
+ * Saves a fetch result as a new snapshot
+ * @param {Object} snapshot - Snapshot content
+ * @param {Object} snapshot.metadata - Metadata of the main period
+ * @param {Array} snapshot.queries - Keyword rows of the main period
+ * @param {Object} [snapshot.previousMetadata] - Metadata of the comparison period, if any
+ * @param {Array} [snapshot.previousQueries] - Keyword rows of the comparison period, if any
+ * @returns {Promise<number>} - The id of the stored snapshot
+ */
+export async function saveSnapshot({ metadata, queries, previousMetadata = null, previousQueries = [] }) {
+    const db = await openDatabase();
+
+    const summary = {
+        key: buildSnapshotKey(metadata),
+        fetchTimestamp: metadata?.fetchTimestamp || Date.now(),
+        siteUrl: metadata?.siteUrl || '',
+        pageUrl: metadata?.pageUrl || '',
+        startDate: metadata?.startDate || '',
+        endDate: metadata?.endDate || '',
+        deviceFilter: metadata?.deviceFilter || 'all',
+        searchTypeFilter: metadata?.searchTypeFilter || 'web',
+        countryFilter: metadata?.countryFilter || 'all',
+        rowCount: queries?.length || 0,
+        totalClicks: metadata?.totalClicks || 0,
+        totalImpressions: metadata?.totalImpressions || 0,
+        metadata
+    };
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([SUMMARY_STORE, DATA_STORE], 'readwrite');
+        let snapshotId = null;
+
+        const addRequest = transaction.objectStore(SUMMARY_STORE).add(summary);
+        addRequest.onsuccess = () => {
+            snapshotId = addRequest.result;
+            transaction.objectStore(DATA_STORE).put({
+                id: snapshotId,
+                queries: queries || [],
+                previousMetadata,
+                previousQueries: previousQueries || []
+            });
+        };
+
+        transaction.oncomplete = () => resolve(snapshotId);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Snapshot transaction aborted'));
+    }).then(async (snapshotId) => {
+        await pruneSnapshots();
+        return snapshotId;
+    });
+}
+
+/**
+ * Deletes the oldest snapshots beyond MAX_SNAPSHOTS (ids grow with each save)
+ * @returns {Promise<void>}
+ */
+async function pruneSnapshots() {
+    const db = await openDatabase();
+    const ids = await promisifyRequest(db.transaction(SUMMARY_STORE).objectStore(SUMMARY_STORE).getAllKeys());
+    const excess = ids.slice(0, Math.max(0, ids.length - MAX_SNAPSHOTS));
+    if (excess.length === 0) return;
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([SUMMARY_STORE, DATA_STORE], 'readwrite');
+        excess.forEach(id => {
+            transaction.objectStore(SUMMARY_STORE).delete(id);
+            transaction.objectStore(DATA_STORE).delete(id);
+        });
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Lists snapshot summaries (without row data), newest first
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listSnapshots() {
+    const db = await openDatabase();
+    const summaries = await promisifyRequest(db.transaction(SUMMARY_STORE).objectStore(SUMMARY_STORE).getAll());
+    return summaries.sort((a, b) => b.fetchTimestamp - a.fetchTimestamp);
+}
+
+/**
+ * Loads a snapshot with its rows
+ * @param {number} id - Snapshot id
+ * @returns {Promise<Object|null>} - Summary fields plus queries, previousMetadata and previousQueries
+ */
+export async function getSnapshot(id) {
+    const db = await openDatabase();
+    const transaction = db.transaction([SUMMARY_STORE, DATA_STORE]);
+    const [summary, data] = await Promise.all([
+        promisifyRequest(transaction.objectStore(SUMMARY_STORE).get(id)),
+        promisifyRequest(transaction.objectStore(DATA_STORE).get(id))
+    ]);
+    if (!summary) return null;
+    return {
+        ...summary,
+        queries: data?.queries || [],
+        previousMetadata: data?.previousMetadata || null,
+        previousQueries: data?.previousQueries || []
+    };
+}
+
+/**
+ * Finds the most recent snapshot of the same report taken before the given one
+ * @param {Object} snapshot - Snapshot summary (needs key and fetchTimestamp)
+ * @returns {Promise<Object|null>} - Summary of the earlier snapshot, or null
+ */
+export async function findPreviousSnapshot(snapshot) {
+    const db = await openDatabase();
+    const index = db.transaction(SUMMARY_STORE).objectStore(SUMMARY_STORE).index('key');
+    const sameKey = await promisifyRequest(index.getAll(snapshot.key));
+    return sameKey
+        .filter(candidate => candidate.id !== snapshot.id && candidate.fetchTimestamp < snapshot.fetchTimestamp)
+        .sort((a, b) => b.fetchTimestamp - a.fetchTimestamp)[0] || null;
+}
+
+/**
+ * Finds the most recent snapshot of the same report that covers an earlier period, ending before
+ * the given snapshot starts (a re-fetch of the same or an overlapping range is not a baseline)
+ * @param {Object} snapshot - Snapshot summary (needs key, startDate and fetchTimestamp)
+ * @returns {Promise<Object|null>} - Summary of the earlier snapshot, or null
+ */
+export async function findBaselineSnapshot(snapshot) {
+    const db = await openDatabase();
+    const index = db.transaction(SUMMARY_STORE).objectStore(SUMMARY_STORE).index('key');
+    const sameKey = await promisifyRequest(index.getAll(snapshot.key));
+    return sameKey
+        .filter(candidate => candidate.id !== snapshot.id && candidate.fetchTimestamp < snapshot.fetchTimestamp && candidate.endDate < snapshot.startDate)
+        .sort((a, b) => b.fetchTimestamp - a.fetchTimestamp)[0] || null;
+}
+
+/**
+ * Deletes a snapshot and its rows
+ * @param {number} id - Snapshot id
+ * @returns {Promise<void>}
+ */
+export async function deleteSnapshot(id) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([SUMMARY_STORE, DATA_STORE], 'readwrite');
+        transaction.objectStore(SUMMARY_STORE).delete(id);
+        transaction.objectStore(DATA_STORE).delete(id);
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Deletes all stored snapshots (used on sign-out)
+ * @returns {Promise<void>}
+ */
+export async function clearSnapshots() {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([SUMMARY_STORE, DATA_STORE], 'readwrite');
+        transaction.objectStore(SUMMARY_STORE).clear();
+        transaction.objectStore(DATA_STORE).clear();
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
@@ -2,6 +2,8 @@
  * Utility functions for sorting data in the GSC extension
  */
 
+import { TEXT_DIMENSIONS } from './dimensionUtils.js';
+
 /**
  * Multi-column sort function that sorts data based on multiple keys
  * @param {Array} data - The array of data objects to sort
@@ -16,7 +18,8 @@ export function sortDataAdvanced(data, sortKeys) {
             let valA = a[key], valB = b[key];
             const mult = direction === 'asc' ? 1 : -1;
 
-            if (key === 'query') {
+            if (TEXT_DIMENSIONS.includes(key)) {
+                // Text columns: query and extra dimensions (page, country, device...)
                 valA = String(valA || '').toLowerCase();
                 valB = String(valB || '').toLowerCase();
                 const comparison = valA.localeCompare(valB);
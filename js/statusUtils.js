@@ -39,3 +39,24 @@ export function updateStatus(message, isError = false, type = 'normal') {
        regexInput.title = '';
     }
 }
+
+/**
+ * Shows the depth of the shared API request queue next to the status message
+ * @param {Object} state - Queue state from requestQueue.js: { active, queued, retrying }
+ */
+export function updateQueueStatus({ active, queued, retrying }) {
+    const queueElement = document.getElementById('queueStatus');
+    if (!queueElement) return;
+
+    if (active + queued + retrying === 0) {
+        queueElement.style.display = 'none';
+        return;
+    }
+
+    const parts = [`${active} running`];
+    if (queued > 0) parts.push(`${queued} queued`);
+    if (retrying > 0) parts.push(`${retrying} retrying`);
+    queueElement.textContent = `API: ${parts.join(', ')}`;
+    queueElement.style.color = retrying > 0 ? '#f29900' : '#666';
+    queueElement.style.display = 'inline';
+}
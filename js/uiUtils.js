@@ -3,6 +3,22 @@
  */
 
 import { updateStatus } from './statusUtils.js';
+import { DIMENSION_LABELS, getRowKey, formatDimensionValue } from './dimensionUtils.js';
+import { getCountryName } from './countryUtils.js';
+
+/**
+ * Escapes a value for use in HTML text or a quoted attribute (queries and URLs come from user searches)
+ * @param {*} value - Raw value
+ * @returns {string} - Escaped text
+ */
+export function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
 
 /**
  * Refreshes the data display in the UI with the filtered and sorted data
@@ -15,6 +31,9 @@ import { updateStatus } from './statusUtils.js';
  * @param {Function} options.updateTableHeaders - Function to update table headers
  * @param {Function} options.handleSortClick - Function to handle column header clicks for sorting
  * @param {Function} options.createPaginationControls - Function to create pagination controls
+ * @param {Array<string>} [options.extraDimensions] - Dimensions besides 'query' shown as extra columns (e.g. ['page'])
+ * @param {boolean} [options.pageTable] - Rows are pages (page URL in 'query'), each with a toggle to expand its top queries
+ * @param {boolean} [options.pageOnly] - Rows are pages of a search type without query or position data (Discover, Google News)
  * @returns {void}
  */
 export function refreshDataDisplay({
@@ -24,7 +43,10 @@ export function refreshDataDisplay({
     rowsPerPage,
     updateTableHeaders,
     handleSortClick,
-    createPaginationControls
+    createPaginationControls,
+    extraDimensions = [],
+    pageTable = false,
+    pageOnly = false
 }) {
     // Keep all filtered data in filteredAndSortedData for export/copy operations
     // But only display the current page's worth of data
@@ -70,14 +92,14 @@ export function refreshDataDisplay({
     const prevDataMap = new Map();
     if (previousQueryData && previousQueryData.length > 0) {
         previousQueryData.forEach(item => {
-            prevDataMap.set((item.query || '').toLowerCase(), item);
+            prevDataMap.set(getRowKey(item, extraDimensions), item);
         });
     }
 
     if (filteredAndSortedData.length === 0) {
         const noDataMsg = document.createElement('div');
         noDataMsg.className = 'no-data';
-        noDataMsg.textContent = 'No keywords match the current filter/search.';
+        noDataMsg.textContent = `No ${pageTable || pageOnly ? 'pages' : 'keywords'} match the current filter/search.`;
         tableContainer?.appendChild(noDataMsg);
         if (updateTableHeaders) updateTableHeaders(); // Reset headers
         return;
@@ -88,12 +110,21 @@ export function refreshDataDisplay({
     const thead = document.createElement('thead');
     
     // Create table headers with data-sort-key for sorting functionality
+    const dimensionHeaders = extraDimensions.map(dimension =>
+        `<th data-sort-key="${dimension}" class="resizable-th dimension-cell">${DIMENSION_LABELS[dimension] || dimension} <span class="sort-arrow"></span></th>`
+    ).join('');
+    // Page-only search types report no position; the CTR benchmarks are computed for queries only
+    const positionHeader = `
+        <th data-sort-key="position" class="resizable-th">Position <span class="sort-arrow"></span></th>`;
+    const positionHeaders = pageOnly ? '' : pageTable ? positionHeader : `${positionHeader}
+        <th data-sort-key="ctrDelta" class="resizable-th" title="Actual CTR minus the expected CTR for the row's position (this property's average CTR at that position)">CTR vs Exp. <span class="sort-arrow"></span></th>
+        <th data-sort-key="opportunityScore" class="resizable-th" title="Estimated extra clicks if the query moved up to position 1-3 (based on this property's CTR curve)">Opportunity <span class="sort-arrow"></span></th>`;
     thead.innerHTML = `<tr>
-        <th data-sort-key="query" class="resizable-th">Query <span class="sort-arrow"></span></th>
+        <th data-sort-key="query" class="resizable-th">${pageTable || pageOnly ? 'Page' : 'Query'} <span class="sort-arrow"></span></th>
+        ${dimensionHeaders}
         <th data-sort-key="clicks" class="resizable-th">Clicks <span class="sort-arrow"></span></th>
         <th data-sort-key="impressions" class="resizable-th">Impressions <span class="sort-arrow"></span></th>
-        <th data-sort-key="ctr" class="resizable-th">CTR <span class="sort-arrow"></span></th>
-        <th data-sort-key="position" class="resizable-th">Position <span class="sort-arrow"></span></th>
+        <th data-sort-key="ctr" class="resizable-th">CTR <span class="sort-arrow"></span></th>${positionHeaders}
     </tr>`;
     
     table.appendChild(thead);
@@ -108,7 +139,7 @@ export function refreshDataDisplay({
 
     // --- Populate Table Rows ---
     const rowsHTML = dataToDisplay.map(item => {
-        const prevItem = prevDataMap.get((item.query || '').toLowerCase());
+        const prevItem = prevDataMap.get(getRowKey(item, extraDimensions));
         const googleSearchUrl = `https://www.google.com/search?q=${encodeURIComponent(item.query || '')}`;
         const formatDelta = (curr, prev, higherBetter) => {
             if (prev === undefined || prev === null || curr === undefined || curr === null) return '';
@@ -194,30 +225,70 @@ export function refreshDataDisplay({
         const dImp = item.impressions !== null && item.impressions !== undefined ? item.impressions.toLocaleString() : '-';
         const dCtr = item.ctr !== null && item.ctr !== undefined ? (parseFloat(item.ctr) * 100).toFixed(2) + '%' : '-';
         const dPos = item.position !== null && item.position !== undefined ? parseFloat(item.position).toFixed(2) : '-';
+        let dCtrDelta = '-';
+        if (item.ctrDelta !== null && item.ctrDelta !== undefined) {
+            const points = item.ctrDelta * 100; // Percentage points
+            const css = points > 0 ? 'delta-pos' : points < 0 ? 'delta-neg' : 'delta-zero';
+            dCtrDelta = `<span class="delta ${css}" title="Expected CTR: ${(item.expectedCtr * 100).toFixed(2)}%">${points > 0 ? '+' : ''}${points.toFixed(2)} pp</span>`;
+        }
+        const dOpp = item.opportunityScore !== null && item.opportunityScore !== undefined ? `+${item.opportunityScore.toLocaleString()}` : '-';
+
+        // Extra dimension cells (pages are rendered as links)
+        const dimensionCells = extraDimensions.map(dimension => {
+            const value = item[dimension];
+            if (dimension === 'page' && value) {
+                return `<td class="dimension-cell"><a href="${escapeHtml(value)}" target="_blank" title="${escapeHtml(value)}">${escapeHtml(value)}</a></td>`;
+            }
+            return `<td class="dimension-cell">${escapeHtml(formatDimensionValue(dimension, value))}</td>`;
+        }).join('');
+
+        // Queries can contain quotes and markup
+        const query = escapeHtml(item.query);
+        const badge = item.isLostKeyword ? '<span class="lost-badge">LOST</span>' : prevItem ? '' : previousQueryData && previousQueryData.length > 0 ? '<span class="new-badge">NEW</span>' : '';
+        const clicksCell = `<td style="text-align: right;">${dClk} ${prevItem ? `<br>${clkAbsDelta || ''} ${clkPercDelta || ''}` : ''}</td>`;
+        const impressionsCell = `<td style="text-align: right;">${dImp} ${prevItem ? `<br>${impAbsDelta || ''} ${impPercDelta || ''}` : ''}</td>`;
+        const ctrCell = `<td style="text-align: right;">${dCtr} ${prevItem ? `<br>${ctrAbsDelta || ''} ${ctrPercDelta || ''}` : ''}</td>`;
+
+        // Page rows link to the page and have no keyword actions (page-only search types have no queries to expand)
+        if (pageTable || pageOnly) {
+            return `<tr class="page-row" data-page="${query}">
+                    <td>
+                        <div class="keyword-cell">
+                            ${pageOnly ? '' : `<button class="page-expand-btn" data-page="${query}" title="Show top queries">▸</button>`}
+                            <a href="${query}" target="_blank" title="${query}">${query}</a>
+                            ${badge}
+                        </div>
+                    </td>
+                    ${clicksCell}
+                    ${impressionsCell}
+                    ${ctrCell}
+                    ${pageOnly ? '' : `<td style="text-align: right;">${dPos} ${prevItem ? `<br>${posAbsDelta || ''} ${posPercDelta || ''}` : ''}</td>`}
+                </tr>`;
+        }
 
         // Construct Row HTML with both absolute and percentage deltas (Ensure percentage is included)
-        return `<tr>
+        return `<tr class="query-row" data-keyword="${query}">
                     <td>
                         <div class="keyword-cell">
-                            <a href="${googleSearchUrl}" target="_blank" title="Search on Google">${item.query || ''}</a>
-                            ${item.isLostKeyword ? '<span class="lost-badge">LOST</span>' : prevItem ? '' : previousQueryData && previousQueryData.length > 0 ? '<span class="new-badge">NEW</span>' : ''}
+                            <a href="${googleSearchUrl}" target="_blank" title="Search on Google">${query}</a>
+                            ${badge}
                             <div class="action-icons">
-                                <span class="action-icon copy-icon" title="Copy Keyword" data-keyword="${item.query || ''}">
+                                <span class="action-icon copy-icon" title="Copy Keyword" data-keyword="${query}">
                                     <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="#4285F4">
                                         <path d="M16 1H4c-1.1 0-2 .9-2 2v14h2V3h12V1zm3 4H8c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h11c1.1 0 2-.9 2-2V7c0-1.1-.9-2-2-2zm0 16H8V7h11v14z"/>
                                     </svg>
                                 </span>
-                                <span class="action-icon search-icon" title="Search on Google" data-keyword="${item.query || ''}">
+                                <span class="action-icon search-icon" title="Search on Google" data-keyword="${query}">
                                     <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="#DB4437">
                                         <path d="M15.5 14h-.79l-.28-.27C15.41 12.59 16 11.11 16 9.5 16 5.91 13.09 3 9.5 3S3 5.91 3 9.5 5.91 16 9.5 16c1.61 0 3.09-.59 4.23-1.57l.27.28v.79l5 4.99L20.49 19l-4.99-5zm-6 0C7.01 14 5 11.99 5 9.5S7.01 5 9.5 5 14 7.01 14 9.5 11.99 14 9.5 14z"/>
                                     </svg>
                                 </span>
-                                <span class="action-icon gsc-icon" title="Analyze in Search Console" data-keyword="${item.query || ''}">
+                                <span class="action-icon gsc-icon" title="Analyze in Search Console" data-keyword="${query}">
                                     <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="#34A853">
                                         <path d="M19 3H5c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2zm0 16H5V5h14v14zm-7-2h2V7h-4v2h2v8z"/>
                                     </svg>
                                 </span>
-                                <span class="action-icon trends-icon" title="View in Google Trends" data-keyword="${item.query || ''}">
+                                <span class="action-icon trends-icon" title="View in Google Trends" data-keyword="${query}">
                                     <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="#FBBC05">
                                         <path d="M3.5 18.49l6-6.01 4 4L22 6.92l-1.41-1.41-7.09 7.97-4-4L2 16.99z"/>
                                     </svg>
@@ -225,10 +296,13 @@ export function refreshDataDisplay({
                             </div>
                         </div>
                     </td>
-                    <td style="text-align: right;">${dClk} ${prevItem ? `<br>${clkAbsDelta || ''} ${clkPercDelta || ''}` : ''}</td>
-                    <td style="text-align: right;">${dImp} ${prevItem ? `<br>${impAbsDelta || ''} ${impPercDelta || ''}` : ''}</td>
-                    <td style="text-align: right;">${dCtr} ${prevItem ? `<br>${ctrAbsDelta || ''} ${ctrPercDelta || ''}` : ''}</td>
+                    ${dimensionCells}
+                    ${clicksCell}
+                    ${impressionsCell}
+                    ${ctrCell}
                     <td style="text-align: right;">${dPos} ${prevItem ? `<br>${posAbsDelta || ''} ${posPercDelta || ''}` : ''}</td>
+                    <td style="text-align: right;">${dCtrDelta}</td>
+                    <td style="text-align: right;">${dOpp}</td>
                 </tr>`;
     }).join('');
     tbody.innerHTML = rowsHTML;
@@ -241,6 +315,459 @@ export function refreshDataDisplay({
     }
 }
 
+/**
+ * Renders the "By Country" breakdown table
+ * 
+ * @param {Object} options - Options for rendering the breakdown
+ * @param {HTMLElement} options.container - Element that receives the table
+ * @param {Array} options.countryRows - Rows of { country, clicks, impressions, ctr, position }
+ * @param {Array} [options.previousCountryRows] - Comparison period rows, used for click deltas
+ * @returns {void}
+ */
+export function renderCountryBreakdown({ container, countryRows, previousCountryRows = [] }) {
+    if (!container) return;
+
+    if (!countryRows || countryRows.length === 0) {
+        container.innerHTML = '<div class="no-data">No country data available for this fetch.</div>';
+        return;
+    }
+
+    const totalClicks = countryRows.reduce((sum, row) => sum + (row.clicks || 0), 0);
+    const prevMap = new Map((previousCountryRows || []).map(row => [row.country, row]));
+    const sortedRows = [...countryRows].sort((a, b) => (b.clicks - a.clicks) || (b.impressions - a.impressions));
+
+    const rowsHTML = sortedRows.map(row => {
+        const share = totalClicks > 0 ? ((row.clicks / totalClicks) * 100).toFixed(1) + '%' : '-';
+        const prev = prevMap.get(row.country);
+        let clicksDelta = '';
+        if (prev) {
+            const delta = row.clicks - prev.clicks;
+            const css = delta > 0 ? 'delta-pos' : delta < 0 ? 'delta-neg' : 'delta-zero';
+            clicksDelta = ` <span class="delta ${css}">(${delta > 0 ? '+' : delta === 0 ? '±' : ''}${delta.toLocaleString()})</span>`;
+        }
+        return `<tr>
+                    <td title="${(row.country || '').toUpperCase()}">${getCountryName(row.country)}</td>
+                    <td style="text-align: right;">${(row.clicks || 0).toLocaleString()}${clicksDelta}</td>
+                    <td style="text-align: right;">${share}</td>
+                    <td style="text-align: right;">${(row.impressions || 0).toLocaleString()}</td>
+                    <td style="text-align: right;">${(parseFloat(row.ctr || 0) * 100).toFixed(2)}%</td>
+                    <td style="text-align: right;">${parseFloat(row.position || 0).toFixed(2)}</td>
+                </tr>`;
+    }).join('');
+
+    container.innerHTML = `<table class="breakdown-table">
+        <thead><tr>
+            <th>Country</th><th>Clicks</th><th>Click Share</th><th>Impressions</th><th>CTR</th><th>Position</th>
+        </tr></thead>
+        <tbody>${rowsHTML}</tbody>
+    </table>`;
+}
+
+/**
+ * Renders the search appearance breakdown, with a button per type that opens its queries
+ * 
+ * @param {Object} options - Options for rendering the breakdown
+ * @param {HTMLElement} options.container - Element that receives the table
+ * @param {Array} options.appearanceRows - Rows of { searchAppearance, clicks, impressions, ctr, position }
+ * @param {Array} [options.previousAppearanceRows] - Comparison period rows, used for click deltas
+ * @returns {void}
+ */
+export function renderSearchAppearanceBreakdown({ container, appearanceRows, previousAppearanceRows = [] }) {
+    if (!container) return;
+
+    if (!appearanceRows || appearanceRows.length === 0) {
+        container.innerHTML = '<div class="no-data">No search appearance data for this fetch (plain results only, or not available for this search type).</div>';
+        return;
+    }
+
+    const prevMap = new Map((previousAppearanceRows || []).map(row => [row.searchAppearance, row]));
+    const sortedRows = [...appearanceRows].sort((a, b) => (b.clicks - a.clicks) || (b.impressions - a.impressions));
+
+    const rowsHTML = sortedRows.map(row => {
+        const prev = prevMap.get(row.searchAppearance);
+        let clicksDelta = '';
+        if (prev) {
+            const delta = row.clicks - prev.clicks;
+            const css = delta > 0 ? 'delta-pos' : delta < 0 ? 'delta-neg' : 'delta-zero';
+            clicksDelta = ` <span class="delta ${css}">(${delta > 0 ? '+' : delta === 0 ? '±' : ''}${delta.toLocaleString()})</span>`;
+        }
+        return `<tr>
+                    <td title="${row.searchAppearance}">
+                        <button class="appearance-queries-btn" data-appearance="${row.searchAppearance}" title="Show the queries with this search appearance">${formatDimensionValue('searchAppearance', row.searchAppearance)}</button>
+                    </td>
+                    <td style="text-align: right;">${(row.clicks || 0).toLocaleString()}${clicksDelta}</td>
+                    <td style="text-align: right;">${(row.impressions || 0).toLocaleString()}</td>
+                    <td style="text-align: right;">${(parseFloat(row.ctr || 0) * 100).toFixed(2)}%</td>
+                    <td style="text-align: right;">${parseFloat(row.position || 0).toFixed(2)}</td>
+                </tr>`;
+    }).join('');
+
+    container.innerHTML = `<table class="breakdown-table">
+        <thead><tr>
+            <th>Search Appearance</th><th>Clicks</th><th>Impressions</th><th>CTR</th><th>Position</th>
+        </tr></thead>
+        <tbody>${rowsHTML}</tbody>
+    </table>`;
+}
+
+/**
+ * Renders a drill-down list of queries (one search appearance type, one page of the page table), most clicked first
+ * 
+ * @param {Object} options - Options for rendering the list
+ * @param {HTMLElement} options.container - Element that receives the table
+ * @param {Array} options.rows - Rows of { query, clicks, impressions, ctr, position }
+ * @param {string} [options.emptyMessage] - Message shown when there are no rows
+ * @returns {void}
+ */
+export function renderQueryRows({ container, rows, emptyMessage = 'No queries found.' }) {
+    if (!container) return;
+
+    if (!rows || rows.length === 0) {
+        container.innerHTML = `<div class="no-data">${emptyMessage}</div>`;
+        return;
+    }
+
+    const sortedRows = [...rows].sort((a, b) => (b.clicks - a.clicks) || (b.impressions - a.impressions));
+    const rowsHTML = sortedRows.map(row => `<tr>
+                    <td title="${escapeHtml(row.query)}">${escapeHtml(row.query)}</td>
+                    <td style="text-align: right;">${(row.clicks || 0).toLocaleString()}</td>
+                    <td style="text-align: right;">${(row.impressions || 0).toLocaleString()}</td>
+                    <td style="text-align: right;">${(parseFloat(row.ctr || 0) * 100).toFixed(2)}%</td>
+                    <td style="text-align: right;">${parseFloat(row.position || 0).toFixed(2)}</td>
+                </tr>`).join('');
+
+    container.innerHTML = `<table class="breakdown-table">
+        <thead><tr>
+            <th>Query</th><th>Clicks</th><th>Impressions</th><th>CTR</th><th>Position</th>
+        </tr></thead>
+        <tbody>${rowsHTML}</tbody>
+    </table>`;
+}
+
+/**
+ * Renders the keyword cannibalization report: one header row per query followed by its competing pages
+ * 
+ * @param {Object} options - Options for rendering the report
+ * @param {HTMLElement} options.container - Element that receives the table
+ * @param {Array} options.groups - Groups from findCannibalizedQueries
+ * @param {string} [options.emptyMessage] - Message shown when no query has competing pages
+ * @param {number} [options.maxGroups=200] - Maximum number of queries rendered (exports include all)
+ * @returns {void}
+ */
+export function renderCannibalizationReport({ container, groups, emptyMessage = 'No queries with competing pages found.', maxGroups = 200 }) {
+    if (!container) return;
+
+    if (!groups || groups.length === 0) {
+        container.innerHTML = `<div class="no-data">${emptyMessage}</div>`;
+        return;
+    }
+
+    const rowsHTML = groups.slice(0, maxGroups).map(group => {
+        const pageRows = group.pages.map(page => `<tr class="cannibalization-page-row">
+                    <td class="dimension-cell"><a href="${escapeHtml(page.page)}" target="_blank" title="${escapeHtml(page.page)}">${escapeHtml(page.page)}</a></td>
+                    <td style="text-align: right;">${page.clicks.toLocaleString()}</td>
+                    <td style="text-align: right;">${(page.clickShare * 100).toFixed(1)}%</td>
+                    <td style="text-align: right;">${page.impressions.toLocaleString()}</td>
+                    <td style="text-align: right;">${(page.impressionShare * 100).toFixed(1)}%</td>
+                    <td style="text-align: right;">${page.position.toFixed(1)}</td>
+                </tr>`).join('');
+
+        return `<tr class="cannibalization-query-row">
+                    <td title="${escapeHtml(group.query)}">${escapeHtml(group.query)} <span class="cannibalization-count">${group.pageCount} pages</span></td>
+                    <td style="text-align: right;">${group.clicks.toLocaleString()}</td>
+                    <td></td>
+                    <td style="text-align: right;">${group.impressions.toLocaleString()}</td>
+                    <td></td>
+                    <td></td>
+                </tr>${pageRows}`;
+    }).join('');
+
+    const note = groups.length > maxGroups
+        ? `<div class="chart-info">Showing the top ${maxGroups} of ${groups.length} queries by impressions. Export to see all.</div>`
+        : '';
+
+    container.innerHTML = `${note}<table class="breakdown-table cannibalization-table">
+        <thead><tr>
+            <th>Query / Page</th><th>Clicks</th><th>Click Share</th><th>Impressions</th><th>Impr. Share</th><th>Position</th>
+        </tr></thead>
+        <tbody>${rowsHTML}</tbody>
+    </table>`;
+}
+
+/**
+ * Columns of the portfolio table: row property, header label and whether higher values are better
+ */
+const PORTFOLIO_COLUMNS = [
+    { key: 'clicks', changeKey: 'clicksChange', label: 'Clicks', higherBetter: true },
+    { key: 'impressions', changeKey: 'impressionsChange', label: 'Impressions', higherBetter: true },
+    { key: 'ctr', changeKey: 'ctrChange', label: 'CTR', higherBetter: true },
+    { key: 'position', changeKey: 'positionChange', label: 'Position', higherBetter: true }
+];
+
+/**
+ * Renders the portfolio table (one row per property with totals and deltas)
+ *
+ * @param {Object} options - Options for rendering the table
+ * @param {HTMLElement} options.container - Element to render into
+ * @param {Array} options.rows - Portfolio rows from fetchPortfolioTotals, already sorted
+ * @param {string} options.sortColumn - Column the rows are sorted by
+ * @param {string} options.sortDirection - 'asc' or 'desc'
+ * @param {boolean} options.hasComparison - Whether delta columns are shown
+ */
+export function renderPortfolioTable({ container, rows, sortColumn, sortDirection, hasComparison }) {
+    if (!container) return;
+
+    if (!rows || rows.length === 0) {
+        container.innerHTML = '<div class="no-data">No portfolio data loaded.</div>';
+        return;
+    }
+
+    const arrow = (key) => key === sortColumn ? (sortDirection === 'asc' ? ' ▲' : ' ▼') : '';
+    const formatDelta = (value, suffix, higherBetter) => {
+        if (value === null || value === undefined) return '<span class="delta">(N/A)</span>';
+        const css = Math.abs(value) < 0.01 ? 'delta-zero' : ((value > 0) === higherBetter ? 'delta-pos' : 'delta-neg');
+        return `<span class="delta ${css}">(${value > 0 ? '+' : ''}${value.toFixed(1)}${suffix})</span>`;
+    };
+    const formatValue = (key, value) => {
+        if (value === null || value === undefined) return '-';
+        if (key === 'ctr') return `${value.toFixed(2)}%`;
+        if (key === 'position') return value.toFixed(1);
+        return value.toLocaleString();
+    };
+
+    const headerHTML = [`<th data-sort="siteUrl">Property${arrow('siteUrl')}</th>`]
+        .concat(PORTFOLIO_COLUMNS.map(column => {
+            const main = `<th data-sort="${column.key}">${column.label}${arrow(column.key)}</th>`;
+            // Position delta is "places gained", CTR delta is in percentage points, others in percent
+            return hasComparison ? `${main}<th data-sort="${column.changeKey}">Δ${arrow(column.changeKey)}</th>` : main;
+        }))
+        .join('');
+
+    const rowsHTML = rows.map(row => {
+        const siteUrl = escapeHtml(row.siteUrl);
+        const label = escapeHtml(row.siteUrl.replace(/^sc-domain:/, ''));
+        if (row.error) {
+            const error = escapeHtml(row.error);
+            return `<tr class="portfolio-row" data-site="${siteUrl}">
+                    <td title="${siteUrl}">${label}</td>
+                    <td colspan="${hasComparison ? 8 : 4}" class="portfolio-error" title="${error}">Error: ${error}</td>
+                </tr>`;
+        }
+        const cells = PORTFOLIO_COLUMNS.map(column => {
+            const main = `<td style="text-align: right;">${formatValue(column.key, row[column.key])}</td>`;
+            if (!hasComparison) return main;
+            const suffix = column.key === 'ctr' ? 'pp' : (column.key === 'position' ? '' : '%');
+            return `${main}<td style="text-align: right;">${formatDelta(row[column.changeKey], suffix, column.higherBetter)}</td>`;
+        }).join('');
+        return `<tr class="portfolio-row" data-site="${siteUrl}" title="Open ${label}">
+                    <td title="${siteUrl}">${label}</td>${cells}
+                </tr>`;
+    }).join('');
+
+    container.innerHTML = `<table class="breakdown-table portfolio-table">
+        <thead><tr>${headerHTML}</tr></thead>
+        <tbody>${rowsHTML}</tbody>
+    </table>`;
+}
+
+/**
+ * Renders the combined batch URL table: a totals row per URL followed by its top queries
+ *
+ * @param {Object} options - Options for rendering the table
+ * @param {HTMLElement} options.container - Element to render into
+ * @param {Array} options.results - Results from analyzeUrlBatch
+ * @param {number} [options.maxQueries=10] - Queries shown per URL (exports contain all)
+ */
+export function renderBatchUrlResults({ container, results, maxQueries = 10 }) {
+    if (!container) return;
+
+    if (!results || results.length === 0) {
+        container.innerHTML = '<div class="no-data">No URLs analyzed yet.</div>';
+        return;
+    }
+
+    const rowsHTML = results.map(result => {
+        const url = escapeHtml(result.url);
+        if (result.error) {
+            const error = escapeHtml(result.error);
+            return `<tr class="batch-url-row">
+                    <td class="dimension-cell" title="${url}">${url}</td>
+                    <td colspan="4" class="portfolio-error" title="${error}">Error: ${error}</td>
+                </tr>`;
+        }
+
+        const queryRows = result.queries.slice(0, maxQueries).map(query => `<tr class="batch-query-row">
+                    <td title="${escapeHtml(query.query)}">${escapeHtml(query.query)}</td>
+                    <td style="text-align: right;">${(query.clicks || 0).toLocaleString()}</td>
+                    <td style="text-align: right;">${(query.impressions || 0).toLocaleString()}</td>
+                    <td style="text-align: right;">${(parseFloat(query.ctr || 0) * 100).toFixed(2)}%</td>
+                    <td style="text-align: right;">${parseFloat(query.position || 0).toFixed(1)}</td>
+                </tr>`).join('');
+
+        return `<tr class="batch-url-row">
+                    <td class="dimension-cell"><a href="${url}" target="_blank" title="${url} (${escapeHtml(result.siteUrl)})">${url}</a> <span class="cannibalization-count">${result.queries.length} queries</span></td>
+                    <td style="text-align: right;">${result.clicks.toLocaleString()}</td>
+                    <td style="text-align: right;">${result.impressions.toLocaleString()}</td>
+                    <td style="text-align: right;">${result.ctr.toFixed(2)}%</td>
+                    <td style="text-align: right;">${result.position.toFixed(1)}</td>
+                </tr>${queryRows}`;
+    }).join('');
+
+    container.innerHTML = `<table class="breakdown-table batch-url-table">
+        <thead><tr>
+            <th>URL / Query</th><th>Clicks</th><th>Impressions</th><th>CTR</th><th>Position</th>
+        </tr></thead>
+        <tbody>${rowsHTML}</tbody>
+    </table>`;
+}
+
+/**
+ * Renders the sitemaps of a property with counts, issues and download times
+ *
+ * @param {Object} options - Options for rendering the table
+ * @param {HTMLElement} options.container - Element to render into
+ * @param {Array} options.sitemaps - Sitemaps from summarizeSitemap
+ * @param {boolean} options.canDelete - Whether a delete button is shown per sitemap (write access granted)
+ */
+export function renderSitemapTable({ container, sitemaps, canDelete }) {
+    if (!container) return;
+
+    if (!sitemaps || sitemaps.length === 0) {
+        container.innerHTML = '<div class="no-data">No sitemaps submitted for this property.</div>';
+        return;
+    }
+
+    const formatCount = (value) => value === null || value === undefined ? '-' : value.toLocaleString();
+    const formatDate = (value) => value ? new Date(value).toLocaleString() : '-';
+
+    const rowsHTML = sitemaps.map(sitemap => {
+        const contentTitle = escapeHtml(sitemap.contents
+            .map(content => `${content.type}: ${formatCount(content.submitted)} submitted, ${formatCount(content.indexed)} indexed`)
+            .join('\n'));
+        const path = escapeHtml(sitemap.path);
+        // Only web addresses become links (the path comes from the API and from the submit form)
+        const pathHTML = /^https?:\/\//i.test(sitemap.path || '')
+            ? `<a href="${path}" target="_blank" title="${path}">${path}</a>`
+            : `<span title="${path}">${path}</span>`;
+        const status = [
+            sitemap.isSitemapsIndex ? 'Index' : null,
+            sitemap.isPending ? 'Pending' : null
+        ].filter(Boolean).join(', ');
+        return `<tr class="sitemap-row" data-path="${path}">
+                    <td class="dimension-cell">${pathHTML}${status ? ` <span class="cannibalization-count">${status}</span>` : ''}</td>
+                    <td style="text-align: right;" title="${contentTitle}">${formatCount(sitemap.submitted)}</td>
+                    <td style="text-align: right;" title="${contentTitle}">${formatCount(sitemap.indexed)}</td>
+                    <td style="text-align: right;" class="${sitemap.errors > 0 ? 'portfolio-error' : ''}">${sitemap.errors.toLocaleString()}</td>
+                    <td style="text-align: right;" class="${sitemap.warnings > 0 ? 'sitemap-warning' : ''}">${sitemap.warnings.toLocaleString()}</td>
+                    <td title="Submitted ${formatDate(sitemap.lastSubmitted)}">${formatDate(sitemap.lastDownloaded)}</td>
+                    ${canDelete ? '<td><button data-action="delete-sitemap" class="snapshot-delete">Delete</button></td>' : ''}
+                </tr>`;
+    }).join('');
+
+    container.innerHTML = `<table class="breakdown-table sitemap-table">
+        <thead><tr>
+            <th>Sitemap</th><th>Submitted</th><th>Indexed</th><th>Errors</th><th>Warnings</th><th>Last Downloaded</th>${canDelete ? '<th></th>' : ''}
+        </tr></thead>
+        <tbody>${rowsHTML}</tbody>
+    </table>`;
+}
+
+/**
+ * Renders the URL Inspection result of one URL as a label/value list
+ *
+ * @param {Object} options - Options for rendering the result
+ * @param {HTMLElement} options.container - Element to render into
+ * @param {string} options.url - Inspected URL
+ * @param {string} options.siteUrl - Property the URL was inspected against
+ * @param {Object} options.summary - Result from summarizeInspection
+ */
+export function renderUrlInspection({ container, url, siteUrl, summary }) {
+    if (!container) return;
+
+    const verdictBadge = (verdict) => {
+        if (!verdict) return '-';
+        const css = verdict === 'PASS' ? 'verdict-pass' : (verdict === 'FAIL' ? 'verdict-fail' : 'verdict-neutral');
+        return `<span class="inspection-verdict ${css}">${escapeHtml(verdict)}</span>`;
+    };
+    const list = (values) => values.length > 0 ? values.map(value => `<div>${escapeHtml(value)}</div>`).join('') : '-';
+
+    const canonicalNote = summary.canonicalMismatch
+        ? ' <span class="inspection-verdict verdict-fail" title="Google selected a different canonical than the page declares">differs</span>'
+        : '';
+    const richResults = summary.richResults.length > 0
+        ? summary.richResults.map(result => `<div>${escapeHtml(result.type)} (${result.items})${result.issues.length > 0 ? `<div class="snapshot-meta">${result.issues.map(escapeHtml).join('<br>')}</div>` : ''}</div>`).join('')
+        : '-';
+
+    const rows = [
+        ['Index status', `${verdictBadge(summary.verdict)} ${escapeHtml(summary.coverageState)}`],
+        ['Indexing allowed', escapeHtml(summary.indexingState || '-')],
+        ['robots.txt', escapeHtml(summary.robotsTxtState || '-')],
+        ['Page fetch', escapeHtml(summary.pageFetchState || '-')],
+        ['Last crawl', summary.lastCrawlTime ? `${new Date(summary.lastCrawlTime).toLocaleString()}${summary.crawledAs ? ` (${escapeHtml(summary.crawledAs)})` : ''}` : '-'],
+        ['Google-selected canonical', `${escapeHtml(summary.googleCanonical || '-')}${canonicalNote}`],
+        ['User-declared canonical', escapeHtml(summary.userCanonical || '-')],
+        ['Sitemaps', list(summary.sitemaps)],
+        ['Referring URLs', list(summary.referringUrls.slice(0, 5))],
+        ['Mobile usability', `${verdictBadge(summary.mobileUsabilityVerdict)}${summary.mobileUsabilityIssues.length > 0 ? list(summary.mobileUsabilityIssues) : ''}`],
+        ['Rich results', `${verdictBadge(summary.richResultsVerdict)}${richResults === '-' ? '' : richResults}`]
+    ];
+
+    const link = summary.inspectionResultLink
+        ? ` <a href="${escapeHtml(summary.inspectionResultLink)}" target="_blank">Open in Search Console</a>`
+        : '';
+
+    container.innerHTML = `<div class="snapshot-meta" title="${escapeHtml(siteUrl)}">${escapeHtml(url)}${link}</div>
+        <table class="breakdown-table inspection-table">
+        <tbody>${rows.map(([label, value]) => `<tr><th>${label}</th><td>${value}</td></tr>`).join('')}</tbody>
+    </table>`;
+}
+
+/**
+ * Renders the bulk URL inspection table; non-indexed pages with impressions are highlighted
+ *
+ * @param {Object} options - Options for rendering the table
+ * @param {HTMLElement} options.container - Element to render into
+ * @param {Array} options.results - Results from inspectUrlBatch
+ */
+export function renderInspectionTable({ container, results }) {
+    if (!container) return;
+
+    if (!results || results.length === 0) {
+        container.innerHTML = '<div class="no-data">No URLs inspected yet.</div>';
+        return;
+    }
+
+    const rowsHTML = results.map(result => {
+        const url = escapeHtml(result.url);
+        if (result.error) {
+            const error = escapeHtml(result.error);
+            return `<tr>
+                    <td class="dimension-cell" title="${url}">${url}</td>
+                    <td style="text-align: right;">${result.impressions?.toLocaleString() ?? '-'}</td>
+                    <td colspan="3" class="portfolio-error" title="${error}">Error: ${error}</td>
+                </tr>`;
+        }
+        const css = result.verdict === 'PASS' ? 'verdict-pass' : (result.verdict === 'FAIL' ? 'verdict-fail' : 'verdict-neutral');
+        const canonical = result.canonicalMismatch
+            ? `<span class="inspection-verdict verdict-fail" title="Declared: ${escapeHtml(result.userCanonical)}">Google: ${escapeHtml(result.googleCanonical)}</span>`
+            : (result.googleCanonical === result.url ? 'Self' : escapeHtml(result.googleCanonical || '-'));
+        return `<tr class="${result.notIndexedWithImpressions ? 'inspection-alert' : ''}" title="${result.notIndexedWithImpressions ? 'Not indexed but still getting impressions' : ''}">
+                    <td class="dimension-cell"><a href="${url}" target="_blank" title="${url} (${escapeHtml(result.siteUrl)})">${url}</a></td>
+                    <td style="text-align: right;">${result.impressions?.toLocaleString() ?? '-'}</td>
+                    <td><span class="inspection-verdict ${css}">${escapeHtml(result.verdict)}</span></td>
+                    <td>${escapeHtml(result.coverageState || '-')}</td>
+                    <td>${canonical}</td>
+                </tr>`;
+    }).join('');
+
+    container.innerHTML = `<table class="breakdown-table inspection-bulk-table">
+        <thead><tr>
+            <th>URL</th><th>Impressions</th><th>Verdict</th><th>Coverage</th><th>Canonical</th>
+        </tr></thead>
+        <tbody>${rowsHTML}</tbody>
+    </table>`;
+}
+
 /**
  * Creates and appends pagination controls to the container
  * 
@@ -423,7 +950,7 @@ export function updateTableHeaders({ currentSortKeys }) {
  * This allows users to resize columns in the data table by dragging
  */
 export function setupColumnResizing() {
-  const table = document.querySelector('table');
+  const table = document.querySelector('#queryData table');
   if (!table) return; // No table found yet
   
   // Get all table headers
@@ -519,7 +1046,7 @@ export function setupColumnResizing() {
  * Save current column widths to chrome storage
  */
 export function saveColumnWidths() {
-  const headers = document.querySelectorAll('th');
+  const headers = document.querySelectorAll('#queryData th');
   const widths = {};
   
   headers.forEach((header, index) => {
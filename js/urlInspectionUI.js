@@ -0,0 +1,75 @@
+/**
+ * URL Inspection UI
+ * "Inspect URL" action under the custom URL field: inspects the page being analyzed (custom URL,
+ * otherwise the active tab) against its best-matching property and shows the result.
+ */
+
+import { getBestMatchingProperty, getCurrentWebsiteUrl } from './sitePropertiesUtils.js';
+import { inspectUrl, summarizeInspection } from './urlInspectionUtils.js';
+import { renderUrlInspection } from './uiUtils.js';
+
+// Callbacks provided by popup.js
+let getToken = () => null;
+let reportStatus = () => {};
+
+/**
+ * Initialize the URL Inspection action
+ * @param {Object} options - Options for the inspection UI
+ * @param {Function} options.getAuthToken - Returns the current OAuth token (or null when signed out)
+ * @param {Function} options.updateStatus - Status bar callback
+ */
+export function initUrlInspectionUI({ getAuthToken, updateStatus }) {
+  getToken = getAuthToken || getToken;
+  reportStatus = updateStatus || reportStatus;
+
+  document.getElementById('inspectUrl')?.addEventListener('click', handleInspect);
+  document.getElementById('closeUrlInspection')?.addEventListener('click', () => {
+    const panel = document.getElementById('urlInspectionPanel');
+    if (panel) panel.style.display = 'none';
+  });
+}
+
+/**
+ * Inspects the URL being analyzed and shows the result panel
+ */
+async function handleInspect() {
+  const authToken = getToken();
+  if (!authToken) {
+    reportStatus('Please sign in to inspect URLs.', true);
+    return;
+  }
+
+  const url = document.getElementById('customUrlInput')?.value.trim() || await getCurrentWebsiteUrl();
+  if (!url || !/^https?:\/\//.test(url)) {
+    reportStatus('Open a web page or enter a custom URL to inspect.', true, 'warning');
+    return;
+  }
+
+  const siteUrl = getBestMatchingProperty(url);
+  if (!siteUrl) {
+    reportStatus(`No Search Console property found for ${url}.`, true);
+    return;
+  }
+
+  const button = document.getElementById('inspectUrl');
+  const panel = document.getElementById('urlInspectionPanel');
+  const container = document.getElementById('urlInspectionResult');
+
+  try {
+    if (button) button.disabled = true;
+    reportStatus(`Inspecting ${url}...`);
+    const summary = summarizeInspection(await inspectUrl(url, siteUrl, authToken));
+    renderUrlInspection({ container, url, siteUrl, summary });
+    if (panel) panel.style.display = 'block';
+    if (summary.verdict === 'PASS') {
+      reportStatus(`Inspected ${url}: ${summary.coverageState || 'indexed'}.`);
+    } else {
+      reportStatus(`Inspected ${url}: ${summary.coverageState || summary.verdict}.`, true, 'warning');
+    }
+  } catch (error) {
+    console.error('Error inspecting URL:', error);
+    reportStatus(`Error: ${error.message}`, true);
+  } finally {
+    if (button) button.disabled = false;
+  }
+}
@@ -0,0 +1,280 @@
+/**
+ * @fileoverview Search Console URL Inspection API.
+ * Inspects single URLs or lists of URLs against their property and flattens the result (index
+ * status, coverage, canonicals, last crawl, mobile usability, rich results) for display and export.
+ * The API allows INSPECTION_DAILY_QUOTA inspections per property per day; usage is counted locally
+ * so bulk runs stop before the quota is exhausted.
+ */
+
+import { queuedFetch } from './requestQueue.js';
+
+const URL_INSPECTION_API = 'https://searchconsole.googleapis.com/v1/urlInspection/index:inspect';
+
+/**
+ * Inspections allowed per property per day (quota resets at midnight Pacific time)
+ */
+export const INSPECTION_DAILY_QUOTA = 2000;
+
+/**
+ * chrome.storage.local key holding today's inspection count per property
+ */
+export const INSPECTION_USAGE_KEY = 'urlInspectionUsage';
+
+/**
+ * URLs inspected in parallel during a bulk run (the API allows 600 per minute)
+ */
+const INSPECTION_CONCURRENCY = 2;
+
+// Serializes usage updates so parallel inspections do not overwrite each other's counts
+let usageWriteChain = Promise.resolve();
+
+/**
+ * Error name of an inspection refused because the property's daily quota is used up
+ */
+export const QUOTA_EXCEEDED_ERROR = 'QuotaExceededError';
+
+/**
+ * Normalizes a URL for de-duplicating inspections: no fragment, and no trailing slash after a path,
+ * so the same page pasted with and without the slash is inspected (and counted) once
+ * @param {string} url - URL to inspect
+ * @returns {string} - Normalized URL (the input when it cannot be parsed)
+ */
+export function normalizeInspectionUrl(url) {
+    try {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        if (parsed.pathname.length > 1) parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+        return parsed.href;
+    } catch (e) {
+        return url;
+    }
+}
+
+/**
+ * Quota day of the inspection API (YYYY-MM-DD in Pacific time)
+ * @param {Date} [now] - Current time
+ * @returns {string}
+ */
+function getQuotaDay(now = new Date()) {
+    return now.toLocaleDateString('en-CA', { timeZone: 'America/Los_Angeles' });
+}
+
+/**
+ * Today's inspection usage
+ * @returns {Promise<Object>} - { day, counts: { [siteUrl]: number } } (counts reset on a new quota day)
+ */
+export function getInspectionUsage() {
+    return new Promise((resolve) => {
+        chrome.storage.local.get([INSPECTION_USAGE_KEY], (result) => {
+            const usage = result[INSPECTION_USAGE_KEY];
+            const day = getQuotaDay();
+            resolve(usage?.day === day ? usage : { day, counts: {} });
+        });
+    });
+}
+
+/**
+ * Inspections left today for a property
+ * @param {string} siteUrl - Property as used by the API
+ * @returns {Promise<number>}
+ */
+export async function getRemainingInspections(siteUrl) {
+    const usage = await getInspectionUsage();
+    return Math.max(0, INSPECTION_DAILY_QUOTA - (usage.counts[siteUrl] || 0));
+}
+
+/**
+ * Runs a read-modify-write of the usage counts after the previous one has finished.
+ * Web Locks also serialize it with other extension pages (popup and full-screen tab) inspecting at the same time.
+ * @param {Function} task - Async update of the usage
+ * @returns {Promise<*>} - Result of the task
+ */
+function withUsageLock(task) {
+    const run = () => navigator.locks ? navigator.locks.request(INSPECTION_USAGE_KEY, task) : task();
+    const result = usageWriteChain.then(run);
+    usageWriteChain = result.catch(error => console.error('Error recording inspection usage:', error));
+    return result;
+}
+
+/**
+ * Counts one inspection of a property before it is sent, if the daily quota allows it.
+ * Checking and counting in one serialized step keeps parallel inspections from overrunning the quota.
+ * @param {string} siteUrl - Property as used by the API
+ * @returns {Promise<boolean>} - False when the quota is used up (nothing counted)
+ */
+function reserveInspection(siteUrl) {
+    return withUsageLock(async () => {
+        const usage = await getInspectionUsage();
+        const used = usage.counts[siteUrl] || 0;
+        if (used >= INSPECTION_DAILY_QUOTA) return false;
+        usage.counts[siteUrl] = used + 1;
+        await new Promise(resolve => chrome.storage.local.set({ [INSPECTION_USAGE_KEY]: usage }, resolve));
+        return true;
+    });
+}
+
+/**
+ * Inspects a URL
+ * @param {string} inspectionUrl - Fully qualified URL to inspect (must belong to siteUrl)
+ * @param {string} siteUrl - Property as used by the API (URL prefix or sc-domain:)
+ * @param {string} authToken - OAuth token (read-only scope is enough)
+ * @param {Object} [options] - Request options
+ * @param {string} [options.languageCode] - Language of the issue messages (defaults to the browser language)
+ * @param {AbortSignal} [options.signal] - Cancellation signal
+ * @returns {Promise<Object>} - The `inspectionResult` object of the API response
+ * @throws {Error} With a readable message for API errors (named QUOTA_EXCEEDED_ERROR when the daily quota is used up)
+ */
+export async function inspectUrl(inspectionUrl, siteUrl, authToken, { languageCode = navigator.language || 'en-US', signal = null } = {}) {
+    if (!authToken) throw new Error('Please sign in first.');
+    if (!siteUrl) throw new Error(`No Search Console property found for ${inspectionUrl}.`);
+    if (!(await reserveInspection(siteUrl))) {
+        const error = new Error('Daily inspection quota reached for this property');
+        error.name = QUOTA_EXCEEDED_ERROR;
+        throw error;
+    }
+
+    const response = await queuedFetch(URL_INSPECTION_API, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${authToken}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ inspectionUrl, siteUrl, languageCode }),
+        signal
+    });
+
+    if (!response.ok) {
+        let errorData;
+        try {
+            errorData = await response.json();
+        } catch (e) {
+            errorData = { error: { message: response.statusText || 'Failed to parse error' } };
+        }
+
+        let errorMsg = `URL Inspection API Error ${response.status}: ${errorData.error?.message || 'Unknown API error'}`;
+        if (response.status === 401) {
+            errorMsg = 'Authorization failed. Token invalid/expired? Please Sign Out & Sign In again.';
+        } else if (response.status === 403) {
+            errorMsg = `Permission denied for ${siteUrl}, or ${inspectionUrl} is not part of this property. ${errorData.error?.message || ''}`;
+        } else if (response.status === 429) {
+            errorMsg = `URL Inspection quota exceeded (${INSPECTION_DAILY_QUOTA.toLocaleString()} inspections per property per day). Try again tomorrow.`;
+        }
+        throw new Error(errorMsg);
+    }
+
+    const result = await response.json();
+    return result.inspectionResult || {};
+}
+
+/**
+ * Inspects a list of URLs, each against the property returned by `findProperty`.
+ * URLs whose property has no quota left are reported with `quotaExceeded` instead of being sent.
+ * Duplicates (see normalizeInspectionUrl) are inspected once and share the result.
+ * @param {Object} options - Bulk options
+ * @param {Array<Object>} options.items - URLs to inspect: { url, clicks?, impressions? } (metrics from the page fetch, if known)
+ * @param {string} options.authToken - OAuth token
+ * @param {Function} options.findProperty - Returns the property for a URL (getBestMatchingProperty) or null
+ * @param {AbortSignal} [options.signal] - Signal used to stop inspecting further URLs
+ * @param {Function} [options.onProgress] - Called with (done, total) after every URL
+ * @returns {Promise<Array<Object>>} - One result per processed URL, in input order: { url, siteUrl, clicks, impressions,
+ *                                     verdict, coverageState, lastCrawlTime, googleCanonical, userCanonical, canonicalMismatch,
+ *                                     notIndexedWithImpressions, quotaExceeded, error }
+ */
+export async function inspectUrlBatch({ items, authToken, findProperty, signal = null, onProgress = () => {} }) {
+    const results = new Array(items.length);
+    // Index of the first item with the same normalized URL, for duplicates
+    const firstIndexByUrl = new Map();
+    const duplicateOf = items.map((item, index) => {
+        const key = normalizeInspectionUrl(item.url);
+        if (firstIndexByUrl.has(key)) return firstIndexByUrl.get(key);
+        firstIndexByUrl.set(key, index);
+        return null;
+    });
+    const pending = items.map((item, index) => index).filter(index => duplicateOf[index] === null);
+    let nextIndex = 0;
+    let done = 0;
+
+    const worker = async () => {
+        while (nextIndex < pending.length && !signal?.aborted) {
+            const index = pending[nextIndex++];
+            const { url, clicks = null, impressions = null } = items[index];
+            const siteUrl = findProperty(url);
+            const base = { url, siteUrl, clicks, impressions, quotaExceeded: false, notIndexedWithImpressions: false };
+
+            if (!siteUrl) {
+                results[index] = { ...base, error: 'No matching property' };
+            } else if (await getRemainingInspections(siteUrl) <= 0) {
+                results[index] = { ...base, quotaExceeded: true, error: 'Daily inspection quota reached for this property' };
+            } else {
+                try {
+                    const summary = summarizeInspection(await inspectUrl(url, siteUrl, authToken, { signal }));
+                    results[index] = {
+                        ...base,
+                        verdict: summary.verdict,
+                        coverageState: summary.coverageState,
+                        lastCrawlTime: summary.lastCrawlTime,
+                        googleCanonical: summary.googleCanonical,
+                        userCanonical: summary.userCanonical,
+                        canonicalMismatch: summary.canonicalMismatch,
+                        // Pages Google shows in results but reports as not indexed
+                        notIndexedWithImpressions: summary.verdict !== 'PASS' && impressions > 0,
+                        error: null
+                    };
+                } catch (error) {
+                    if (error.name === 'AbortError') break;
+                    if (error.name === QUOTA_EXCEEDED_ERROR) {
+                        results[index] = { ...base, quotaExceeded: true, error: error.message };
+                    } else {
+                        console.error(`Error inspecting ${url}:`, error);
+                        results[index] = { ...base, error: error.message };
+                    }
+                }
+            }
+            onProgress(++done, pending.length);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(INSPECTION_CONCURRENCY, pending.length) }, worker));
+    duplicateOf.forEach((firstIndex, index) => {
+        if (firstIndex !== null && results[firstIndex]) results[index] = { ...results[firstIndex], url: items[index].url };
+    });
+    return results.filter(Boolean);
+}
+
+/**
+ * Flattens an inspection result
+ * @param {Object} inspectionResult - `inspectionResult` from inspectUrl
+ * @returns {Object} - { verdict, coverageState, indexingState, robotsTxtState, pageFetchState, lastCrawlTime,
+ *                       crawledAs, googleCanonical, userCanonical, canonicalMismatch, sitemaps, referringUrls,
+ *                       mobileUsabilityVerdict, mobileUsabilityIssues, richResultsVerdict, richResults, inspectionResultLink }
+ */
+export function summarizeInspection(inspectionResult) {
+    const index = inspectionResult.indexStatusResult || {};
+    const mobile = inspectionResult.mobileUsabilityResult || {};
+    const rich = inspectionResult.richResultsResult || {};
+
+    return {
+        verdict: index.verdict || 'VERDICT_UNSPECIFIED',
+        coverageState: index.coverageState || null,
+        indexingState: index.indexingState || null,
+        robotsTxtState: index.robotsTxtState || null,
+        pageFetchState: index.pageFetchState || null,
+        lastCrawlTime: index.lastCrawlTime || null,
+        crawledAs: index.crawledAs || null,
+        googleCanonical: index.googleCanonical || null,
+        userCanonical: index.userCanonical || null,
+        // Google chose a different canonical than the one declared on the page
+        canonicalMismatch: !!(index.googleCanonical && index.userCanonical && index.googleCanonical !== index.userCanonical),
+        sitemaps: index.sitemap || [],
+        referringUrls: index.referringUrls || [],
+        mobileUsabilityVerdict: mobile.verdict || null,
+        mobileUsabilityIssues: (mobile.issues || []).map(issue => issue.message || issue.issueType),
+        richResultsVerdict: rich.verdict || null,
+        richResults: (rich.detectedItems || []).map(item => ({
+            type: item.richResultType,
+            items: (item.items || []).length,
+            issues: (item.items || []).flatMap(entry => (entry.issues || []).map(issue => `${issue.severity}: ${issue.issueMessage}`))
+        })),
+        inspectionResultLink: inspectionResult.inspectionResultLink || null
+    };
+}
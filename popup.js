@@ -24,7 +24,9 @@ import {
 } from './js/sitePropertiesUtils.js';
 import {
   fetchGscDataForPeriod,
-  handleFetchDataClick
+  handleFetchDataClick,
+  cancelActiveFetch,
+  MAX_ROW_LIMIT
 } from './js/dataFetchUtils.js';
 import { triggerDownload } from './js/downloadUtils.js';
 import {
@@ -32,10 +34,14 @@ import {
   sortDataAdvanced
 } from './js/sortUtils.js';
 import {
-  updateStatus
+  updateStatus,
+  updateQueueStatus
 } from './js/statusUtils.js';
+import { onQueueChange } from './js/requestQueue.js';
+import { clearResponseCache, getResponseCacheStats, onResponseCacheChange } from './js/responseCache.js';
 import {
-  exportData
+  exportData,
+  exportCannibalizationReport
 } from './js/exportUtils.js';
 import {
   copyToClipboard
@@ -63,8 +69,46 @@ import {
   updateTableHeaders as updateTableHeadersUtil,
   setupColumnResizing,
   saveColumnWidths,
-  initCollapsibleSections
+  initCollapsibleSections,
+  renderCountryBreakdown,
+  renderCannibalizationReport
 } from './js/uiUtils.js';
+import {
+  COMPUTED_METRIC_LABELS,
+  applyCtrBenchmarks,
+  isCtrBelowExpected
+} from './js/opportunityUtils.js';
+import {
+  CANNIBALIZATION_ROW_LIMIT,
+  findCannibalizedQueries
+} from './js/cannibalizationUtils.js';
+import {
+  getCountryName,
+  populateCountrySelect
+} from './js/countryUtils.js';
+import {
+  DIMENSION_LABELS,
+  TEXT_DIMENSIONS,
+  getExtraDimensions,
+  getRowKey
+} from './js/dimensionUtils.js';
+import {
+  initKeywordDetailPanel,
+  openKeywordDetail
+} from './js/keywordDetailUI.js';
+import { initSnapshotUI, compareResultSets } from './js/snapshotUI.js';
+import { initAlertUI } from './js/alertUI.js';
+import { initPortfolioUI, renderPropertyList as renderPortfolioPropertyList } from './js/portfolioUI.js';
+import { initBatchUrlUI } from './js/batchUrlUI.js';
+import { initSitemapUI, loadSitemaps } from './js/sitemapUI.js';
+import { initUrlInspectionUI } from './js/urlInspectionUI.js';
+import { initBulkInspectionUI, renderQuotaUsage } from './js/bulkInspectionUI.js';
+import { initApiFilterUI, getApiFilters, setApiFilters, addApiFilter } from './js/apiFilterUI.js';
+import { initSearchAppearanceUI, renderSearchAppearancePanel } from './js/searchAppearanceUI.js';
+import { initPageTableUI, restoreExpandedPages } from './js/pageTableUI.js';
+import { describeApiFilters } from './js/apiFilterUtils.js';
+import { PAGE_TOTALS_SOURCE_LABELS, TOTALS_SOURCE, TOTALS_SOURCE_LABELS, aggregateMetrics, getAnonymizedShare, getMetricTotals } from './js/metricsUtils.js';
+import { initScheduleUI } from './js/scheduleUI.js';
 
 // --- State Variables ---
 let currentQueryData = []; // Processed data from the last successful API fetch
@@ -75,6 +119,8 @@ let currentUrl = ''; // The URL the data pertains to (page or domain)
 let customUrl = ''; // Custom URL entered by the user
 let currentMetadata = null; // Metadata from API request/response
 let previousMetadata = null; // Metadata from previous request/response
+let cannibalizationData = null; // Query + page rows loaded for the cannibalization report { fetchTimestamp, rows }
+let cannibalizationGroups = []; // Queries with competing pages, as shown in the cannibalization tab
 
 // --- Site Properties State --- (now imported from sitePropertiesUtils.js)
 
@@ -135,6 +181,9 @@ document.addEventListener('DOMContentLoaded', function() {
   // Initialize only critical UI components first
   updateStatus('Initializing extension...');
   
+  // Show the API request queue depth next to the status message
+  onQueueChange(updateQueueStatus);
+  
   // Load critical preferences and auth state
   initializeCriticalComponents();
   
@@ -181,6 +230,51 @@ function initializeNonCriticalComponents() {
   setupToggleButtons();
   setupDashboardTabs();
   
+  // Country picker options (ISO-3166 alpha-3 codes)
+  populateCountrySelect(document.getElementById('countryFilter'));
+  
+  // Keyword detail panel (close button / Escape)
+  initKeywordDetailPanel();
+  
+  // Snapshot browser (stored fetch history) and scheduled background fetches
+  initSnapshotUI({ onDisplay: displaySnapshot, updateStatus });
+  initScheduleUI({ getCurrentMetadata: () => currentMetadata, updateStatus });
+  
+  // Alert rules and alert log
+  initAlertUI({ getCurrentMetadata: () => currentMetadata, onShowRows: showAlertRows, updateStatus });
+  
+  // Portfolio tab (totals for several properties)
+  initPortfolioUI({ getAuthToken: () => currentAuthToken, onOpenProperty: openPortfolioProperty, updateStatus });
+  
+  // Batch mode of the custom URL field (pasted URLs / sitemap.xml)
+  initBatchUrlUI({ getAuthToken: () => currentAuthToken, getApiFilters, updateStatus });
+  
+  // Sitemaps tab (Sitemaps API; submit/delete after a scope upgrade)
+  initSitemapUI({ getAuthToken: () => currentAuthToken, updateStatus });
+  
+  // URL Inspection of the page being analyzed
+  initUrlInspectionUI({ getAuthToken: () => currentAuthToken, updateStatus });
+  
+  // Indexing tab (bulk URL inspection)
+  initBulkInspectionUI({ getAuthToken: () => currentAuthToken, getCurrentMetadata: () => currentMetadata, updateStatus });
+  
+  // Server-side query/page filters in the fetch options
+  initApiFilterUI({ updateStatus });
+  
+  // Search appearance breakdown in Position Insights
+  initSearchAppearanceUI({
+    getAuthToken: () => currentAuthToken,
+    getCurrentMetadata: () => currentMetadata,
+    getPreviousMetadata: () => previousMetadata,
+    updateStatus
+  });
+
+  initPageTableUI({
+    getAuthToken: () => currentAuthToken,
+    getCurrentMetadata: () => currentMetadata,
+    updateStatus
+  });
+  
   // 3. Column resizing mutation observer (from fourth listener)
   setupColumnResizingObserver();
   
@@ -216,12 +310,19 @@ function initializeNonCriticalComponents() {
     selectedSiteProperty,
     customUrl,
     setSelectedSiteProperty,
-    updateStatus
+    updateStatus,
+    dimensionFilters: getApiFilters()
   }));
   document.getElementById('copyData')?.addEventListener('click', handleCopyToClipboard);
   document.getElementById('exportCSV')?.addEventListener('click', () => handleExport('csv'));
   document.getElementById('exportExcel')?.addEventListener('click', () => handleExport('excel'));
+  document.getElementById('loadCannibalizationData')?.addEventListener('click', handleLoadCannibalizationData);
+  document.getElementById('exportCannibalizationCSV')?.addEventListener('click', () => handleCannibalizationExport('csv'));
+  document.getElementById('exportCannibalizationExcel')?.addEventListener('click', () => handleCannibalizationExport('excel'));
   document.getElementById('clearData')?.addEventListener('click', handleClearStoredData);
+  document.getElementById('clearResponseCache')?.addEventListener('click', handleClearResponseCache);
+  onResponseCacheChange(scheduleResponseCacheInfoRefresh);
+  refreshResponseCacheInfo();
   document.getElementById('searchKeywords')?.addEventListener('input', handleSearchInput);
   
   // Add event listeners to filter pills, but exclude comparison filter pills
@@ -363,6 +464,7 @@ function initializeNonCriticalComponents() {
   if (queryRegexFilter) {
     queryRegexFilter.addEventListener('input', handleQueryRegexInput);
   }
+  document.getElementById('pushRegexToApi')?.addEventListener('click', handlePushRegexToApi);
 
   // --- Saved View Event Listeners ---
   const saveViewBtn = document.getElementById('save-view-btn');
@@ -377,7 +479,7 @@ function initializeNonCriticalComponents() {
 
   // --- Other Preference Listeners ---
   document.getElementById('keywordLimit')?.addEventListener('change', e => { 
-    const limit = Math.min(Math.max(parseInt(e.target.value) || 1000, 1), 25000); 
+    const limit = Math.min(Math.max(parseInt(e.target.value) || 1000, 1), MAX_ROW_LIMIT); 
     e.target.value = limit; 
     chrome.storage.local.set({ 'keywordLimitPreference': String(limit) }); 
   });
@@ -715,6 +817,14 @@ function setupToggleButtons() {
       }
     });
   });
+
+  // Switches the table between the keywords and the fetched pages
+  document.getElementById('pageTableToggle')?.addEventListener('click', () => {
+    currentTableMode = currentTableMode === 'page' ? 'keyword' : 'page';
+    currentPage = 1;
+    updatePageTableToggle();
+    applyFiltersAndSort();
+  });
 }
 
 function setupDashboardTabs() {
@@ -765,6 +875,10 @@ function displayQueryData(data, prevData, domain, url, metadata, prevMetadata) {
   currentMetadata = metadata;
   previousMetadata = prevMetadata;
   currentSearchTerm = document.getElementById('searchKeywords').value || '';
+  updatePageTableToggle();
+
+  // Expected CTR and opportunity scores use the CTR curve of the whole result set, not just the filtered rows
+  applyCtrBenchmarks(currentQueryData);
 
   // Update comparison filters based on data availability
   updateComparisonFiltersBasedOnData();
@@ -851,6 +965,20 @@ function displayQueryData(data, prevData, domain, url, metadata, prevMetadata) {
     });
   }
 
+  // Render the per-country breakdown (fetched alongside the keyword data)
+  renderCountryBreakdown({
+    container: document.getElementById('countryBreakdownTable'),
+    countryRows: currentMetadata?.countryBreakdown || [],
+    previousCountryRows: previousMetadata?.countryBreakdown || []
+  });
+
+  // Render the search appearance breakdown (fetched alongside the keyword data)
+  renderSearchAppearancePanel();
+
+  if (currentDashboardTab === 'cannibalization') {
+    renderCannibalizationTab();
+  }
+
   // Initialize Clicks vs Impressions chart if the tab is currently active
   if (currentDashboardTab === 'keyword-analysis') {
     setTimeout(() => {
@@ -858,6 +986,13 @@ function displayQueryData(data, prevData, domain, url, metadata, prevMetadata) {
     }, 100); // Small delay to ensure DOM is ready
   }
 
+  // Initialize the daily trend chart if the tab is currently active
+  if (currentDashboardTab === 'daily-trend') {
+    setTimeout(() => {
+      initializeDailyTrendChart();
+    }, 100); // Small delay to ensure DOM is ready
+  }
+
   // Apply filters and sort to the new data
   // *** NO setTimeout here - called directly ***
   applyFiltersAndSort(); // This updates filteredAndSortedData and calls refreshDataDisplay
@@ -945,6 +1080,7 @@ function displayMetadata() {
         let comparisonLabel = "Comparison Period";
         if (currentMetadata.comparisonType === 'previous') comparisonLabel = "Comparison (Prev)";
         else if (currentMetadata.comparisonType === 'lastYear') comparisonLabel = "Comparison (YoY)";
+        else if (currentMetadata.comparisonType === 'snapshot') comparisonLabel = `Comparison (Snapshot ${new Date(currentMetadata.comparisonFetchTimestamp).toLocaleDateString()})`;
         else if (currentMetadata.isCustomDateMode) comparisonLabel = "Period 1";
 
         // Add date adjustment indicators
@@ -989,6 +1125,13 @@ function displayMetadata() {
 
         detailsHTML += `<div class="meta-item"><span class="meta-label">Current Period:</span><span class="meta-value">${currentMetadata.startDate} to ${currentMetadata.endDate}${currentPeriodNote}</span></div>`;
         detailsHTML += `<div class="meta-item"><span class="meta-label">${comparisonLabel}:</span><span class="meta-value">${currentMetadata.comparisonStartDate} to ${currentMetadata.comparisonEndDate}${comparisonPeriodNote}</span></div>`;
+
+        // Snapshot comparisons may use a result set from another property or page
+        if (currentMetadata.comparisonType === 'snapshot' &&
+            (currentMetadata.comparisonSiteUrl !== currentMetadata.siteUrl || (currentMetadata.comparisonPageUrl || '') !== (currentMetadata.pageUrl || ''))) {
+            const comparisonScope = currentMetadata.comparisonPageUrl || currentMetadata.comparisonSiteUrl || 'unknown';
+            detailsHTML += `<div class="meta-item"><span class="meta-label">Compared With:</span><span class="meta-value">${comparisonScope}</span></div>`;
+        }
         
         if (previousQueryData.length === 0 && previousMetadata) {
             notes.push("No keywords found for the comparison period.");
@@ -1010,18 +1153,35 @@ function displayMetadata() {
         ? `<strong style="color:#1a73e8">${currentMetadata.searchTypeFilter.charAt(0).toUpperCase() + currentMetadata.searchTypeFilter.slice(1)}</strong>`
         : 'All';
         
+    const countryFilterText = currentMetadata.countryFilter && currentMetadata.countryFilter !== 'all'
+        ? `<strong style="color:#1a73e8">${getCountryName(currentMetadata.countryFilter)}</strong>`
+        : 'All';
+        
     const filtersApplied = (currentMetadata.deviceFilter && currentMetadata.deviceFilter !== 'all') ||
-                           (currentMetadata.searchTypeFilter && currentMetadata.searchTypeFilter !== 'all');
+                           (currentMetadata.searchTypeFilter && currentMetadata.searchTypeFilter !== 'all') ||
+                           (currentMetadata.countryFilter && currentMetadata.countryFilter !== 'all');
     
     const filterLabel = filtersApplied
         ? 'Filters: <span style="color:#1a73e8;font-weight:bold">(Filtered)</span>'
         : 'Filters:';
         
     detailsHTML += `<div class="meta-item"><span class="meta-label">${filterLabel}</span>
-                    <span class="meta-value">Device: ${deviceFilterText}, Search Type: ${searchTypeText}</span></div>`;
+                    <span class="meta-value">Device: ${deviceFilterText}, Search Type: ${searchTypeText}, Country: ${countryFilterText}</span></div>`;
+
+    // Server-side query/page filters
+    if (currentMetadata.dimensionFilters?.length > 0) {
+        detailsHTML += `<div class="meta-item"><span class="meta-label">API Filters:</span><span class="meta-value" style="color:#1a73e8">${describeApiFilters(currentMetadata.dimensionFilters).replace(/&/g, '&amp;').replace(/</g, '&lt;')}</span></div>`;
+    }
+
+    // Breakdown dimensions (multi-dimension rows)
+    const breakdownDimensions = getExtraDimensions(currentMetadata);
+    if (breakdownDimensions.length > 0) {
+        const breakdownText = ['query', ...breakdownDimensions].map(d => DIMENSION_LABELS[d] || d).join(' × ');
+        detailsHTML += `<div class="meta-item"><span class="meta-label">Breakdown:</span><span class="meta-value">${breakdownText}</span></div>`;
+    }
 
     // Keywords & Sampling
-    detailsHTML += `<div class="meta-item"><span class="meta-label">Keywords:</span><span class="meta-value">${currentMetadata.extractedCount ?? 'N/A'} fetched (Limit: ${currentMetadata.keywordLimit || 'N/A'})</span></div>`;
+    detailsHTML += `<div class="meta-item"><span class="meta-label">${currentMetadata.pageOnly ? 'Pages' : 'Keywords'}:</span><span class="meta-value">${currentMetadata.extractedCount ?? 'N/A'} fetched (Limit: ${currentMetadata.rowLimit || currentMetadata.keywordLimit || 'N/A'}${currentMetadata.cancelled ? ', cancelled early' : ''})</span></div>`;
 
     // Fetch Timestamp
     let fetchedTimestamp = 'unknown';
@@ -1031,6 +1191,10 @@ function displayMetadata() {
     }
     detailsHTML += `<div class="meta-item"><span class="meta-label">Last Fetched:</span><span class="meta-value">${fetchedTimestamp}</span></div>`;
 
+    if (currentMetadata.snapshotId) {
+        notes.push("Showing a stored snapshot (no API quota used). Fetch again for live data.");
+    }
+
     // Add notes at the end
     if (notes.length > 0) {
         detailsHTML += notes.map(note => `<span class="meta-note">Note: ${note}</span>`).join('');
@@ -1042,6 +1206,54 @@ function displayMetadata() {
 // Global variable to track the current view mode (either 'page' or 'keyword')
 let currentViewMode = 'page';
 
+// Rows listed in the table ('keyword' or 'page'), chosen with #pageTableToggle independently of the metrics view
+let currentTableMode = 'keyword';
+
+/**
+ * Whether the table lists the page rows of the fetch: when the user asked for them and the fetch has them.
+ * Page-only reports have none because their data rows are already pages (without query expansion),
+ * and reports loaded from storage have none because page rows are only kept in memory.
+ */
+function isPageTableMode() {
+  return currentTableMode === 'page' && (currentMetadata?.pageRows?.length || 0) > 0;
+}
+
+/**
+ * Updates the "List pages" button: enabled when the loaded report has page rows, pressed in page table mode
+ */
+function updatePageTableToggle() {
+  const button = document.getElementById('pageTableToggle');
+  if (!button) return;
+  const pageTable = isPageTableMode();
+  button.disabled = (currentMetadata?.pageRows?.length || 0) === 0;
+  button.setAttribute('aria-pressed', String(pageTable));
+  button.textContent = pageTable ? '🔑 List keywords' : '📄 List pages';
+  button.title = button.disabled
+    ? 'Page rows are only available right after a fetch'
+    : (pageTable ? 'List the keywords again' : 'List the fetched pages instead of the keywords');
+}
+
+/**
+ * Rows listed in the table for the current view mode
+ */
+function getTableRows() {
+  return isPageTableMode() ? currentMetadata.pageRows : currentQueryData;
+}
+
+/**
+ * Comparison period rows matching getTableRows()
+ */
+function getPreviousTableRows() {
+  return isPageTableMode() ? (previousMetadata?.pageRows || []) : previousQueryData;
+}
+
+/**
+ * Plural label of the table rows, for status messages
+ */
+function getTableRowLabel() {
+  return isPageTableMode() || currentMetadata?.pageOnly ? 'pages' : 'keywords';
+}
+
 // Minimal set of event listeners for the initial UI
 function setupMinimalEventListeners() {
   const signInButton = document.getElementById('authSignIn');
@@ -1059,9 +1271,18 @@ function setupMinimalEventListeners() {
     selectedSiteProperty,
     customUrl,
     setSelectedSiteProperty,
-    updateStatus
+    updateStatus,
+    dimensionFilters: getApiFilters()
   }));
   
+  // Cancel button for a fetch in progress (only visible while fetching)
+  const cancelFetchButton = document.getElementById('cancelFetch');
+  if (cancelFetchButton) cancelFetchButton.addEventListener('click', () => {
+    if (cancelActiveFetch()) {
+      updateStatus('Cancelling fetch...', false, 'warning');
+    }
+  });
+  
   // Add event listener for the fullscreen button
   if (openFullScreenBtn) {
     openFullScreenBtn.addEventListener('click', () => {
@@ -1103,6 +1324,29 @@ function switchDashboardTab(tabName) {
       initializeClicksVsImpressionsChart();
     }, 100); // Small delay to ensure the tab content is visible
   }
+
+  // Daily trend chart is drawn when its tab becomes visible (canvas needs a size)
+  if (tabName === 'daily-trend' && currentMetadata) {
+    setTimeout(() => {
+      initializeDailyTrendChart();
+    }, 100);
+  }
+
+  if (tabName === 'cannibalization') {
+    renderCannibalizationTab();
+  }
+
+  if (tabName === 'portfolio') {
+    renderPortfolioPropertyList();
+  }
+
+  if (tabName === 'sitemaps') {
+    loadSitemaps();
+  }
+
+  if (tabName === 'indexing') {
+    renderQuotaUsage();
+  }
 }
 
 // Make the function available globally for HTML event handlers
@@ -1114,8 +1358,8 @@ function initializeClicksVsImpressionsChart() {
   if (chartCanvas && window.ClicksVsImpressionsChart && currentQueryData) {
     console.log('Preparing to initialize Clicks vs Impressions chart with', currentQueryData.length, 'queries');
     
-    // Use filtered data if available, otherwise use all data
-    const dataToUse = filteredAndSortedData && filteredAndSortedData.length > 0 ? filteredAndSortedData : currentQueryData;
+    // Use filtered data if available, otherwise use all data (the page table's rows are not keywords)
+    const dataToUse = !isPageTableMode() && filteredAndSortedData && filteredAndSortedData.length > 0 ? filteredAndSortedData : currentQueryData;
     
     const chartData = window.ClicksVsImpressionsChart.processData(dataToUse);
     console.log('Clicks vs Impressions chart data prepared:', chartData);
@@ -1128,6 +1372,158 @@ function initializeClicksVsImpressionsChart() {
   }
 }
 
+// Shows a stored snapshot (or a snapshot diff) through the normal display path
+function displaySnapshot({ queries, previousQueries, metadata, previousMetadata }) {
+  const domain = metadata?.siteUrl ? metadata.siteUrl.replace(/^sc-domain:/, '') : '';
+  displayQueryData(queries || [], previousQueries || [], domain, metadata?.pageUrl || '', metadata, previousMetadata || null);
+}
+
+// Opens a portfolio property in the normal view: select it and run the regular fetch
+function openPortfolioProperty(siteUrl) {
+  selectCustomProperty(siteUrl, updateStatus);
+  switchDashboardTab('position-insights');
+  // Whole property, like the portfolio totals (URL properties are otherwise fetched for one page)
+  handleFetchDataClick({
+    displayQueryData,
+    handleSignOutClick,
+    isSignedIn,
+    currentAuthToken,
+    selectedSiteProperty: siteUrl,
+    customUrl,
+    setSelectedSiteProperty,
+    updateStatus,
+    dimensionFilters: getApiFilters(),
+    propertyWide: true
+  });
+}
+
+// Shows the result sets an alert was raised on, narrowed to the affected queries with the query regex filter
+async function showAlertRows(entry) {
+  const shown = await compareResultSets(entry.snapshotRef, entry.baselineRef);
+  if (!shown) return;
+
+  const regexInput = document.getElementById('query-regex-filter');
+  if (regexInput && entry.queries?.length > 0) {
+    const escapedQueries = entry.queries.map(query => query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    regexInput.value = `^(${escapedQueries.join('|')})$`;
+    regexInput.dispatchEvent(new Event('input', { bubbles: true }));
+    updateStatus('Showing the rows affected by the alert. Queries that no longer rank are listed under the "Lost Keywords" filter.');
+  }
+}
+
+// Returns the query + page rows for the cannibalization report: the table rows when the
+// fetch used the page breakdown, otherwise rows loaded on demand for the same fetch
+function getCannibalizationSourceRows() {
+  if (!currentMetadata) return null;
+  if ((currentMetadata.dimensions || []).includes('page')) return currentQueryData;
+  if (cannibalizationData && cannibalizationData.fetchTimestamp === currentMetadata.fetchTimestamp) {
+    return cannibalizationData.rows;
+  }
+  return null;
+}
+
+// Renders the cannibalization tab from the available query + page rows
+function renderCannibalizationTab() {
+  const container = document.getElementById('cannibalizationReport');
+  const loadButton = document.getElementById('loadCannibalizationData');
+  if (!container) return;
+
+  const sourceRows = getCannibalizationSourceRows();
+  if (loadButton) loadButton.style.display = currentMetadata && !sourceRows ? 'inline-block' : 'none';
+
+  if (!sourceRows) {
+    cannibalizationGroups = [];
+    container.innerHTML = currentMetadata
+      ? '<div class="no-data">Load query × page rows to find queries with competing pages.</div>'
+      : '<div class="no-data">No data loaded.</div>';
+    return;
+  }
+
+  cannibalizationGroups = findCannibalizedQueries(sourceRows);
+  renderCannibalizationReport({
+    container,
+    groups: cannibalizationGroups,
+    emptyMessage: currentMetadata.pageUrl
+      ? 'This fetch is limited to one page. Fetch domain-wide data to compare pages.'
+      : 'No queries with competing pages found.'
+  });
+}
+
+// Fetches query + page rows for the loaded period and filters, then renders the report
+async function handleLoadCannibalizationData() {
+  if (!currentMetadata) return;
+  if (currentMetadata.pageOnly) {
+    updateStatus(`Query × page data is not available for ${currentMetadata.searchTypeFilter}.`, true, 'warning');
+    return;
+  }
+  if (!isSignedIn || !currentAuthToken) {
+    updateStatus('Sign in with Google to load query × page data.', true);
+    return;
+  }
+
+  const loadButton = document.getElementById('loadCannibalizationData');
+  const fetchTimestamp = currentMetadata.fetchTimestamp;
+  if (loadButton) loadButton.disabled = true;
+
+  try {
+    const result = await fetchGscDataForPeriod(
+      currentMetadata.siteUrl,
+      currentMetadata.startDate,
+      currentMetadata.endDate,
+      CANNIBALIZATION_ROW_LIMIT,
+      currentMetadata.pageUrl,
+      currentAuthToken,
+      currentMetadata.deviceFilter,
+      currentMetadata.searchTypeFilter,
+      ['query', 'page'],
+      updateStatus,
+      { countryFilter: currentMetadata.countryFilter || 'all', dimensionFilters: currentMetadata.dimensionFilters || [] }
+    );
+    cannibalizationData = { fetchTimestamp, rows: result.data || [] };
+    renderCannibalizationTab();
+    updateStatus(`Found ${cannibalizationGroups.length} queries with competing pages in ${cannibalizationData.rows.length} query × page rows.`);
+  } catch (error) {
+    console.error('Error loading cannibalization data:', error);
+    updateStatus(`Error: ${error.message}`, true);
+  } finally {
+    if (loadButton) loadButton.disabled = false;
+  }
+}
+
+// Exports the cannibalization report shown in the tab
+function handleCannibalizationExport(format) {
+  return exportCannibalizationReport({
+    format,
+    groups: cannibalizationGroups,
+    currentDomain,
+    currentMetadata
+  });
+}
+
+// Draws the daily trend chart from the date-dimension rows stored in the metadata
+function initializeDailyTrendChart() {
+  const chartCanvas = document.getElementById('dailyTrendChart');
+  if (!chartCanvas || !window.DailyTrendChart || !currentMetadata) return;
+
+  const chartData = window.DailyTrendChart.processData(
+    currentMetadata.dailySeries || [],
+    previousMetadata?.dailySeries || [],
+    {
+      startDate: currentMetadata.startDate,
+      endDate: currentMetadata.endDate,
+      comparisonStartDate: currentMetadata.comparisonStartDate,
+      comparisonEndDate: currentMetadata.comparisonEndDate
+    }
+  );
+  console.log('Daily trend chart data prepared:', chartData.labels.length, 'days');
+
+  window.DailyTrendChart.init({
+    canvas: chartCanvas,
+    data: chartData,
+    forceInit: true
+  });
+}
+
 // Function to toggle between page and keyword level views
 // This is called from the HTML buttons
 window.toggleView = function(mode) {
@@ -1196,67 +1592,34 @@ function updateMetricsSummary(data) {
         if (el.id.includes('CTR')) el.textContent += '%';
       }
     });
+    updateTotalsSource(null);
+    updateAnonymizedTraffic();
+    // Discover and Google News report no position
+    const positionCard = positionEl?.closest('.metric-card');
+    if (positionCard) positionCard.style.display = currentMetadata?.pageOnly ? 'none' : '';
     
     if (!data || (Array.isArray(data) && data.length === 0)) {
       console.log('No data provided to updateMetricsSummary');
       return;
     }
     
-    let totalClicks = 0;
-    let totalImpressions = 0;
-    let avgCTR = 0;
-    let avgPosition = 0;
-    
-    if (currentViewMode === 'page') {
-      // For page view, always try to use page-level metrics first, regardless of comparison mode
-      
-      // Check for page-level metrics in the pageLevelMetrics object (preferred)
-      const hasPageLevelMetrics = currentMetadata?.pageLevelMetrics && 
-        (currentMetadata.pageLevelMetrics.totalClicks !== undefined || 
-         currentMetadata.pageLevelMetrics.totalImpressions !== undefined || 
-         currentMetadata.pageLevelMetrics.avgCTR !== undefined || 
-         currentMetadata.pageLevelMetrics.avgPosition !== undefined);
-      
-      // Also check for legacy metrics at root level as fallback
-      const hasLegacyPageMetrics = currentMetadata && 
-        (currentMetadata.totalClicks !== undefined || 
-         currentMetadata.totalImpressions !== undefined || 
-         currentMetadata.avgCTR !== undefined || 
-         currentMetadata.avgPosition !== undefined);
-      
-      if (hasPageLevelMetrics) {
-        // Use the pageLevelMetrics object if available
-        const metrics = currentMetadata.pageLevelMetrics;
-        totalClicks = metrics.totalClicks || 0;
-        totalImpressions = metrics.totalImpressions || 0;
-        avgCTR = metrics.avgCTR || 0;
-        avgPosition = metrics.avgPosition || 0;
-        console.log('Using page-level metrics from pageLevelMetrics:', { totalClicks, totalImpressions, avgCTR, avgPosition });
-      } else if (hasLegacyPageMetrics) {
-        // Fall back to legacy metrics at root level
-        totalClicks = currentMetadata.totalClicks || 0;
-        totalImpressions = currentMetadata.totalImpressions || 0;
-        avgCTR = currentMetadata.avgCTR || 0;
-        avgPosition = currentMetadata.avgPosition || 0;
-        console.log('Using legacy page-level metrics from root metadata:', { totalClicks, totalImpressions, avgCTR, avgPosition });
-      } else {
-        // If no page-level metrics are available, calculate from keyword data
-        console.log('No page-level metrics found, falling back to data calculation');
-        calculateMetricsFromData(data);
-        return;
-      }
-    } else {
+    if (currentViewMode !== 'page') {
       // For keyword view, always calculate from the data
       console.log('Keyword view mode - calculating metrics from filtered data');
       calculateMetricsFromData(data);
       return;
     }
     
+    // For page view, use the page-level aggregate of the fetch (sum of the rows when there is none)
+    const totals = getMetricTotals(currentMetadata, data);
+    console.log('Using page-level totals:', totals);
+    
     // Display the metrics
-    displayMetrics(totalClicks, totalImpressions, avgCTR, avgPosition);
+    displayMetrics(totals.totalClicks, totals.totalImpressions, totals.avgCTR, totals.avgPosition);
+    updateTotalsSource(totals.source, data.length);
     
     // Add comparison metrics if previous data exists
-    addComparisonMetrics(totalClicks, totalImpressions, avgCTR, avgPosition);
+    addComparisonMetrics(totals.totalClicks, totals.totalImpressions, totals.avgCTR, totals.avgPosition, totals.source);
     
   } catch (error) {
     console.error('Error in updateMetricsSummary:', error);
@@ -1265,54 +1628,13 @@ function updateMetricsSummary(data) {
 
 // Helper function to calculate metrics from keyword data
 function calculateMetricsFromData(data) {
-  console.log('Calculating metrics from data for', data.length, 'items');
-  
   if (!data || !Array.isArray(data)) {
     console.error('Invalid data provided to calculateMetricsFromData:', data);
     return;
   }
   
-  let totalClicks = 0;
-  let totalImpressions = 0;
-  let totalCTR = 0;
-  let totalPosition = 0;
-  let ctrCount = 0;
-  let positionCount = 0;
-  
-  console.log('Sample data item:', data[0]); // Log first item for inspection
-  
-  // Sum up metrics from all items
-  data.forEach(item => {
-    // Handle both object properties and direct values
-    const clicks = typeof item === 'object' ? item.clicks : item[1];
-    const impressions = typeof item === 'object' ? item.impressions : item[2];
-    const ctr = typeof item === 'object' ? item.ctr : item[3];
-    const position = typeof item === 'object' ? item.position : item[4];
-    
-    totalClicks += (parseInt(clicks) || 0);
-    totalImpressions += (parseInt(impressions) || 0);
-    
-    // Handle different CTR formats (with or without %)
-    let ctrValue = parseFloat(ctr);
-    if (typeof ctr === 'string' && ctr.includes('%')) {
-      ctrValue = parseFloat(ctr.replace('%', ''));
-    }
-    
-    if (!isNaN(ctrValue)) { 
-      totalCTR += ctrValue;
-      ctrCount++; 
-    }
-    
-    const posValue = parseFloat(position);
-    if (!isNaN(posValue)) { 
-      totalPosition += posValue; 
-      positionCount++; 
-    }
-  });
-  
-  // Calculate averages
-  const avgCTR = ctrCount > 0 ? (totalCTR / ctrCount) : 0;
-  const avgPosition = positionCount > 0 ? (totalPosition / positionCount) : 0;
+  // CTR = clicks / impressions and position weighted by impressions (not plain means of the row values)
+  const { totalClicks, totalImpressions, avgCTR, avgPosition } = aggregateMetrics(data);
   
   console.log('Calculated metrics from data:', { 
     totalClicks, 
@@ -1324,9 +1646,67 @@ function calculateMetricsFromData(data) {
   
   // Format and display the metrics
   displayMetrics(totalClicks, totalImpressions, avgCTR, avgPosition);
+  updateTotalsSource(TOTALS_SOURCE.ROWS, data.length);
   
   // Add comparison metrics if previous data exists
-  addComparisonMetrics(totalClicks, totalImpressions, avgCTR, avgPosition);
+  addComparisonMetrics(totalClicks, totalImpressions, avgCTR, avgPosition, TOTALS_SOURCE.ROWS);
+}
+
+// Shows under the metric cards whether the totals are the API aggregate or a sum of fetched rows
+function updateTotalsSource(source, rowCount) {
+  const sourceEl = document.getElementById('metricsSource');
+  if (!sourceEl) return;
+  if (!source) {
+    sourceEl.textContent = '';
+    return;
+  }
+  // A report on a single page has that page's totals, not the property's
+  const scope = currentMetadata?.pageUrl ? 'the page' : 'the property';
+  const label = (currentMetadata?.pageUrl ? PAGE_TOTALS_SOURCE_LABELS : TOTALS_SOURCE_LABELS)[source] || source;
+  sourceEl.textContent = source === TOTALS_SOURCE.ROWS ? `${label} (${rowCount.toLocaleString()} rows)` : label;
+  const titles = {
+    [TOTALS_SOURCE.PROPERTY]: 'Totals of a request without dimensions, which includes the queries Search Console anonymizes',
+    [TOTALS_SOURCE.AGGREGATE]: `Totals of the page-level request, which covers all traffic of ${scope} and filters`,
+    [TOTALS_SOURCE.ROWS]: 'Rows beyond the row limit and anonymized queries are not included'
+  };
+  sourceEl.title = titles[source] || '';
+}
+
+// Shows the visible keyword totals under the true totals and the hidden-traffic card (needs the dimensionless totals)
+function updateAnonymizedTraffic() {
+  // Page-only reports (Discover, Google News) have no query rows, so the whole total would count as hidden
+  const share = currentMetadata?.pageOnly ? null : getAnonymizedShare(currentMetadata, currentQueryData);
+  const showVisible = share !== null && currentViewMode === 'page';
+  const visible = aggregateMetrics(currentQueryData);
+  const visibleValues = {
+    visibleClicks: Math.round(visible.totalClicks).toLocaleString(),
+    visibleImpressions: Math.round(visible.totalImpressions).toLocaleString(),
+    visibleCTR: `${visible.avgCTR.toFixed(2)}%`,
+    visiblePosition: visible.avgPosition.toFixed(2)
+  };
+  Object.entries(visibleValues).forEach(([id, value]) => {
+    const el = document.getElementById(id);
+    if (el) el.textContent = showVisible ? `Visible keywords: ${value}` : '';
+  });
+
+  const card = document.getElementById('anonymizedShareCard');
+  const valueEl = document.getElementById('anonymizedShare');
+  if (!card || !valueEl) return;
+  card.style.display = share === null ? 'none' : '';
+  if (share === null) return;
+
+  card.title = `${share.clicks.toFixed(1)}% of clicks and ${share.impressions.toFixed(1)}% of impressions come from queries missing from the fetched keyword rows ` +
+    '(anonymized by Search Console, or beyond the row limit), whichever table is shown';
+  let html = `${share.clicks.toFixed(1)}%`;
+  const previousShare = getAnonymizedShare(previousMetadata, previousQueryData);
+  if (previousShare !== null) {
+    const diff = share.clicks - previousShare.clicks;
+    // More hidden traffic means less visibility into queries, so an increase is shown as negative
+    const deltaClass = diff > 0 ? 'delta-neg' : (diff < 0 ? 'delta-pos' : 'delta-zero');
+    const prefix = diff > 0 ? '+' : (diff < 0 ? '' : '±');
+    html += `<br><span class="delta ${deltaClass}">(${prefix}${diff.toFixed(1)} pp)</span>`;
+  }
+  valueEl.innerHTML = html;
 }
 
 // Helper function to format and display metrics in the UI
@@ -1405,93 +1785,34 @@ function displayMetrics(totalClicks, totalImpressions, avgCTR, avgPosition) {
 }
 
 // Helper function to add comparison metrics to the UI
-function addComparisonMetrics(totalClicks, totalImpressions, avgCTR, avgPosition) {
+// `source` is the TOTALS_SOURCE of the current values; the previous values are taken from the same kind of source
+function addComparisonMetrics(totalClicks, totalImpressions, avgCTR, avgPosition, source) {
   // Check if we have previous data to compare with
-  const hasPrevPageLevelMetrics = previousMetadata?.pageLevelMetrics && 
-    (previousMetadata.pageLevelMetrics.totalClicks !== undefined || 
-     previousMetadata.pageLevelMetrics.avgCTR !== undefined);
-  
-  const hasPrevLegacyMetrics = previousMetadata && 
-    (previousMetadata.totalClicks !== undefined || 
-     previousMetadata.avgCTR !== undefined);
+  const hasPrevTotals = previousMetadata?.propertyTotals !== undefined ||
+    previousMetadata?.pageLevelMetrics?.totalClicks !== undefined ||
+    previousMetadata?.totalClicks !== undefined;
   
   const hasPrevQueryData = previousQueryData && previousQueryData.length > 0;
   
-  if (!hasPrevPageLevelMetrics && !hasPrevLegacyMetrics && !hasPrevQueryData) {
+  if (source === TOTALS_SOURCE.ROWS ? !hasPrevQueryData : !hasPrevTotals) {
     return; // No previous data to compare with
   }
   
-  console.log('Adding comparison metrics with previous data');
+  // Row sums are compared with the sum of the previous rows, API totals with the previous API totals
+  const previous = source === TOTALS_SOURCE.ROWS
+    ? { ...aggregateMetrics(previousQueryData), source: TOTALS_SOURCE.ROWS }
+    : getMetricTotals(previousMetadata, previousQueryData || []);
+  if (previous.source !== source) {
+    return; // The previous period has no totals of the same kind (e.g. an older stored report)
+  }
   
-  let prevTotalClicks, prevTotalImpressions, prevAvgCTR, prevAvgPosition;
+  console.log('Adding comparison metrics with previous data');
   
-  if (hasPrevPageLevelMetrics) {
-    // Use the new pageLevelMetrics object if available
-    const metrics = previousMetadata.pageLevelMetrics;
-    prevTotalClicks = metrics.totalClicks || 0;
-    prevTotalImpressions = metrics.totalImpressions || 0;
-    prevAvgCTR = metrics.avgCTR || 0;
-    prevAvgPosition = metrics.avgPosition || 0;
-      
-      console.log('Using previous page-level metrics from pageLevelMetrics:', { 
-        prevTotalClicks, 
-        prevTotalImpressions, 
-        prevAvgCTR, 
-        prevAvgPosition 
-      });
-    } else if (hasPrevLegacyMetrics) {
-      // Fall back to legacy page metrics at the root level
-      prevTotalClicks = previousMetadata.totalClicks || 0;
-      prevTotalImpressions = previousMetadata.totalImpressions || 0;
-      prevAvgCTR = previousMetadata.avgCTR || 0;
-      prevAvgPosition = previousMetadata.avgPosition || 0;
-      
-      console.log('Using previous legacy page-level metrics from root metadata:', { 
-        prevTotalClicks, 
-        prevTotalImpressions, 
-        prevAvgCTR, 
-        prevAvgPosition 
-      });
-    } else if (hasPrevQueryData) {
-      // Fall back to calculating from keyword data (legacy behavior)
-      console.log('No previous page-level metrics found, calculating from keyword data');
-      let prevTotalCTR = 0, prevTotalPosition = 0;
-      let prevCtrCount = 0, prevPositionCount = 0;
-      
-      prevTotalClicks = 0;
-      prevTotalImpressions = 0;
-      
-      previousQueryData.forEach(item => {
-        prevTotalClicks += (parseInt(item.clicks) || 0);
-        prevTotalImpressions += (parseInt(item.impressions) || 0);
-        const ctrValue = parseFloat(item.ctr);
-        if (!isNaN(ctrValue)) { 
-          prevTotalCTR += (ctrValue * 100); 
-          prevCtrCount++; 
-        }
-        const posValue = parseFloat(item.position);
-        if (!isNaN(posValue)) { 
-          prevTotalPosition += posValue; 
-          prevPositionCount++; 
-        }
-      });
-      
-      prevAvgCTR = prevCtrCount > 0 ? (prevTotalCTR / prevCtrCount) : 0;
-      prevAvgPosition = prevPositionCount > 0 ? (prevTotalPosition / prevPositionCount) : 0;
-      
-      console.log('Calculated previous metrics from keyword data:', { 
-        prevTotalClicks, 
-        prevTotalImpressions, 
-        prevAvgCTR, 
-        prevAvgPosition 
-      });
-    }
-    
-    // Ensure values are numbers and format them
-    prevTotalClicks = typeof prevTotalClicks === 'string' ? parseFloat(prevTotalClicks.replace(/,/g, '')) : (prevTotalClicks || 0);
-    prevTotalImpressions = typeof prevTotalImpressions === 'string' ? parseFloat(prevTotalImpressions.replace(/,/g, '')) : (prevTotalImpressions || 0);
-    prevAvgCTR = typeof prevAvgCTR === 'string' ? parseFloat(prevAvgCTR.replace('%', '')) : (prevAvgCTR || 0);
-    prevAvgPosition = typeof prevAvgPosition === 'string' ? parseFloat(prevAvgPosition) : (prevAvgPosition || 0);
+  let prevTotalClicks = previous.totalClicks;
+  let prevTotalImpressions = previous.totalImpressions;
+  let prevAvgCTR = previous.avgCTR;
+  let prevAvgPosition = previous.avgPosition;
+  console.log('Previous period totals:', previous);
     
     // Format all values to 2 decimal places for consistency
     prevAvgCTR = parseFloat(prevAvgCTR).toFixed(2);
@@ -1551,7 +1872,7 @@ function addComparisonMetrics(totalClicks, totalImpressions, avgCTR, avgPosition
 function applyFiltersAndSort() {
     // Call the utility function and store the result
     filteredAndSortedData = applyFiltersAndSortUtil({
-        currentQueryData,
+        currentQueryData: getTableRows(),
         currentSearchTerm,
         queryRegexObject,
         filterRules,
@@ -1566,7 +1887,8 @@ function applyFiltersAndSort() {
             updateCTRChartWithFilteredData();
         },
         updateMultiSortInfo,
-        currentMetadata
+        currentMetadata,
+        rowLabel: getTableRowLabel()
     });
 }
 
@@ -1585,6 +1907,9 @@ function updateCTRChartWithFilteredData() {
         return;
     }
     
+    // The charts describe keywords: the page table leaves them as they are
+    if (isPageTableMode()) return;
+
     console.log('Updating charts with filtered data:', filteredAndSortedData.length, 'queries');
     
     // Update CTR Position Chart
@@ -1628,17 +1953,22 @@ function updateCTRChartWithFilteredData() {
  * Wrapper function that calls the exported refreshDataDisplay function
  */
 function refreshDataDisplay() {
+    const pageTable = isPageTableMode();
     refreshDataDisplayUtil({
         filteredAndSortedData,
-        previousQueryData,
+        previousQueryData: getPreviousTableRows(),
         currentPage,
         rowsPerPage,
         updateTableHeaders: () => updateTableHeaders(),
         handleSortClick,
         createPaginationControls: (container, totalItems, totalPages, startIndex, endIndex) => {
             createPaginationControls(container, totalItems, totalPages, startIndex, endIndex);
-        }
+        },
+        extraDimensions: pageTable ? [] : getExtraDimensions(currentMetadata),
+        pageTable,
+        pageOnly: !!currentMetadata?.pageOnly
     });
+    if (pageTable) restoreExpandedPages();
 }
 
 /**
@@ -1701,7 +2031,7 @@ function handleSortClick(event) {
             currentSortKeys = [{ key: newSortKey, direction: existingSort.direction === 'asc' ? 'desc' : 'asc' }];
         } else {
             // Otherwise, set this as the primary sort key (default direction)
-            const defaultDirection = (newSortKey === 'query' || newSortKey === 'position') ? 'asc' : 'desc';
+            const defaultDirection = (TEXT_DIMENSIONS.includes(newSortKey) || newSortKey === 'position') ? 'asc' : 'desc';
             currentSortKeys = [{ key: newSortKey, direction: defaultDirection }];
         }
     } else {
@@ -1712,7 +2042,7 @@ function handleSortClick(event) {
             currentSortKeys[existingIndex].direction = currentSortKeys[existingIndex].direction === 'asc' ? 'desc' : 'asc';
         } else {
             // If not in the list, add it to the end with default direction
-            const defaultDirection = (newSortKey === 'query' || newSortKey === 'position') ? 'asc' : 'desc';
+            const defaultDirection = (TEXT_DIMENSIONS.includes(newSortKey) || newSortKey === 'position') ? 'asc' : 'desc';
             currentSortKeys.push({ key: newSortKey, direction: defaultDirection });
         }
     }
@@ -1760,7 +2090,8 @@ function handleExport(format) {
         filteredAndSortedData,
         currentDomain,
         currentMetadata,
-        currentQueryDataLength: currentQueryData.length
+        currentQueryDataLength: getTableRows().length,
+        pageTable: isPageTableMode()
     });
 }
 
@@ -1770,8 +2101,9 @@ function handleExport(format) {
 function handleCopyToClipboard() {
     copyToClipboard({
         filteredAndSortedData,
-        currentQueryData,
-        currentMetadata
+        currentQueryData: getTableRows(),
+        currentMetadata,
+        pageTable: isPageTableMode()
     });
 }
 
@@ -1795,6 +2127,47 @@ function handleClearStoredData() {
     });
 }
 
+// Timer used to batch cache size refreshes while many responses are being stored
+let responseCacheRefreshTimer = null;
+
+/**
+ * Refreshes the cache size shown on the cache button (at most once per second)
+ */
+function scheduleResponseCacheInfoRefresh() {
+    clearTimeout(responseCacheRefreshTimer);
+    responseCacheRefreshTimer = setTimeout(refreshResponseCacheInfo, 1000);
+}
+
+/**
+ * Shows the size of the response cache on the cache button
+ */
+async function refreshResponseCacheInfo() {
+    const button = document.getElementById('clearResponseCache');
+    if (!button) return;
+    try {
+        const { entries, bytes } = await getResponseCacheStats();
+        const size = bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`;
+        button.textContent = `💾 Cache: ${size}`;
+        button.title = `${entries} cached API responses. Click to clear the cache.`;
+    } catch (error) {
+        console.error('Error reading response cache size:', error);
+    }
+}
+
+/**
+ * Clears the response cache after confirmation
+ */
+async function handleClearResponseCache() {
+    if (!confirm('Clear all cached API responses? The next fetches will call the API again.')) return;
+    try {
+        await clearResponseCache();
+        updateStatus('Response cache cleared.');
+    } catch (error) {
+        console.error('Error clearing response cache:', error);
+        updateStatus(`Error: ${error.message}`, true);
+    }
+}
+
 async function loadInitialDataAndPreferences() {
   // Performance tracking
   const startTime = performance.now();
@@ -2102,7 +2475,8 @@ function handleSaveViewClick() {
         filterRules: JSON.parse(JSON.stringify(filterRules)), // Deep copy
         filterLogic: filterLogic,
         queryRegex: queryRegex,
-        currentSortKeys: JSON.parse(JSON.stringify(currentSortKeys)) // Deep copy
+        currentSortKeys: JSON.parse(JSON.stringify(currentSortKeys)), // Deep copy
+        apiFilters: getApiFilters() // Server-side filters, applied on the next fetch
     };
 
     savedViews[viewName] = viewSettings;
@@ -2154,9 +2528,16 @@ function handleLoadViewClick() {
     // Re-render the filter rules UI
     renderFilterRulesList();
 
+    // API filters only change what the next fetch requests
+    setApiFilters(viewSettings.apiFilters || []);
+
     // Apply the loaded filters and sort
     applyFiltersAndSort();
-    updateStatus(`Loaded view "${viewName}".`, false);
+    if ((viewSettings.apiFilters || []).length > 0) {
+        updateStatus(`Loaded view "${viewName}". Fetch again to apply its API filters.`, false);
+    } else {
+        updateStatus(`Loaded view "${viewName}".`, false);
+    }
 }
 
 function handleDeleteViewClick() {
@@ -2204,21 +2585,35 @@ function renderFilterRule(rule, index) {
     ruleDiv.style.cssText = 'display: flex; gap: 5px; align-items: center; margin-bottom: 5px;';
     ruleDiv.dataset.index = index;
 
+    const isTextRule = TEXT_DIMENSIONS.includes(rule.metric);
+
     const metricSelect = document.createElement('select');
     metricSelect.className = 'filter-metric';
     metricSelect.style.cssText = 'padding: 4px; font-size: 12px;';
+    // Text columns: the query plus any breakdown dimensions in the current data
+    const textMetricOptions = ['query', ...getExtraDimensions(currentMetadata)]
+        .map(dimension => `<option value="${dimension}">${DIMENSION_LABELS[dimension] || dimension}</option>`)
+        .join('');
     metricSelect.innerHTML = `
         <option value="clicks">Clicks</option>
         <option value="impressions">Impressions</option>
         <option value="ctr">CTR (%)</option> <!-- Display as % -->
         <option value="position">Position</option>
+        <option value="ctrDelta">${COMPUTED_METRIC_LABELS.ctrDelta} (%)</option>
+        <option value="opportunityScore">${COMPUTED_METRIC_LABELS.opportunityScore} (extra clicks)</option>
+        ${textMetricOptions}
     `;
     metricSelect.value = rule.metric;
 
     const operatorSelect = document.createElement('select');
     operatorSelect.className = 'filter-operator';
     operatorSelect.style.cssText = 'padding: 4px; font-size: 12px;';
-    operatorSelect.innerHTML = `
+    operatorSelect.innerHTML = isTextRule ? `
+        <option value="contains">Contains</option>
+        <option value="not-contains">Does Not Contain</option>
+        <option value="equals">Equals</option>
+        <option value="not-equals">Not Equals</option>
+    ` : `
         <option value=">">&gt;</option>
         <option value="<">&lt;</option>
         <option value="=">=</option>
@@ -2229,10 +2624,10 @@ function renderFilterRule(rule, index) {
     operatorSelect.value = rule.operator;
 
     const valueInput = document.createElement('input');
-    valueInput.type = 'number';
+    valueInput.type = isTextRule ? 'text' : 'number';
     valueInput.className = 'filter-value';
     valueInput.placeholder = 'Value';
-    valueInput.style.cssText = 'padding: 4px; font-size: 12px; width: 60px;';
+    valueInput.style.cssText = `padding: 4px; font-size: 12px; width: ${isTextRule ? '120px' : '60px'};`;
     valueInput.value = rule.value;
 
     const valueEndInput = document.createElement('input');
@@ -2310,6 +2705,19 @@ function handleFilterRuleChange(event, index) {
     const valueInput = ruleDiv.querySelector('.filter-value');
     const valueEndInput = ruleDiv.querySelector('.filter-value-end');
 
+    // Switching between a numeric metric and a text column resets the operator and value
+    const wasTextRule = TEXT_DIMENSIONS.includes(rule.metric);
+    const isTextRule = TEXT_DIMENSIONS.includes(metricSelect.value);
+    if (wasTextRule !== isTextRule) {
+        rule.metric = metricSelect.value;
+        rule.operator = isTextRule ? 'contains' : '>=';
+        rule.value = '';
+        rule.valueEnd = '';
+        renderFilterRulesList();
+        applyFiltersAndSort();
+        return;
+    }
+
     rule.metric = metricSelect.value;
     rule.operator = operatorSelect.value;
     rule.value = valueInput.value;
@@ -2382,6 +2790,18 @@ function handleQueryRegexInput(event) {
     applyFiltersAndSort(); // Re-apply filters
 }
 
+// Sends the query regex to the API as a filter, so the next fetch also finds matches beyond the row limit
+function handlePushRegexToApi() {
+    if (!queryRegex) {
+        updateStatus('Enter a query regex first.', true, 'warning');
+        return;
+    }
+    // (?i) keeps the case-insensitive matching of the client-side filter (API regexes are case-sensitive)
+    if (addApiFilter({ dimension: 'query', operator: 'includingRegex', expression: `(?i)${queryRegex}` })) {
+        updateStatus('Regex added to the API filters (Fetch Options). Fetch again to apply it.', false);
+    }
+}
+
 // --- End NEW Advanced Filter UI Functions ---
 
 // NEW: Updates the multi-sort info display area
@@ -2396,7 +2816,7 @@ function updateMultiSortInfo() {
 
     const sortText = currentSortKeys.map(({ key, direction }) => {
         // Capitalize key for display
-        const displayKey = key.charAt(0).toUpperCase() + key.slice(1);
+        const displayKey = DIMENSION_LABELS[key] || COMPUTED_METRIC_LABELS[key] || key.charAt(0).toUpperCase() + key.slice(1);
         const displayDirection = direction === 'asc' ? 'Asc' : 'Desc';
         return `${displayKey} (${displayDirection})`;
     }).join(', ');
@@ -2499,7 +2919,9 @@ function handleFilterPillClick(event) {
     pillElement.classList.add('active');
     
     // Apply the appropriate filter
-    let filteredData = [...currentQueryData];
+    const tableRows = getTableRows();
+    const previousTableRows = getPreviousTableRows();
+    let filteredData = [...tableRows];
     
     if (filterType !== 'all') {
         switch (filterType) {
@@ -2529,6 +2951,10 @@ function handleFilterPillClick(event) {
                     return ctr < 1 && impressions >= 10;
                 });
                 break;
+            case 'ctr-below-expected':
+                // CTR clearly under the property's own CTR for the same position (see opportunityUtils.js)
+                filteredData = filteredData.filter(item => isCtrBelowExpected(item));
+                break;
             case 'high-impressions':
                 filteredData = filteredData.filter(item => {
                     const impressions = parseInt(item.impressions);
@@ -2561,19 +2987,20 @@ function handleFilterPillClick(event) {
                 });
                 break;
             case 'new-keywords':
-                console.log('Processing new-keywords filter. Previous data available:', previousQueryData?.length > 0);
-                if (previousQueryData && previousQueryData.length > 0) {
-                    // Build lookup map of previous keywords (case insensitive)
+                console.log('Processing new-keywords filter. Previous data available:', previousTableRows?.length > 0);
+                if (previousTableRows && previousTableRows.length > 0) {
+                    // Build lookup map of previous keywords (case insensitive, includes breakdown dimensions)
+                    const extraDimensions = isPageTableMode() ? [] : getExtraDimensions(currentMetadata);
                     const prevKeywordsMap = new Map();
-                    previousQueryData.forEach(item => {
+                    previousTableRows.forEach(item => {
                         if (item.query) {
-                            prevKeywordsMap.set(item.query.toLowerCase(), true);
+                            prevKeywordsMap.set(getRowKey(item, extraDimensions), true);
                         }
                     });
                     
                     // Filter to show only keywords that don't exist in previous data
                     filteredData = filteredData.filter(item => {
-                        return item.query && !prevKeywordsMap.has(item.query.toLowerCase());
+                        return item.query && !prevKeywordsMap.has(getRowKey(item, extraDimensions));
                     });
                 } else {
                     // If no previous data exists, show a message and return empty array
@@ -2582,19 +3009,20 @@ function handleFilterPillClick(event) {
                 }
                 break;
             case 'lost-keywords':
-                console.log('Processing lost-keywords filter. Previous data available:', previousQueryData?.length > 0);
-                if (previousQueryData && previousQueryData.length > 0) {
-                    // Build lookup map of current keywords (case insensitive)
+                console.log('Processing lost-keywords filter. Previous data available:', previousTableRows?.length > 0);
+                if (previousTableRows && previousTableRows.length > 0) {
+                    // Build lookup map of current keywords (case insensitive, includes breakdown dimensions)
+                    const extraDimensions = isPageTableMode() ? [] : getExtraDimensions(currentMetadata);
                     const currentKeywordsMap = new Map();
-                    currentQueryData.forEach(item => {
+                    tableRows.forEach(item => {
                         if (item.query) {
-                            currentKeywordsMap.set(item.query.toLowerCase(), true);
+                            currentKeywordsMap.set(getRowKey(item, extraDimensions), true);
                         }
                     });
                     
                     // Create a new dataset of keywords that only exist in previous data
-                    const lostKeywords = previousQueryData.filter(item => {
-                        return item.query && !currentKeywordsMap.has(item.query.toLowerCase());
+                    const lostKeywords = previousTableRows.filter(item => {
+                        return item.query && !currentKeywordsMap.has(getRowKey(item, extraDimensions));
                     });
                     
                     // Add a visual indicator for lost keywords
@@ -2606,7 +3034,7 @@ function handleFilterPillClick(event) {
                     filteredData = lostKeywords;
                     
                     // Update status with specific count for lost keywords
-                    updateStatus(`Showing ${filteredData.length} keywords that were lost between periods`);
+                    updateStatus(`Showing ${filteredData.length} ${getTableRowLabel()} that were lost between periods`);
                 } else {
                     // If no previous data exists, show a message and return empty array
                     updateStatus('No comparison data available for Lost Keywords filter');
@@ -2623,7 +3051,7 @@ function handleFilterPillClick(event) {
     // Update the CTR position chart with the filtered data
     updateCTRChartWithFilteredData();
     
-    updateStatus(`Showing ${filteredAndSortedData.length} of ${currentQueryData.length} keywords`);
+    updateStatus(`Showing ${filteredAndSortedData.length} of ${tableRows.length} ${getTableRowLabel()}`);
 }
 
 // REMOVED: Duplicate DOMContentLoaded listener and initialization functions - functionality consolidated above
@@ -2746,6 +3174,27 @@ refreshDataDisplay = function() {
 
 // --- END OF FILE popup.js ---
 
+// Open the keyword detail panel when a query row is clicked (links, icons and resizers keep their own behaviour)
+document.addEventListener('click', function(event) {
+    const row = event.target.closest('#queryData tr.query-row');
+    if (!row || event.target.closest('a, .action-icon, .column-resizer')) return;
+
+    const keyword = row.dataset.keyword;
+    if (!keyword || !currentMetadata) return;
+
+    if (!isSignedIn || !currentAuthToken) {
+        updateStatus('Sign in with Google to load keyword details.', true);
+        return;
+    }
+
+    openKeywordDetail({
+        query: keyword,
+        metadata: currentMetadata,
+        authToken: currentAuthToken,
+        updateStatus
+    });
+});
+
 // Add event listeners for the quick action icons
 document.addEventListener('click', function(event) {
     // Identify which icon was clicked (if any)
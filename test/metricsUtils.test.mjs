@@ -0,0 +1,62 @@
+/**
+ * Tests for the totals read from stored reports (js/metricsUtils.js).
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TOTALS_SOURCE, getMetricTotals } from '../js/metricsUtils.js';
+
+// Metadata of a report stored before the weighted totals: avgCTR is the mean of the row CTRs (in percent)
+const LEGACY_SNAPSHOT_METADATA = {
+    siteUrl: 'https://example.com/',
+    startDate: '2024-01-01',
+    endDate: '2024-01-28',
+    pageLevelMetrics: {
+        totalClicks: 110,
+        totalImpressions: 1100,
+        avgCTR: 54.96, // Mean of the row CTRs 100% (1 / 1) and 9.92% (109 / 1099)
+        avgPosition: 4.2
+    },
+    totalClicks: 110,
+    totalImpressions: 1100,
+    avgCTR: 54.96,
+    avgPosition: 4.2
+};
+
+test('legacy page-level totals are read with CTR = clicks / impressions', () => {
+    const totals = getMetricTotals(LEGACY_SNAPSHOT_METADATA, []);
+    assert.equal(totals.source, TOTALS_SOURCE.AGGREGATE);
+    assert.equal(totals.totalClicks, 110);
+    assert.equal(totals.totalImpressions, 1100);
+    assert.equal(totals.avgCTR, 10);
+    assert.equal(totals.avgPosition, 4.2);
+});
+
+test('legacy totals at the metadata root are normalized the same way', () => {
+    const { pageLevelMetrics, ...rootOnly } = LEGACY_SNAPSHOT_METADATA;
+    assert.equal(getMetricTotals(rootOnly, []).avgCTR, 10);
+});
+
+test('legacy and current reports of the same traffic give the same CTR', () => {
+    const current = {
+        pageLevelMetrics: { totalClicks: 110, totalImpressions: 1100, avgCTR: 10, avgPosition: 4.2 }
+    };
+    assert.equal(getMetricTotals(LEGACY_SNAPSHOT_METADATA, []).avgCTR, getMetricTotals(current, []).avgCTR);
+});
+
+test('stored CTR is kept when there are no impressions', () => {
+    const totals = getMetricTotals({ totalClicks: 0, totalImpressions: 0, avgCTR: 0, avgPosition: 0 }, []);
+    assert.equal(totals.avgCTR, 0);
+});
+
+test('rows are aggregated with weighted CTR and position when the metadata has no totals', () => {
+    const totals = getMetricTotals({}, [
+        { clicks: 1, impressions: 1, position: 1 },
+        { clicks: 9, impressions: 99, position: 5 }
+    ]);
+    assert.equal(totals.source, TOTALS_SOURCE.ROWS);
+    assert.equal(totals.avgCTR, 10);
+    assert.equal(totals.avgPosition, (1 * 1 + 5 * 99) / 100);
+});